@@ -0,0 +1,37 @@
+// apps/web/app/admin/sources/[id]/action/route.ts
+// Form posts from /admin/sources: re-enable a source the worker disabled.
+import { NextRequest, NextResponse } from "next/server";
+import { AdminError, currentEditor } from "../../../../../lib/admin";
+import { isSameSitePost } from "../../../../../lib/adminAuth";
+import { reenableSource } from "../../../../../lib/sourceHealth";
+
+export const dynamic = "force-dynamic";
+
+function back(req: NextRequest, key: "done" | "error", value: string) {
+  const url = new URL("/admin/sources", req.url);
+  url.searchParams.set(key, value);
+  return NextResponse.redirect(url, 303);
+}
+
+export async function POST(req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params;
+  if (!/^\d+$/.test(id)) return new NextResponse("Not found", { status: 404 });
+
+  // Same cross-site check as the story actions.
+  if (!isSameSitePost(req.headers, req.nextUrl.origin)) {
+    return new NextResponse("Cross-site request refused", { status: 403 });
+  }
+
+  const form = await req.formData();
+  if (form.get("action") !== "reenable") return back(req, "error", "Unknown action");
+
+  try {
+    const editor = await currentEditor();
+    await reenableSource(Number(id));
+    console.log(`[admin] ${editor} re-enabled source ${id}`);
+  } catch (err) {
+    if (err instanceof AdminError) return back(req, "error", err.message);
+    throw err;
+  }
+  return back(req, "done", "reenable");
+}
@@ -0,0 +1,151 @@
+// apps/web/app/admin/sources/page.tsx
+// Source health: freshness, last success, items per day and feed URL for every configured source.
+import Link from "next/link";
+import { Health, HEALTH_LABELS, HEALTH_STATES, listSourceHealth } from "../../../lib/sourceHealth";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+const pill = {
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+} as const;
+
+const button = {
+  padding: "4px 10px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 13,
+} as const;
+
+const HEALTH_COLORS: Record<Health, string> = {
+  failing: "#f87171",
+  degraded: "#fbbf24",
+  stale: "#fbbf24",
+  healthy: "#4ade80",
+  no_feed: "var(--border)",
+  disabled: "#f87171",
+};
+
+function ago(at: string | null) {
+  if (!at) return "never";
+  const minutes = Math.round((Date.now() - new Date(at).getTime()) / 60_000);
+  if (minutes < 60) return `${Math.max(minutes, 0)} min ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / 1440)} days ago`;
+}
+
+export default async function AdminSourcesPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const requested = param(sp, "health");
+  const filter = HEALTH_STATES.find((h) => h === requested) ?? null;
+  const done = param(sp, "done");
+  const error = param(sp, "error");
+
+  const all = await listSourceHealth();
+  const counts = Object.fromEntries(HEALTH_STATES.map((h) => [h, all.filter((s) => s.health === h).length]));
+  const sources = filter ? all.filter((s) => s.health === filter) : all;
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Sources — health</h2>
+      <p className="meta">
+        Rolling 7 days from the worker&apos;s fetch log. <Link href="/admin/stories">Stories →</Link>
+      </p>
+
+      {error ? (
+        <p className="card" style={{ borderColor: "#f87171" }}>
+          {error}
+        </p>
+      ) : done ? (
+        <p className="card">Re-enabled; the worker fetches it again on its next run.</p>
+      ) : null}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <Link href="/admin/sources" style={{ ...pill, fontWeight: filter ? 400 : 700 }}>
+          All ({all.length})
+        </Link>
+        {HEALTH_STATES.map((h) => (
+          <Link key={h} href={`/admin/sources?health=${h}`} style={{ ...pill, fontWeight: h === filter ? 700 : 400 }}>
+            {HEALTH_LABELS[h]} ({counts[h]})
+          </Link>
+        ))}
+      </div>
+
+      {sources.length ? (
+        <div className="grid" style={{ marginTop: 16 }}>
+          {sources.map((s) => (
+            <div key={s.source_id} className="card" style={{ borderLeft: `4px solid ${HEALTH_COLORS[s.health]}` }}>
+              <h3 className="article-title" style={{ marginBottom: 4 }}>
+                {s.source_name}
+              </h3>
+              <div className="meta">
+                <strong>{HEALTH_LABELS[s.health]}</strong> • {s.state} /{" "}
+                {s.county.replace(/_(FL|AL|GA)$/, "").replace(/_/g, " ")} • tier {s.tier} • {s.source_type}
+              </div>
+              <div className="meta" style={{ marginTop: 6 }}>
+                Newest item {ago(s.last_item_at)} • last success {ago(s.last_success_at)} • {s.items_per_day} items/day •{" "}
+                {s.fetches_7d} fetches, {s.failures_7d} failed
+                {s.consecutive_failures ? ` • ${s.consecutive_failures} failures in a row` : ""}
+              </div>
+              <div className="meta" style={{ marginTop: 6, wordBreak: "break-all" }}>
+                {s.feed_url ? (
+                  <>
+                    {s.adapter ? `Scraped (${s.adapter}): ` : "Feed: "}
+                    <a href={s.feed_url} target="_blank" rel="noreferrer">
+                      {s.feed_url}
+                    </a>
+                  </>
+                ) : (
+                  "No feed found yet"
+                )}
+              </div>
+              {s.last_error && s.health !== "healthy" ? (
+                <div className="meta" style={{ marginTop: 6 }}>
+                  Last error ({ago(s.last_error_at)}): {s.last_error}
+                </div>
+              ) : null}
+              {!s.enabled && s.disabled_by === "config" ? (
+                <div className="meta" style={{ marginTop: 8 }}>
+                  {s.disabled_reason || "Disabled in sources.yaml"}
+                </div>
+              ) : !s.enabled ? (
+                <form
+                  method="post"
+                  action={`/admin/sources/${s.source_id}/action`}
+                  style={{ marginTop: 8, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}
+                >
+                  <span className="meta">
+                    Disabled {ago(s.disabled_at)}
+                    {s.disabled_reason ? `: ${s.disabled_reason}` : ""}
+                  </span>
+                  <input type="hidden" name="action" value="reenable" />
+                  <button type="submit" style={button}>
+                    Re-enable
+                  </button>
+                </form>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="meta" style={{ marginTop: 16 }}>
+          No sources{filter ? ` are ${HEALTH_LABELS[filter].toLowerCase()}` : ""}.
+        </p>
+      )}
+    </main>
+  );
+}
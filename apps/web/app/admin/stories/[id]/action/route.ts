@@ -0,0 +1,48 @@
+// apps/web/app/admin/stories/[id]/action/route.ts
+// Form posts from the admin story page: edit, submit, approve, unpublish, regenerate, and
+// approving or discarding a published story's pending revision.
+import { NextRequest, NextResponse } from "next/server";
+import { AdminError, applyStoryAction, currentEditor, isStoryId, StoryAction } from "../../../../../lib/admin";
+import { isSameSitePost } from "../../../../../lib/adminAuth";
+
+export const dynamic = "force-dynamic";
+
+const ACTIONS = ["edit", "submit", "approve", "unpublish", "regenerate", "approve_revision", "discard_revision"];
+
+function back(req: NextRequest, id: string, key: "done" | "error", value: string) {
+  const url = new URL(`/admin/stories/${id}`, req.url);
+  url.searchParams.set(key, value);
+  // 303 so the browser follows with a GET.
+  return NextResponse.redirect(url, 303);
+}
+
+export async function POST(req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  const { id } = await params;
+  if (!isStoryId(id)) return new NextResponse("Not found", { status: 404 });
+
+  if (!isSameSitePost(req.headers, req.nextUrl.origin)) {
+    return new NextResponse("Cross-site request refused", { status: 403 });
+  }
+
+  const form = await req.formData();
+  const action = String(form.get("action") || "");
+  if (!ACTIONS.includes(action)) return back(req, id, "error", "Unknown action");
+
+  const input: StoryAction =
+    action === "edit"
+      ? {
+          action,
+          title: String(form.get("title") || ""),
+          dek: String(form.get("dek") || ""),
+          body_markdown: String(form.get("body_markdown") || ""),
+        }
+      : { action: action as Exclude<StoryAction["action"], "edit"> };
+
+  try {
+    await applyStoryAction(id, await currentEditor(), input);
+  } catch (err) {
+    if (err instanceof AdminError) return back(req, id, "error", err.message);
+    throw err;
+  }
+  return back(req, id, "done", action);
+}
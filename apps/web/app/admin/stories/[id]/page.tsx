@@ -0,0 +1,232 @@
+// apps/web/app/admin/stories/[id]/page.tsx
+// One story for editors: preview, edit, status actions, regenerate, a pending revision, and its audit log.
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { StoryBody, StorySources } from "../../../../components/StoryBody";
+import { allowedActions, getAdminStory, isStoryId, STATUS_LABELS, StoryStatus } from "../../../../lib/admin";
+import { storyPlace } from "../../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+const ACTION_LABELS: Record<string, string> = {
+  submit: "Send to review",
+  approve: "Approve and publish",
+  unpublish: "Unpublish",
+  regenerate: "Regenerate",
+  edit: "Save changes",
+  approve_revision: "Approve revision",
+  discard_revision: "Discard revision",
+};
+
+const AUDIT_LABELS: Record<string, string> = {
+  create: "created",
+  rewrite: "rewrote",
+  regenerate: "regenerated",
+  regenerate_requested: "asked to regenerate",
+  edit: "edited",
+  submit: "sent to review",
+  approve: "approved",
+  unpublish: "unpublished",
+  revision_pending: "wrote a revision for review",
+  approve_revision: "approved the revision",
+  discard_revision: "discarded the revision",
+};
+
+const field = {
+  width: "100%",
+  marginTop: 4,
+  padding: "8px 10px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 8,
+  font: "inherit",
+} as const;
+
+const button = {
+  padding: "6px 12px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 13,
+} as const;
+
+export default async function AdminStoryPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ id: string }>;
+  searchParams: Promise<Params>;
+}) {
+  const { id } = await params;
+  const sp = await searchParams;
+  const data = isStoryId(id) ? await getAdminStory(id) : null;
+  if (!data) notFound();
+
+  const { story, sources, audit, generations, versions, pending } = data;
+  const status = story.status as StoryStatus;
+  const action = `/admin/stories/${story.id}/action`;
+  const done = typeof sp.done === "string" ? sp.done : null;
+  const error = typeof sp.error === "string" ? sp.error : null;
+
+  return (
+    <main>
+      <Link href={`/admin/stories?status=${status}`} style={{ opacity: 0.8 }}>
+        ← {STATUS_LABELS[status]} stories
+      </Link>
+
+      {error ? (
+        <p className="card" style={{ marginTop: 12, borderColor: "#f87171" }}>
+          {error}
+        </p>
+      ) : done ? (
+        <p className="card" style={{ marginTop: 12 }}>
+          Done: {ACTION_LABELS[done]?.toLowerCase() ?? done}.
+        </p>
+      ) : null}
+
+      <div className="meta" style={{ marginTop: 12 }}>
+        <strong>{STATUS_LABELS[status]}</strong> • {story.story_type} • {storyPlace(story)} •{" "}
+        {story.publish_rule || "manual"} • {story.model_name || "unknown model"} ({story.prompt_version}) • created{" "}
+        {new Date(story.created_at).toLocaleString()} • version {story.version}
+        {story.revised_at ? ` • text updated ${new Date(story.revised_at).toLocaleString()}` : ""}
+        {story.regenerate_requested_at ? " • regeneration pending (the writer picks it up on its next run)" : ""}
+        {pending ? " • revision awaiting approval (below)" : ""}
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}>
+        {[...allowedActions(status), "regenerate"].map((a) => (
+          <form key={a} method="post" action={action}>
+            <input type="hidden" name="action" value={a} />
+            <button type="submit" style={button}>
+              {ACTION_LABELS[a]}
+            </button>
+          </form>
+        ))}
+        {status === "published" ? (
+          <Link href={`/stories/${story.id}`} style={{ ...button, display: "inline-block" }}>
+            View live
+          </Link>
+        ) : null}
+      </div>
+
+      <section className="card" style={{ marginTop: 18 }}>
+        <h1 style={{ fontSize: 28, fontWeight: 900, margin: 0 }}>{story.title}</h1>
+        {story.dek ? <p style={{ marginTop: 10, fontSize: 16, opacity: 0.85 }}>{story.dek}</p> : null}
+        <StoryBody markdown={story.body_markdown} sources={sources} />
+        <h2 style={{ fontSize: 16, fontWeight: 800, marginTop: 20 }}>Sources</h2>
+        <StorySources sources={sources} />
+      </section>
+
+      {pending ? (
+        <section style={{ marginTop: 24 }}>
+          <h2 style={{ fontSize: 18 }}>Revision awaiting approval</h2>
+          <p className="meta">
+            {pending.action === "regenerate" ? "Regenerated" : "Rewritten with new items"}{" "}
+            {new Date(pending.created_at).toLocaleString()} by {pending.model_name || "unknown model"} (
+            {pending.prompt_version}). The published text above stays live until the revision is approved.
+          </p>
+          <div style={{ display: "flex", gap: 8 }}>
+            {["approve_revision", "discard_revision"].map((a) => (
+              <form key={a} method="post" action={action}>
+                <input type="hidden" name="action" value={a} />
+                <button type="submit" style={button}>
+                  {ACTION_LABELS[a]}
+                </button>
+              </form>
+            ))}
+          </div>
+          <div className="card" style={{ marginTop: 12 }}>
+            <h1 style={{ fontSize: 24, fontWeight: 900, margin: 0 }}>{pending.title}</h1>
+            {pending.dek ? <p style={{ marginTop: 10, fontSize: 16, opacity: 0.85 }}>{pending.dek}</p> : null}
+            <StoryBody markdown={pending.body_markdown} sources={pending.sources} />
+            {pending.sources.length ? (
+              <>
+                <h2 style={{ fontSize: 16, fontWeight: 800, marginTop: 20 }}>Sources</h2>
+                <StorySources sources={pending.sources} />
+              </>
+            ) : null}
+          </div>
+        </section>
+      ) : null}
+
+      <section style={{ marginTop: 24 }}>
+        <h2 style={{ fontSize: 18 }}>Edit</h2>
+        <form method="post" action={action}>
+          <input type="hidden" name="action" value="edit" />
+          <label style={{ display: "block", marginTop: 10 }}>
+            Title
+            <input name="title" defaultValue={story.title} required style={field} />
+          </label>
+          <label style={{ display: "block", marginTop: 10 }}>
+            Dek
+            <input name="dek" defaultValue={story.dek} style={field} />
+          </label>
+          <label style={{ display: "block", marginTop: 10 }}>
+            Body (keep the [n] citations)
+            <textarea name="body_markdown" defaultValue={story.body_markdown} required rows={14} style={field} />
+          </label>
+          <button type="submit" style={{ ...button, marginTop: 10 }}>
+            {ACTION_LABELS.edit}
+          </button>
+        </form>
+      </section>
+
+      <section style={{ marginTop: 24 }}>
+        <h2 style={{ fontSize: 18 }}>History</h2>
+        {audit.length ? (
+          <ul style={{ paddingLeft: 18 }}>
+            {audit.map((e) => (
+              <li key={e.id} style={{ marginTop: 6, fontSize: 13 }}>
+                <span className="meta">{new Date(e.created_at).toLocaleString()}</span> — <strong>{e.actor}</strong>{" "}
+                {AUDIT_LABELS[e.action] ?? e.action}
+                {e.from_status !== e.to_status && e.to_status
+                  ? ` (${e.from_status ? `${e.from_status} → ` : ""}${e.to_status})`
+                  : ""}
+                {Array.isArray(e.details.fields) ? `: ${e.details.fields.join(", ")}` : ""}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="meta">No recorded actions.</p>
+        )}
+
+        {versions.length ? (
+          <>
+            <h3 style={{ fontSize: 15, marginTop: 16 }}>Earlier versions</h3>
+            {versions.map((v) => (
+              <details key={v.version} style={{ marginTop: 8 }}>
+                <summary className="meta" style={{ cursor: "pointer" }}>
+                  Version {v.version} — {new Date(v.written_at).toLocaleString()} to{" "}
+                  {new Date(v.replaced_at).toLocaleString()}: {v.title}
+                </summary>
+                {v.dek ? <p style={{ opacity: 0.85 }}>{v.dek}</p> : null}
+                <pre style={{ whiteSpace: "pre-wrap", fontSize: 13, opacity: 0.85 }}>{v.body_markdown}</pre>
+              </details>
+            ))}
+          </>
+        ) : null}
+
+        {generations.length ? (
+          <>
+            <h3 style={{ fontSize: 15, marginTop: 16 }}>AI generations</h3>
+            <ul style={{ paddingLeft: 18 }}>
+              {generations.map((g, i) => (
+                <li key={i} className="meta">
+                  {new Date(g.created_at).toLocaleString()} — {g.provider}/{g.model_name} ({g.prompt_version}):{" "}
+                  {g.input_tokens} in / {g.output_tokens} out tokens, {g.latency_ms} ms, {g.attempts} attempt
+                  {g.attempts === 1 ? "" : "s"}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : null}
+      </section>
+    </main>
+  );
+}
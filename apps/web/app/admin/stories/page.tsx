@@ -0,0 +1,89 @@
+// apps/web/app/admin/stories/page.tsx
+// Review queue for AI stories, one tab per status (in review first).
+import Link from "next/link";
+import { getStatusCounts, listAdminStories, STATUS_LABELS, STORY_STATUSES, StoryStatus } from "../../../lib/admin";
+import { storyPlace } from "../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+const PAGE_SIZE = 50;
+const MAX_PAGE = 500; // keeps OFFSET in bigint range whatever ?page= says
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+const pill = {
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+} as const;
+
+function href(status: StoryStatus, page = 1) {
+  return `/admin/stories?status=${status}${page > 1 ? `&page=${page}` : ""}`;
+}
+
+export default async function AdminStoriesPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const requested = param(sp, "status");
+  const status: StoryStatus = STORY_STATUSES.find((s) => s === requested) ?? "in_review";
+  const page = Math.min(MAX_PAGE, Math.max(1, Math.floor(Number(param(sp, "page"))) || 1));
+
+  const [counts, rows] = await Promise.all([
+    getStatusCounts(),
+    listAdminStories(status, PAGE_SIZE, (page - 1) * PAGE_SIZE),
+  ]);
+  const hasNext = rows.length > PAGE_SIZE;
+  const stories = rows.slice(0, PAGE_SIZE);
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Stories — review</h2>
+      <p className="meta">
+        <Link href="/admin/sources">Source health →</Link>
+      </p>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        {STORY_STATUSES.map((s) => (
+          <Link key={s} href={href(s)} style={{ ...pill, fontWeight: s === status ? 700 : 400 }}>
+            {STATUS_LABELS[s]} ({counts[s]})
+          </Link>
+        ))}
+      </div>
+
+      {stories.length ? (
+        <div className="grid" style={{ marginTop: 16 }}>
+          {stories.map((st) => (
+            <div key={st.id} className="card">
+              <h3 className="article-title">
+                <Link href={`/admin/stories/${st.id}`}>{st.title}</Link>
+              </h3>
+              <div className="meta">
+                {st.story_type} • {storyPlace(st)} •{" "}
+                {st.publish_rule || "manual"} • updated {new Date(st.updated_at).toLocaleString()}
+                {st.regenerate_requested_at ? " • regeneration pending" : ""}
+                {st.revision_pending ? " • revision awaiting approval" : ""}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="meta" style={{ marginTop: 16 }}>
+          No {STATUS_LABELS[status].toLowerCase()} stories.
+        </p>
+      )}
+
+      {page > 1 || hasNext ? (
+        <nav style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
+          {page > 1 ? <Link href={href(status, page - 1)}>← Newer</Link> : <span />}
+          {hasNext ? <Link href={href(status, page + 1)}>Older →</Link> : <span />}
+        </nav>
+      ) : null}
+    </main>
+  );
+}
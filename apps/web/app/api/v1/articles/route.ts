@@ -0,0 +1,47 @@
+// apps/web/app/api/v1/articles/route.ts
+// GET /api/v1/articles?state=FL&county=Santa%20Rosa&topic=schools&source_type=school&since=...&limit=25&cursor=...
+import { NextRequest } from "next/server";
+import {
+  decodeCursor,
+  encodeCursor,
+  handleApi,
+  isKeyset,
+  jsonResponse,
+  limitParam,
+  queryParam,
+  sinceParam,
+  sourceTypesParam,
+} from "../../../../lib/api";
+import { Keyset, listArticles } from "../../../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req: NextRequest) {
+  return handleApi(req, async (rl) => {
+    const limit = limitParam(req);
+    const after = decodeCursor<Keyset>(req, (v) => isKeyset(v, (k) => typeof k === "string"));
+
+    const rows = await listArticles(
+      {
+        state: queryParam(req, "state")?.toUpperCase(),
+        county: queryParam(req, "county"),
+        topic: queryParam(req, "topic"),
+        sourceTypes: sourceTypesParam(req),
+        since: sinceParam(req),
+      },
+      after,
+      limit
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return jsonResponse(
+      req,
+      {
+        data: page.map(({ sort_key, ...a }) => a),
+        next_cursor: rows.length > limit && last ? encodeCursor({ t: last.sort_key, k: last.id }) : null,
+      },
+      rl
+    );
+  });
+}
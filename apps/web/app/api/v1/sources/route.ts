@@ -0,0 +1,40 @@
+// apps/web/app/api/v1/sources/route.ts
+// GET /api/v1/sources?state=AL&county=Mobile&source_type=sheriff&limit=25&cursor=...
+import { NextRequest } from "next/server";
+import {
+  decodeCursor,
+  encodeCursor,
+  handleApi,
+  jsonResponse,
+  limitParam,
+  queryParam,
+  sourceTypesParam,
+} from "../../../../lib/api";
+import { listSources } from "../../../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req: NextRequest) {
+  return handleApi(req, async (rl) => {
+    const limit = limitParam(req);
+    const after = decodeCursor<{ id: number }>(req, (v) => Number.isInteger(v?.id));
+
+    const rows = await listSources(
+      {
+        state: queryParam(req, "state")?.toUpperCase(),
+        county: queryParam(req, "county"),
+        sourceTypes: sourceTypesParam(req),
+      },
+      after?.id ?? null,
+      limit
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return jsonResponse(
+      req,
+      { data: page, next_cursor: rows.length > limit && last ? encodeCursor({ id: last.id }) : null },
+      rl
+    );
+  });
+}
@@ -0,0 +1,19 @@
+// apps/web/app/api/v1/stories/[id]/route.ts
+// GET /api/v1/stories/<uuid> — one story with the sources it cites.
+import { NextRequest } from "next/server";
+import { ApiError, handleApi, jsonResponse } from "../../../../../lib/api";
+import { getStoryWithSources } from "../../../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export async function GET(req: NextRequest, { params }: { params: Promise<{ id: string }> }) {
+  return handleApi(req, async (rl) => {
+    const { id } = await params;
+    const data = UUID_RE.test(id) ? await getStoryWithSources(id) : null;
+    if (!data || data.story.status !== "published") throw new ApiError(404, "Story not found");
+
+    return jsonResponse(req, { data: { ...data.story, sources: data.sources } }, rl);
+  });
+}
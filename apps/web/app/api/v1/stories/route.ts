@@ -0,0 +1,45 @@
+// apps/web/app/api/v1/stories/route.ts
+// GET /api/v1/stories?state=FL&county=Escambia&type=brief&since=...&limit=25&cursor=...
+import { NextRequest } from "next/server";
+import {
+  decodeCursor,
+  encodeCursor,
+  handleApi,
+  isKeyset,
+  jsonResponse,
+  limitParam,
+  queryParam,
+  sinceParam,
+} from "../../../../lib/api";
+import { isStoryId, listStories } from "../../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req: NextRequest) {
+  return handleApi(req, async (rl) => {
+    const limit = limitParam(req);
+    const after = decodeCursor<{ t: string; k: string }>(req, (v) => isKeyset(v, (k) => isStoryId(String(k))));
+
+    const rows = await listStories(
+      {
+        state: queryParam(req, "state")?.toUpperCase(),
+        county: queryParam(req, "county"),
+        storyType: queryParam(req, "type"),
+        since: sinceParam(req),
+      },
+      after,
+      limit
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return jsonResponse(
+      req,
+      {
+        data: page.map(({ sort_key, ...s }) => s),
+        next_cursor: rows.length > limit && last ? encodeCursor({ t: last.sort_key, k: last.id }) : null,
+      },
+      rl
+    );
+  });
+}
@@ -0,0 +1,35 @@
+// apps/web/app/feeds/[scope]/[county]/route.ts
+// /feeds/fl/santa-rosa.{xml,atom,json}: a county's articles and published stories.
+import { articleEntry, countySlug, feedResponse, mergeEntries, splitFeedFile, storyEntry } from "../../../../lib/feeds";
+import { getCounties, getLocalArticles } from "../../../../lib/queries";
+import { getStoriesForFeed } from "../../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+const FEED_SIZE = 50;
+
+export async function GET(_req: Request, { params }: { params: Promise<{ scope: string; county: string }> }) {
+  const { scope: state, county: countyFile } = await params;
+  const file = splitFeedFile(countyFile);
+  if (!file) return new Response("Not found", { status: 404 });
+
+  const county = (await getCounties(state.toUpperCase())).find((c) => countySlug(c.county) === file.name);
+  if (!county) return new Response("Not found", { status: 404 });
+
+  const [articles, stories] = await Promise.all([
+    getLocalArticles({ state: county.state, county: county.county }, FEED_SIZE),
+    getStoriesForFeed({ state: county.state, county: county.county_key }, FEED_SIZE),
+  ]);
+
+  const qs = new URLSearchParams({ state: county.state, county: county.county });
+  return feedResponse(
+    file.format,
+    {
+      title: `Panhandle Pulse — ${county.county} County, ${county.state}`,
+      description: `Local news and AI roundups for ${county.county} County, ${county.state}.`,
+      path: `/feeds/${county.state.toLowerCase()}/${file.name}`,
+      homePath: `/local?${qs.toString()}`,
+    },
+    mergeEntries([articles.slice(0, FEED_SIZE).map(articleEntry), stories.map(storyEntry)], FEED_SIZE)
+  );
+}
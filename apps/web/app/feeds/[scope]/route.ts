@@ -0,0 +1,45 @@
+// apps/web/app/feeds/[scope]/route.ts
+// /feeds/all.{xml,atom,json} and /feeds/stories.{xml,atom,json}.
+// The segment is shared with /feeds/[scope]/[county], where it is the state.
+import { articleEntry, feedResponse, mergeEntries, splitFeedFile, storyEntry } from "../../../lib/feeds";
+import { getCombinedFeed } from "../../../lib/queries";
+import { getStoriesForFeed } from "../../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+const FEED_SIZE = 50;
+
+export async function GET(_req: Request, { params }: { params: Promise<{ scope: string }> }) {
+  const file = splitFeedFile((await params).scope);
+  if (!file) return new Response("Not found", { status: 404 });
+
+  if (file.name === "all") {
+    const [articles, stories] = await Promise.all([getCombinedFeed(FEED_SIZE), getStoriesForFeed({}, FEED_SIZE)]);
+    return feedResponse(
+      file.format,
+      {
+        title: "Panhandle Pulse",
+        description: "Local news from the Florida Panhandle and South Alabama, with links to the original publishers.",
+        path: "/feeds/all",
+        homePath: "/",
+      },
+      mergeEntries([articles.map(articleEntry), stories.map(storyEntry)], FEED_SIZE)
+    );
+  }
+
+  if (file.name === "stories") {
+    const stories = await getStoriesForFeed({}, FEED_SIZE);
+    return feedResponse(
+      file.format,
+      {
+        title: "Panhandle Pulse — Stories",
+        description: "AI-written roundups and briefs, each citing the local sources it was written from.",
+        path: "/feeds/stories",
+        homePath: "/stories",
+      },
+      stories.map(storyEntry)
+    );
+  }
+
+  return new Response("Not found", { status: 404 });
+}
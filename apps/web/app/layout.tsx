@@ -1,11 +1,29 @@
 import "./globals.css";
+import { cookies } from "next/headers";
+import { AlertBanner } from "../components/AlertBanner";
+import { getActiveWarnings, parseSelectedCounty, SELECTED_COUNTY_COOKIE, WeatherAlert } from "../lib/alerts";
 
 export const metadata = {
   title: "Panhandle Pulse",
   description: "Latest news across the Florida Panhandle — updated frequently."
 };
 
-export default function RootLayout({ children }: { children: React.ReactNode }) {
+export default async function RootLayout({ children }: { children: React.ReactNode }) {
+  const selected = parseSelectedCounty((await cookies()).get(SELECTED_COUNTY_COOKIE)?.value);
+
+  // The banner must never take the page down with it.
+  let warnings: WeatherAlert[] = [];
+  if (selected) {
+    try {
+      warnings = await getActiveWarnings(selected);
+    } catch (err) {
+      console.error("Weather alert lookup failed:", err);
+    }
+  }
+  const countyName = selected
+    ? `${selected.county_key.replace(/_(FL|AL|GA)$/, "").replace(/_/g, " ")} County`
+    : "";
+
   return (
     <html lang="en">
       <body>
@@ -16,6 +34,7 @@ export default function RootLayout({ children }: { children: React.ReactNode })
               <p>Latest articles ingested from your sources</p>
             </div>
           </div>
+          <AlertBanner alerts={warnings} county={countyName} />
           {children}
           <div className="footer">Read-only beta • Powered by your ingestion pipeline</div>
         </div>
@@ -0,0 +1,233 @@
+// apps/web/app/local/page.tsx
+import Link from "next/link";
+import { cookies } from "next/headers";
+import { notFound } from "next/navigation";
+import { ArticleList } from "../../components/ArticleList";
+import { parseSelectedCounty, SELECTED_COUNTY_COOKIE } from "../../lib/alerts";
+import { countySlug } from "../../lib/feeds";
+import { County, getCounties, getLocalArticles, SOURCE_TYPE_FILTERS } from "../../lib/queries";
+import { getCountyStories, getStateStories, StoryRow } from "../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+const PAGE_SIZE = 20;
+const MAX_PAGE = 500; // keeps OFFSET in bigint range whatever ?page= says
+const ROUNDUPS_SHOWN = 5;
+
+const STATE_NAMES: Record<string, string> = { FL: "Florida", AL: "Alabama", GA: "Georgia" };
+
+type SearchParams = Record<string, string | string[] | undefined>;
+
+type LocalQuery = {
+  state?: string | null;
+  county?: string | null;
+  type?: string | null;
+  page?: number;
+};
+
+function param(sp: SearchParams, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+function localHref(q: LocalQuery) {
+  const qs = new URLSearchParams();
+  if (q.state) qs.set("state", q.state);
+  if (q.county) qs.set("county", q.county);
+  if (q.type) qs.set("type", q.type);
+  if (q.page && q.page > 1) qs.set("page", String(q.page));
+  const s = qs.toString();
+  return s ? `/local?${s}` : "/local";
+}
+
+const pill = {
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+} as const;
+
+function CountyLinks({ counties }: { counties: County[] }) {
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 10 }}>
+      {counties.map((c) => (
+        <Link key={`${c.state}-${c.county_key}`} href={localHref({ state: c.state, county: c.county })} style={pill}>
+          {c.county}
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+function Roundups({ stories }: { stories: StoryRow[] }) {
+  if (!stories.length) return null;
+
+  return (
+    <section style={{ marginTop: 20 }}>
+      <h2 style={{ fontSize: 18 }}>Roundups</h2>
+      <div className="grid">
+        {stories.map((s) => (
+          <div key={s.id} className="card">
+            <h3 className="article-title">
+              <Link href={`/stories/${s.id}`}>{s.title}</Link>
+            </h3>
+            <div className="meta">
+              {new Date(s.created_at).toLocaleString()}
+              {s.revised_at ? ` • Updated ${new Date(s.revised_at).toLocaleString()}` : ""}
+            </div>
+            {s.dek ? <p className="summary">{s.dek}</p> : null}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+function CountyIndex({ counties }: { counties: County[] }) {
+  const states = [...new Set(counties.map((c) => c.state))];
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Local news</h2>
+      {states.map((st) => (
+        <section key={st} style={{ marginTop: 18 }}>
+          <h3 style={{ margin: 0 }}>
+            <Link href={localHref({ state: st })}>{STATE_NAMES[st] ?? st}</Link>
+          </h3>
+          <CountyLinks counties={counties.filter((c) => c.state === st)} />
+        </section>
+      ))}
+    </main>
+  );
+}
+
+export default async function LocalPage({ searchParams }: { searchParams: Promise<SearchParams> }) {
+  const sp = await searchParams;
+  const stateParam = param(sp, "state")?.toUpperCase() ?? null;
+  const countyParam = param(sp, "county");
+  const typeParam = param(sp, "type");
+  const type = typeParam && SOURCE_TYPE_FILTERS[typeParam] ? typeParam : null;
+  const page = Math.min(MAX_PAGE, Math.max(1, Number.parseInt(param(sp, "page") ?? "1", 10) || 1));
+
+  const counties = await getCounties();
+
+  if (!stateParam && !countyParam) return <CountyIndex counties={counties} />;
+
+  let county: County | null = null;
+  if (countyParam) {
+    const matches = counties.filter(
+      (c) => c.county.toLowerCase() === countyParam.toLowerCase() && (!stateParam || c.state === stateParam)
+    );
+    if (!matches.length) notFound();
+
+    // /local?county=Escambia exists in FL and AL; let the reader pick.
+    if (matches.length > 1) {
+      return (
+        <main>
+          <h2 style={{ marginTop: 0 }}>{matches[0].county} County</h2>
+          <p className="meta">There is more than one {matches[0].county} County. Which one?</p>
+          <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+            {matches.map((c) => (
+              <Link key={c.state} href={localHref({ state: c.state, county: c.county, type })} style={pill}>
+                {c.county}, {STATE_NAMES[c.state] ?? c.state}
+              </Link>
+            ))}
+          </div>
+        </main>
+      );
+    }
+    county = matches[0];
+  }
+
+  const state = county?.state ?? stateParam!;
+  const stateCounties = counties.filter((c) => c.state === state);
+  if (!stateCounties.length) notFound();
+
+  const offset = (page - 1) * PAGE_SIZE;
+  const [rows, stories] = await Promise.all([
+    getLocalArticles({ state, county: county?.county, sourceType: type }, PAGE_SIZE, offset),
+    page === 1
+      ? county
+        ? getCountyStories(state, county.county_key, ROUNDUPS_SHOWN)
+        : getStateStories(state, ROUNDUPS_SHOWN)
+      : Promise.resolve([] as StoryRow[]),
+  ]);
+  const items = rows.slice(0, PAGE_SIZE);
+  const hasNext = rows.length > PAGE_SIZE;
+
+  const here = { state, county: county?.county ?? null };
+  const selected = parseSelectedCounty((await cookies()).get(SELECTED_COUNTY_COOKIE)?.value);
+  const isMyCounty = county != null && selected?.state === county.state && selected.county_key === county.county_key;
+  const stateName = STATE_NAMES[state] ?? state;
+
+  return (
+    <main>
+      <div className="meta" style={{ marginTop: 0 }}>
+        <Link href="/local">Local</Link>
+        {county ? (
+          <>
+            {" / "}
+            <Link href={localHref({ state })}>{stateName}</Link>
+          </>
+        ) : null}
+      </div>
+      <h2 style={{ margin: "6px 0 0" }}>{county ? `${county.county} County, ${state}` : stateName}</h2>
+      {county ? (
+        <div className="meta">
+          {isMyCounty ? (
+            <>
+              Your county — weather warnings for it show at the top of every page.{" "}
+              <a href="/local/select?clear=1">Clear</a>
+            </>
+          ) : (
+            <a href={`/local/select?state=${county.state}&county_key=${encodeURIComponent(county.county_key)}`}>
+              Make this my county (show its weather warnings on every page)
+            </a>
+          )}
+        </div>
+      ) : null}
+
+      {county ? (
+        <div className="meta">
+          Subscribe:{" "}
+          {(["xml", "atom", "json"] as const).map((ext, i) => (
+            <span key={ext}>
+              {i ? " · " : ""}
+              <a href={`/feeds/${state.toLowerCase()}/${countySlug(county.county)}.${ext}`}>
+                {ext === "xml" ? "RSS" : ext === "atom" ? "Atom" : "JSON Feed"}
+              </a>
+            </span>
+          ))}
+        </div>
+      ) : (
+        <CountyLinks counties={stateCounties} />
+      )}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 14 }}>
+        <Link href={localHref(here)} style={{ ...pill, fontWeight: type ? 400 : 700 }}>
+          All sources
+        </Link>
+        {Object.entries(SOURCE_TYPE_FILTERS).map(([key, f]) => (
+          <Link key={key} href={localHref({ ...here, type: key })} style={{ ...pill, fontWeight: type === key ? 700 : 400 }}>
+            {f.label}
+          </Link>
+        ))}
+      </div>
+
+      <Roundups stories={stories} />
+
+      <section style={{ marginTop: 20 }}>
+        <h2 style={{ fontSize: 18 }}>Latest{type ? ` — ${SOURCE_TYPE_FILTERS[type].label}` : ""}</h2>
+        <ArticleList items={items} />
+      </section>
+
+      {page > 1 || hasNext ? (
+        <nav style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
+          {page > 1 ? <Link href={localHref({ ...here, type, page: page - 1 })}>← Newer</Link> : <span />}
+          {hasNext ? <Link href={localHref({ ...here, type, page: page + 1 })}>Older →</Link> : <span />}
+        </nav>
+      ) : null}
+    </main>
+  );
+}
@@ -0,0 +1,33 @@
+// apps/web/app/local/select/route.ts
+// Remembers the reader's county (for the weather-warning banner) and goes back to its page.
+import { NextRequest, NextResponse } from "next/server";
+import { getCounties } from "../../../lib/queries";
+import { SELECTED_COUNTY_COOKIE } from "../../../lib/alerts";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req: NextRequest) {
+  const state = req.nextUrl.searchParams.get("state")?.toUpperCase() ?? "";
+  const countyKey = req.nextUrl.searchParams.get("county_key") ?? "";
+
+  if (req.nextUrl.searchParams.has("clear")) {
+    const res = NextResponse.redirect(new URL("/local", req.url));
+    res.cookies.delete(SELECTED_COUNTY_COOKIE);
+    return res;
+  }
+
+  const county = (await getCounties(state)).find((c) => c.county_key === countyKey);
+  if (!county) return NextResponse.redirect(new URL("/local", req.url));
+
+  const back = new URL("/local", req.url);
+  back.searchParams.set("state", county.state);
+  back.searchParams.set("county", county.county);
+
+  const res = NextResponse.redirect(back);
+  res.cookies.set(SELECTED_COUNTY_COOKIE, `${county.state}:${county.county_key}`, {
+    path: "/",
+    maxAge: 60 * 60 * 24 * 365,
+    sameSite: "lax",
+  });
+  return res;
+}
@@ -0,0 +1,60 @@
+// apps/web/app/map/page.tsx
+// Recent articles on a map, placed by the towns and counties they mention; the list follows the map.
+import Link from "next/link";
+import { Bounds, PlaceMap } from "../../components/PlaceMap";
+import { getMapItems } from "../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+const DAY_CHOICES = [1, 3, 7];
+
+type SearchParams = Record<string, string | string[] | undefined>;
+
+function param(sp: SearchParams, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+// "west,south,east,north" as the map writes it into the URL.
+function parseBbox(value: string | null): Bounds | null {
+  const n = value?.split(",").map(Number) ?? [];
+  if (n.length !== 4 || n.some((v) => !Number.isFinite(v))) return null;
+  const [west, south, east, north] = n;
+  return west < east && south < north ? { west, south, east, north } : null;
+}
+
+const pill = {
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+} as const;
+
+export default async function MapPage({ searchParams }: { searchParams: Promise<SearchParams> }) {
+  const sp = await searchParams;
+  const requested = Number(param(sp, "days"));
+  const days = DAY_CHOICES.includes(requested) ? requested : 3;
+  const bbox = parseBbox(param(sp, "bbox"));
+
+  const items = await getMapItems(days);
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Map</h2>
+      <p className="meta">
+        Articles placed by the towns and counties they mention, or by their source&apos;s county when they name none.
+      </p>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, margin: "10px 0" }}>
+        {DAY_CHOICES.map((d) => (
+          <Link key={d} href={`/map?days=${d}`} style={{ ...pill, fontWeight: d === days ? 700 : 400 }}>
+            {d === 1 ? "Last 24 hours" : `Last ${d} days`}
+          </Link>
+        ))}
+      </div>
+
+      <PlaceMap key={days} items={items} initial={bbox} />
+    </main>
+  );
+}
@@ -1,6 +1,6 @@
 // apps/web/app/page.tsx
 import Link from "next/link";
-import { getCombinedFeed } from "../lib/queries";
+import { getCombinedFeed, getCounties } from "../lib/queries";
 
 function timeAgo(dateStr?: string | null) {
   if (!dateStr) return "";
@@ -21,7 +21,7 @@ function cleanSource(s?: string | null) {
 }
 
 export default async function HomePage() {
-  const items = await getCombinedFeed(60);
+  const [items, counties] = await Promise.all([getCombinedFeed(60), getCounties()]);
 
   const hero = items[0];
   const topGrid = items.slice(1, 7);
@@ -43,7 +43,9 @@ export default async function HomePage() {
             <Link className="hover:text-white" href="/">Home</Link>
             <Link className="hover:text-white" href="/local">Local</Link>
             <Link className="hover:text-white" href="/topics">Topics</Link>
+            <Link className="hover:text-white" href="/map">Map</Link>
             <Link className="hover:text-white" href="/search">Search</Link>
+            <Link className="hover:text-white" href="/subscribe">Email</Link>
             <Link className="hover:text-white" href="/about">About</Link>
           </nav>
         </div>
@@ -54,16 +56,16 @@ export default async function HomePage() {
           <section className="grid gap-6 md:grid-cols-12">
             <a href={hero.url} target="_blank" rel="noreferrer" className="group md:col-span-8">
               <div className="overflow-hidden rounded-2xl border border-zinc-800 bg-zinc-900">
-                <div className="relative aspect-[16/9] w-full bg-zinc-800">
-                  {hero.image_url ? (
-                    // eslint-disable-next-line @next/next/no-img-element
+                {hero.image_url ? (
+                  <div className="relative aspect-[16/9] w-full bg-zinc-800">
+                    {/* eslint-disable-next-line @next/next/no-img-element */}
                     <img
                       src={hero.image_url}
                       alt={hero.title}
                       className="h-full w-full object-cover transition-transform duration-300 group-hover:scale-[1.02]"
                     />
-                  ) : null}
-                </div>
+                  </div>
+                ) : null}
                 <div className="p-5">
                   <div className="flex flex-wrap items-center gap-2 text-xs text-zinc-400">
                     <span className="rounded-full border border-zinc-700 px-2 py-0.5">Top Story</span>
@@ -85,6 +87,7 @@ export default async function HomePage() {
 
                   <div className="mt-4 text-sm text-zinc-400">
                     Source: <span className="text-zinc-200">{cleanSource(hero.source)}</span>
+                    {hero.author ? <> • By {hero.author}</> : null}
                   </div>
                 </div>
               </div>
@@ -94,13 +97,14 @@ export default async function HomePage() {
               <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-5">
                 <div className="text-sm font-semibold">Counties</div>
                 <div className="mt-3 grid grid-cols-2 gap-2 text-sm">
-                  {["Escambia","Santa Rosa","Okaloosa","Walton","Bay","Gulf","Washington","Jackson","Mobile","Baldwin","Covington"].map((c) => (
+                  {counties.map((c) => (
                     <Link
-                      key={c}
-                      href={`/local?county=${encodeURIComponent(c)}`}
+                      key={`${c.state}-${c.county_key}`}
+                      href={`/local?state=${c.state}&county=${encodeURIComponent(c.county)}`}
                       className="rounded-lg border border-zinc-800 bg-zinc-950 px-3 py-2 text-zinc-200 hover:border-zinc-600"
                     >
-                      {c}
+                      {c.county}
+                      {counties.some((o) => o.county === c.county && o.state !== c.state) ? `, ${c.state}` : ""}
                     </Link>
                   ))}
                 </div>
@@ -146,12 +150,23 @@ export default async function HomePage() {
                 rel="noreferrer"
                 className="group rounded-2xl border border-zinc-800 bg-zinc-900 p-4 hover:border-zinc-600"
               >
+                {it.image_url ? (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img
+                    src={it.image_url}
+                    alt=""
+                    className="mb-3 aspect-[16/9] w-full rounded-xl bg-zinc-800 object-cover"
+                  />
+                ) : null}
                 <div className="flex items-center justify-between text-xs text-zinc-400">
                   <span>{it.county && it.state ? `${it.county} • ${it.state}` : "Region"}</span>
                   <span>{timeAgo(it.published_at ?? it.fetched_at)}</span>
                 </div>
                 <div className="mt-2 font-semibold leading-snug group-hover:underline">{it.title}</div>
-                <div className="mt-2 text-xs text-zinc-400">Source: {cleanSource(it.source)}</div>
+                <div className="mt-2 text-xs text-zinc-400">
+                  Source: {cleanSource(it.source)}
+                  {it.cluster_size > 1 ? ` +${it.cluster_size - 1} more` : ""}
+                </div>
               </a>
             ))}
           </div>
@@ -176,6 +191,7 @@ export default async function HomePage() {
                       </span>
                     ) : null}
                     <span>{cleanSource(it.source)}</span>
+                    {it.cluster_size > 1 ? <span>+{it.cluster_size - 1} more sources</span> : null}
                     <span>•</span>
                     <span>{timeAgo(it.published_at ?? it.fetched_at)}</span>
                   </div>
@@ -0,0 +1,176 @@
+// apps/web/app/search/page.tsx
+import Link from "next/link";
+import { getCounties, SOURCE_TYPE_FILTERS } from "../../lib/queries";
+import { MARK_END, MARK_START, SearchHit, searchArticles } from "../../lib/search";
+
+export const dynamic = "force-dynamic";
+
+const PAGE_SIZE = 20;
+// Deeper pages aren't useful, and a huge ?page= would overflow Postgres's OFFSET.
+const MAX_PAGE = 500;
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+function formatDate(dateText: string | null) {
+  if (!dateText) return "";
+  return new Date(dateText).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+}
+
+// Snippets come back with MARK_START/MARK_END around matched words; render those as <mark>.
+function Snippet({ text }: { text: string }) {
+  const parts = text.split(MARK_START);
+  return (
+    <p className="summary">
+      {parts[0]}
+      {parts.slice(1).map((part, i) => {
+        const [hit, ...rest] = part.split(MARK_END);
+        return (
+          <span key={i}>
+            <mark>{hit}</mark>
+            {rest.join("")}
+          </span>
+        );
+      })}
+    </p>
+  );
+}
+
+function Hit({ hit }: { hit: SearchHit }) {
+  const place = hit.county && hit.state ? `${hit.county}, ${hit.state}` : hit.county || hit.state || "";
+  const meta = [hit.kind === "story" ? "Story" : hit.source, place, formatDate(hit.date)].filter(Boolean).join(" • ");
+
+  return (
+    <article className="card">
+      <h3 className="article-title">
+        {hit.kind === "story" ? (
+          <Link href={hit.url}>{hit.title}</Link>
+        ) : (
+          <a href={hit.url} target="_blank" rel="noreferrer">
+            {hit.title || "Untitled"}
+          </a>
+        )}
+      </h3>
+      <div className="meta">{meta}</div>
+      {hit.snippet ? <Snippet text={hit.snippet} /> : null}
+    </article>
+  );
+}
+
+const field = {
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 8,
+  padding: "6px 8px",
+  fontSize: 13,
+} as const;
+
+export default async function SearchPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const q = param(sp, "q");
+  const state = param(sp, "state")?.toUpperCase() ?? null;
+  const county = param(sp, "county");
+  const typeParam = param(sp, "type");
+  const type = typeParam && SOURCE_TYPE_FILTERS[typeParam] ? typeParam : null;
+  const from = param(sp, "from");
+  const to = param(sp, "to");
+  const page = Math.min(MAX_PAGE, Math.max(1, Number.parseInt(param(sp, "page") ?? "1", 10) || 1));
+
+  const counties = await getCounties();
+  const states = [...new Set(counties.map((c) => c.state))];
+  const countyNames = [...new Set(counties.filter((c) => !state || c.state === state).map((c) => c.county))].sort();
+
+  const rows = q
+    ? await searchArticles({ q, state, county, sourceType: type, from, to }, PAGE_SIZE, (page - 1) * PAGE_SIZE)
+    : [];
+  const hits = rows.slice(0, PAGE_SIZE);
+  const hasNext = rows.length > PAGE_SIZE;
+
+  const pageHref = (p: number) => {
+    const qs = new URLSearchParams();
+    for (const [k, v] of Object.entries({ q, state, county, type, from, to })) if (v) qs.set(k, v);
+    if (p > 1) qs.set("page", String(p));
+    return `/search?${qs.toString()}`;
+  };
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Search</h2>
+
+      <form action="/search" method="get" style={{ display: "grid", gap: 8 }}>
+        <input
+          type="search"
+          name="q"
+          defaultValue={q ?? ""}
+          placeholder='e.g. boil water notice, "road closure" -i-10'
+          style={{ ...field, fontSize: 15, padding: "8px 10px" }}
+        />
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+          <select name="state" defaultValue={state ?? ""} style={field}>
+            <option value="">All states</option>
+            {states.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+          <select name="county" defaultValue={county ?? ""} style={field}>
+            <option value="">All counties</option>
+            {countyNames.map((c) => (
+              <option key={c} value={c}>
+                {c}
+              </option>
+            ))}
+          </select>
+          <select name="type" defaultValue={type ?? ""} style={field}>
+            <option value="">All sources</option>
+            {Object.entries(SOURCE_TYPE_FILTERS).map(([key, f]) => (
+              <option key={key} value={key}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+          <label className="meta" style={{ marginTop: 0 }}>
+            From <input type="date" name="from" defaultValue={from ?? ""} style={field} />
+          </label>
+          <label className="meta" style={{ marginTop: 0 }}>
+            To <input type="date" name="to" defaultValue={to ?? ""} style={field} />
+          </label>
+          <button type="submit" style={{ ...field, cursor: "pointer", fontWeight: 700 }}>
+            Search
+          </button>
+        </div>
+      </form>
+
+      {q ? (
+        <section style={{ marginTop: 18 }}>
+          {hits.length ? (
+            <div className="grid">
+              {hits.map((h) => (
+                <Hit key={`${h.kind}-${h.id}`} hit={h} />
+              ))}
+            </div>
+          ) : (
+            <div className="card">
+              <strong>No matches.</strong>
+              <div className="meta">Try fewer words, a wider date range, or drop the county and source filters.</div>
+            </div>
+          )}
+
+          {page > 1 || hasNext ? (
+            <nav style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
+              {page > 1 ? <Link href={pageHref(page - 1)}>← Previous</Link> : <span />}
+              {hasNext ? <Link href={pageHref(page + 1)}>Next →</Link> : <span />}
+            </nav>
+          ) : null}
+        </section>
+      ) : null}
+    </main>
+  );
+}
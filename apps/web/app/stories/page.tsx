@@ -0,0 +1,78 @@
+// apps/web/app/stories/page.tsx
+import Link from "next/link";
+import { getLatestStories, isStoryType, STORY_TYPE_LABELS, STORY_TYPES, StoryType, storyPlace } from "../../lib/storyQueries";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+const pill = {
+  border: "1px solid rgba(255,255,255,0.15)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+  textDecoration: "none",
+} as const;
+
+export default async function StoriesPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const requested = Array.isArray(sp.type) ? sp.type[0] : sp.type;
+  const type = isStoryType(requested) ? requested : null;
+  const stories = await getLatestStories(30, type);
+
+  return (
+    <main style={{ maxWidth: 980, margin: "0 auto", padding: "32px 16px" }}>
+      <h1 style={{ fontSize: 34, fontWeight: 800 }}>Stories</h1>
+      <p style={{ opacity: 0.8, marginTop: 8 }}>
+        AI-written roundups based on multiple local sources, with citations.
+      </p>
+
+      <nav style={{ marginTop: 16, display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <Link href="/stories" style={{ ...pill, fontWeight: type ? 400 : 700 }}>
+          All
+        </Link>
+        {STORY_TYPES.map((t) => (
+          <Link key={t} href={`/stories?type=${t}`} style={{ ...pill, fontWeight: t === type ? 700 : 400 }}>
+            {STORY_TYPE_LABELS[t]}
+          </Link>
+        ))}
+      </nav>
+
+      <div style={{ marginTop: 24, display: "grid", gap: 14 }}>
+        {stories.map((s) => (
+          <div
+            key={s.id}
+            style={{ border: "1px solid rgba(255,255,255,0.08)", borderRadius: 14, padding: 16 }}
+          >
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+              <span style={{ fontSize: 12, opacity: 0.75 }}>
+                {STORY_TYPE_LABELS[s.story_type as StoryType] ?? s.story_type} • {storyPlace(s)}
+              </span>
+              <span style={{ fontSize: 12, opacity: 0.55 }}>{new Date(s.created_at).toLocaleString()}</span>
+              {s.revised_at ? (
+                <span style={{ fontSize: 12, opacity: 0.55 }}>Updated {new Date(s.revised_at).toLocaleString()}</span>
+              ) : null}
+            </div>
+
+            <h2 style={{ fontSize: 20, fontWeight: 800, marginTop: 10 }}>
+              <Link href={`/stories/${s.id}`} style={{ textDecoration: "none" }}>
+                {s.title}
+              </Link>
+            </h2>
+
+            {s.dek ? <p style={{ marginTop: 8, opacity: 0.85 }}>{s.dek}</p> : null}
+
+            <div style={{ marginTop: 10 }}>
+              <Link href={`/stories/${s.id}`} style={{ fontWeight: 700 }}>
+                Read →
+              </Link>
+            </div>
+          </div>
+        ))}
+        {!stories.length ? (
+          <p style={{ opacity: 0.7 }}>No {type ? STORY_TYPE_LABELS[type].toLowerCase() : "stories"} published yet.</p>
+        ) : null}
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,30 @@
+// apps/web/app/subscribe/action/route.ts
+// The /subscribe form: records the sign-up; the worker then mails the confirmation link.
+import { NextRequest, NextResponse } from "next/server";
+import { subscribe, SubscriptionError } from "../../../lib/subscriptions";
+
+export const dynamic = "force-dynamic";
+
+function back(req: NextRequest, key: "done" | "error", value: string) {
+  const url = new URL("/subscribe", req.url);
+  url.searchParams.set(key, value);
+  return NextResponse.redirect(url, 303);
+}
+
+export async function POST(req: NextRequest) {
+  // Same cross-site check as the admin forms, so other sites can't sign people up.
+  const origin = req.headers.get("origin");
+  if (origin && origin !== req.nextUrl.origin) return new NextResponse("Cross-site request refused", { status: 403 });
+
+  const form = await req.formData();
+  const email = String(form.get("email") ?? "");
+  const counties = form.getAll("county").map(String);
+
+  try {
+    const pending = await subscribe(email, counties);
+    return back(req, "done", pending ? "check-email" : "already");
+  } catch (err) {
+    if (err instanceof SubscriptionError) return back(req, "error", err.message);
+    throw err;
+  }
+}
@@ -0,0 +1,20 @@
+// apps/web/app/subscribe/confirm/action/route.ts
+// Confirms a subscription: the button on /subscribe/confirm. The signed token is the
+// authorization, so there is no Origin check here.
+import { NextRequest, NextResponse } from "next/server";
+import { confirmSubscription, SubscriptionError } from "../../../../lib/subscriptions";
+
+export const dynamic = "force-dynamic";
+
+export async function POST(req: NextRequest) {
+  const form = await req.formData().catch(() => null);
+  const url = new URL("/subscribe", req.url);
+  try {
+    await confirmSubscription(String(form?.get("token") ?? ""));
+    url.searchParams.set("done", "confirmed");
+  } catch (err) {
+    if (!(err instanceof SubscriptionError)) throw err;
+    url.searchParams.set("error", err.message);
+  }
+  return NextResponse.redirect(url, 303);
+}
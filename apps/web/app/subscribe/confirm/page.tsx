@@ -0,0 +1,48 @@
+// apps/web/app/subscribe/confirm/page.tsx
+// The link in the confirmation email (double opt-in) lands here; the button does the confirming,
+// so link scanners that open the URL don't.
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+const button = {
+  padding: "6px 14px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 14,
+} as const;
+
+export default async function ConfirmPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const token = param(sp, "token");
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Confirm your subscription</h2>
+
+      {token ? (
+        <form action="/subscribe/confirm/action" method="post" style={{ display: "grid", gap: 12 }}>
+          <p className="meta">Start getting the Panhandle Pulse morning email for the counties you picked?</p>
+          <input type="hidden" name="token" value={token} />
+          <div>
+            <button type="submit" style={button}>
+              Confirm
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="meta">Use the confirmation link in the email we sent you.</p>
+      )}
+    </main>
+  );
+}
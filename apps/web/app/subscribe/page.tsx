@@ -0,0 +1,89 @@
+// apps/web/app/subscribe/page.tsx
+// Sign up for the morning email: pick counties, then confirm from the email the worker sends.
+import { getCounties } from "../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+const DONE_MESSAGES: Record<string, string> = {
+  "check-email": "Almost done: we sent you an email with a link to confirm your subscription.",
+  already: "You already get the morning email for those counties.",
+  confirmed: "You're subscribed. The morning email arrives once there is news for your counties.",
+};
+
+const field = {
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 8,
+  padding: "8px 10px",
+  fontSize: 15,
+} as const;
+
+const button = {
+  padding: "6px 14px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 14,
+} as const;
+
+export default async function SubscribePage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const done = param(sp, "done");
+  const error = param(sp, "error");
+
+  const counties = await getCounties();
+  const states = [...new Set(counties.map((c) => c.state))];
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Morning email</h2>
+      <p className="meta">
+        One email each morning with the day&apos;s stories and most-covered articles for the counties you pick. Every
+        email has an unsubscribe link.
+      </p>
+
+      {error ? (
+        <p className="card" style={{ borderColor: "#f87171" }}>
+          {error}
+        </p>
+      ) : done && DONE_MESSAGES[done] ? (
+        <p className="card">{DONE_MESSAGES[done]}</p>
+      ) : null}
+
+      <form action="/subscribe/action" method="post" style={{ display: "grid", gap: 12, marginTop: 12 }}>
+        <input type="email" name="email" required placeholder="you@example.com" autoComplete="email" style={field} />
+        {states.map((state) => (
+          <fieldset key={state} style={{ border: "1px solid var(--border)", borderRadius: 8, padding: "8px 12px" }}>
+            <legend className="meta">{state}</legend>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "6px 16px" }}>
+              {counties
+                .filter((c) => c.state === state)
+                .map((c) => (
+                  <label key={c.county_key} style={{ fontSize: 14 }}>
+                    <input type="checkbox" name="county" value={`${c.state}/${c.county_key}`} /> {c.county}
+                  </label>
+                ))}
+            </div>
+          </fieldset>
+        ))}
+        <div>
+          <button type="submit" style={button}>
+            Subscribe
+          </button>
+        </div>
+      </form>
+    </main>
+  );
+}
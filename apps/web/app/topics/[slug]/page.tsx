@@ -0,0 +1,72 @@
+// apps/web/app/topics/[slug]/page.tsx
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { AreaPicker, areaQuery } from "../../../components/AreaPicker";
+import { ArticleList } from "../../../components/ArticleList";
+import { getCounties, getLocalArticles, getTopicCounts } from "../../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+const PAGE_SIZE = 20;
+const MAX_PAGE = 500; // keeps OFFSET in bigint range whatever ?page= says
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+export default async function TopicPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ slug: string }>;
+  searchParams: Promise<Params>;
+}) {
+  const { slug } = await params;
+  const sp = await searchParams;
+  const state = param(sp, "state")?.toUpperCase() ?? null;
+  const county = param(sp, "county");
+  const page = Math.min(MAX_PAGE, Math.max(1, Number.parseInt(param(sp, "page") ?? "1", 10) || 1));
+
+  const [topics, counties] = await Promise.all([getTopicCounts({ state, county }), getCounties()]);
+  const topic = topics.find((t) => t.slug === slug);
+  if (!topic) notFound();
+
+  const rows = await getLocalArticles({ state, county, topic: slug }, PAGE_SIZE, (page - 1) * PAGE_SIZE);
+  const items = rows.slice(0, PAGE_SIZE);
+  const hasNext = rows.length > PAGE_SIZE;
+
+  const pageHref = (p: number) => {
+    const q = areaQuery({ state, county });
+    const pg = p > 1 ? `page=${p}` : "";
+    return `/topics/${slug}${q}${pg ? (q ? "&" : "?") + pg : ""}`;
+  };
+
+  return (
+    <main>
+      <div className="meta" style={{ marginTop: 0 }}>
+        <Link href={`/topics${areaQuery({ state, county })}`}>Topics</Link>
+      </div>
+      <h2 style={{ margin: "6px 0 0" }}>
+        {topic.label}
+        {county ? ` — ${county} County${state ? `, ${state}` : ""}` : state ? ` — ${state}` : ""}
+      </h2>
+
+      <AreaPicker basePath={`/topics/${slug}`} counties={counties} state={state} county={county} />
+
+      <section style={{ marginTop: 16 }}>
+        <ArticleList items={items} />
+      </section>
+
+      {page > 1 || hasNext ? (
+        <nav style={{ display: "flex", justifyContent: "space-between", marginTop: 16 }}>
+          {page > 1 ? <Link href={pageHref(page - 1)}>← Newer</Link> : <span />}
+          {hasNext ? <Link href={pageHref(page + 1)}>Older →</Link> : <span />}
+        </nav>
+      ) : null}
+    </main>
+  );
+}
@@ -0,0 +1,43 @@
+// apps/web/app/topics/page.tsx
+import Link from "next/link";
+import { AreaPicker, areaQuery } from "../../components/AreaPicker";
+import { getCounties, getTopicCounts } from "../../lib/queries";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+export default async function TopicsPage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const state = param(sp, "state")?.toUpperCase() ?? null;
+  const county = param(sp, "county");
+
+  const [counties, topics] = await Promise.all([getCounties(), getTopicCounts({ state, county })]);
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Topics</h2>
+      <AreaPicker basePath="/topics" counties={counties} state={state} county={county} />
+
+      <div className="grid" style={{ marginTop: 16 }}>
+        {topics.map((t) => (
+          <div key={t.slug} className="card">
+            <h3 className="article-title">
+              <Link href={`/topics/${t.slug}${areaQuery({ state, county })}`}>{t.label}</Link>
+            </h3>
+            <div className="meta">
+              {t.item_count} article{t.item_count === 1 ? "" : "s"} in the last 30 days
+              {county ? ` in ${county} County` : state ? ` in ${state}` : ""}
+            </div>
+          </div>
+        ))}
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,26 @@
+// apps/web/app/unsubscribe/action/route.ts
+// Unsubscribes from the email digest: the button on /unsubscribe, or a mail client's one-click
+// unsubscribe (RFC 8058: POST "List-Unsubscribe=One-Click" to the List-Unsubscribe URL).
+// The signed token is the authorization, so there is no Origin check here.
+import { NextRequest, NextResponse } from "next/server";
+import { SubscriptionError, unsubscribe } from "../../../lib/subscriptions";
+
+export const dynamic = "force-dynamic";
+
+export async function POST(req: NextRequest) {
+  const form = await req.formData().catch(() => null);
+  const oneClick = form?.get("List-Unsubscribe") === "One-Click";
+  const token = String(form?.get("token") ?? req.nextUrl.searchParams.get("token") ?? "");
+
+  const url = new URL("/unsubscribe", req.url);
+  try {
+    await unsubscribe(token);
+    if (oneClick) return new NextResponse("Unsubscribed", { status: 200 });
+    url.searchParams.set("done", "1");
+  } catch (err) {
+    if (!(err instanceof SubscriptionError)) throw err;
+    if (oneClick) return new NextResponse(err.message, { status: 400 });
+    url.searchParams.set("error", err.message);
+  }
+  return NextResponse.redirect(url, 303);
+}
@@ -0,0 +1,61 @@
+// apps/web/app/unsubscribe/page.tsx
+// The unsubscribe link in every digest lands here; the button does the unsubscribing, so link
+// scanners that open the URL don't.
+import Link from "next/link";
+
+export const dynamic = "force-dynamic";
+
+type Params = Record<string, string | string[] | undefined>;
+
+function param(sp: Params, key: string): string | null {
+  const v = sp[key];
+  const s = Array.isArray(v) ? v[0] : v;
+  return s?.trim() || null;
+}
+
+const button = {
+  padding: "6px 14px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 14,
+} as const;
+
+export default async function UnsubscribePage({ searchParams }: { searchParams: Promise<Params> }) {
+  const sp = await searchParams;
+  const token = param(sp, "token");
+  const done = param(sp, "done");
+  const error = param(sp, "error");
+
+  return (
+    <main>
+      <h2 style={{ marginTop: 0 }}>Unsubscribe</h2>
+
+      {error ? (
+        <p className="card" style={{ borderColor: "#f87171" }}>
+          {error}
+        </p>
+      ) : done ? (
+        <p className="card">
+          You&apos;re unsubscribed and won&apos;t get the morning email any more.{" "}
+          <Link href="/subscribe">Subscribe again</Link>
+        </p>
+      ) : token ? (
+        <form action="/unsubscribe/action" method="post" style={{ display: "grid", gap: 12 }}>
+          <p className="meta">Stop the Panhandle Pulse morning email for all your counties?</p>
+          <input type="hidden" name="token" value={token} />
+          <div>
+            <button type="submit" style={button}>
+              Unsubscribe
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="meta">Use the unsubscribe link at the bottom of any of our emails.</p>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,30 @@
+import { WeatherAlert } from "../lib/alerts";
+
+function formatTime(dateText: string | null) {
+  if (!dateText) return "";
+  return new Date(dateText).toLocaleString("en-US", {
+    timeZone: "America/Chicago",
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  });
+}
+
+export function AlertBanner({ alerts, county }: { alerts: WeatherAlert[]; county: string }) {
+  if (!alerts.length) return null;
+
+  return (
+    <div className="alert-banner" role="alert">
+      {alerts.map((a) => (
+        <div key={a.id}>
+          <strong>{a.event}</strong> for {county}
+          {a.expires_at ? ` until ${formatTime(a.expires_at)}` : ""}.{" "}
+          <a href={a.url} target="_blank" rel="noreferrer">
+            Details from NWS →
+          </a>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import Link from "next/link";
+import { County } from "../lib/queries";
+
+export function areaQuery(area: { state?: string | null; county?: string | null }) {
+  const qs = new URLSearchParams();
+  if (area.state) qs.set("state", area.state);
+  if (area.county) qs.set("county", area.county);
+  const s = qs.toString();
+  return s ? `?${s}` : "";
+}
+
+const pill = {
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  padding: "4px 10px",
+  fontSize: 13,
+} as const;
+
+export function AreaPicker({ basePath, counties, state, county }: {
+  basePath: string;
+  counties: County[];
+  state: string | null;
+  county: string | null;
+}) {
+  const isAll = !state && !county;
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 }}>
+      <Link href={basePath} style={{ ...pill, fontWeight: isAll ? 700 : 400 }}>
+        All counties
+      </Link>
+      {counties.map((c) => {
+        const active = c.state === state && c.county === county;
+        return (
+          <Link
+            key={`${c.state}-${c.county_key}`}
+            href={`${basePath}${areaQuery({ state: c.state, county: c.county })}`}
+            style={{ ...pill, fontWeight: active ? 700 : 400 }}
+          >
+            {c.county}, {c.state}
+          </Link>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
+import Link from "next/link";
 import { FeedItem } from "../lib/queries";
 
 function formatDate(dateText: string | null) {
@@ -25,13 +26,39 @@ export function ArticleCard({ item }: { item: FeedItem }) {
 
   return (
     <article className="card">
+      {item.image_url ? (
+        <a href={item.url} target="_blank" rel="noreferrer">
+          {/* eslint-disable-next-line @next/next/no-img-element */}
+          <img
+            src={item.image_url}
+            alt=""
+            loading="lazy"
+            style={{ display: "block", width: "100%", aspectRatio: "16 / 9", objectFit: "cover", borderRadius: 8, marginBottom: 10 }}
+          />
+        </a>
+      ) : null}
+
       <h3 className="article-title">
         <a href={item.url} target="_blank" rel="noreferrer">
           {item.title || "Untitled"}
         </a>
       </h3>
 
-      <div className="meta">{formatDate(item.published_at)}</div>
+      <div className="meta">
+        {item.source ? `${item.source} • ` : ""}
+        {item.author ? `By ${item.author} • ` : ""}
+        {formatDate(item.published_at ?? item.fetched_at)}
+      </div>
+
+      {item.topics.length ? (
+        <div className="chips">
+          {item.topics.map((t) => (
+            <Link key={t.slug} href={`/topics/${t.slug}`} className="chip">
+              {t.label}
+            </Link>
+          ))}
+        </div>
+      ) : null}
 
       {s ? <p className="summary">{s}</p> : null}
 
@@ -0,0 +1,258 @@
+"use client";
+// Map of geotagged articles: drag to pan, +/− to zoom; the list below shows what is on screen.
+import { PointerEvent, useEffect, useMemo, useRef, useState } from "react";
+import type { MapItem } from "../lib/queries";
+import { ArticleCard } from "./ArticleCard";
+
+export type Bounds = { west: number; south: number; east: number; north: number };
+
+type View = { lat: number; lon: number; scale: number }; // scale: px per degree of longitude
+
+const W = 800;
+const H = 500;
+const LIST_LIMIT = 60;
+
+// Degrees of latitude are longer than degrees of longitude by 1 / cos(latitude).
+function latScale(view: View) {
+  return view.scale / Math.cos((view.lat * Math.PI) / 180);
+}
+
+function boundsOf(view: View): Bounds {
+  const ky = latScale(view);
+  return {
+    west: view.lon - W / 2 / view.scale,
+    east: view.lon + W / 2 / view.scale,
+    north: view.lat + H / 2 / ky,
+    south: view.lat - H / 2 / ky,
+  };
+}
+
+function viewFor(b: Bounds): View {
+  const lat = (b.north + b.south) / 2;
+  const lon = (b.east + b.west) / 2;
+  const cos = Math.cos((lat * Math.PI) / 180);
+  const scale = Math.min(W / Math.max(b.east - b.west, 0.05), (H * cos) / Math.max(b.north - b.south, 0.05));
+  return { lat, lon, scale };
+}
+
+function fitAll(items: MapItem[]): Bounds {
+  const pts = items.flatMap((i) => i.places);
+  if (!pts.length) return { west: -88.5, south: 29.5, east: -84, north: 31.8 };
+  const lats = pts.map((p) => p.lat);
+  const lons = pts.map((p) => p.lon);
+  const pad = 0.15;
+  return {
+    west: Math.min(...lons) - pad,
+    east: Math.max(...lons) + pad,
+    south: Math.min(...lats) - pad,
+    north: Math.max(...lats) + pad,
+  };
+}
+
+function inside(b: Bounds, p: { lat: number; lon: number }) {
+  return p.lat >= b.south && p.lat <= b.north && p.lon >= b.west && p.lon <= b.east;
+}
+
+type Marker = { key: string; label: string; lat: number; lon: number; county: boolean; items: MapItem[] };
+
+// One marker per distinct place (or county center), counting the items tagged there.
+function markersOf(items: MapItem[]): Marker[] {
+  const byKey = new Map<string, Marker>();
+  for (const item of items) {
+    for (const p of item.places) {
+      const key = `${p.state}/${p.county}/${p.place}`;
+      let m = byKey.get(key);
+      if (!m) {
+        m = {
+          key,
+          label: p.place ? `${p.place}, ${p.state}` : `${p.county} County, ${p.state}`,
+          lat: p.lat,
+          lon: p.lon,
+          county: !p.place,
+          items: [],
+        };
+        byKey.set(key, m);
+      }
+      m.items.push(item);
+    }
+  }
+  return [...byKey.values()].sort((a, b) => b.items.length - a.items.length);
+}
+
+const button = {
+  padding: "4px 10px",
+  background: "var(--card)",
+  color: "var(--text)",
+  border: "1px solid var(--border)",
+  borderRadius: 999,
+  cursor: "pointer",
+  font: "inherit",
+  fontSize: 13,
+} as const;
+
+export function PlaceMap({ items, initial }: { items: MapItem[]; initial: Bounds | null }) {
+  const [view, setView] = useState<View>(() => viewFor(initial ?? fitAll(items)));
+  const [selected, setSelected] = useState<string | null>(null);
+  const svgRef = useRef<SVGSVGElement>(null);
+  const drag = useRef<{ x: number; y: number; view: View; moved: boolean } | null>(null);
+
+  const bounds = boundsOf(view);
+  const markers = useMemo(() => markersOf(items), [items]);
+  const marker = markers.find((m) => m.key === selected) ?? null;
+
+  // Keep the area in the URL so the view can be shared or reloaded.
+  useEffect(() => {
+    const t = setTimeout(() => {
+      const b = boundsOf(view);
+      const bbox = [b.west, b.south, b.east, b.north].map((n) => n.toFixed(3)).join(",");
+      const url = new URL(window.location.href);
+      url.searchParams.set("bbox", bbox);
+      window.history.replaceState(null, "", url);
+    }, 300);
+    return () => clearTimeout(t);
+  }, [view]);
+
+  const ky = latScale(view);
+  const x = (lon: number) => (lon - view.lon) * view.scale + W / 2;
+  const y = (lat: number) => (view.lat - lat) * ky + H / 2;
+
+  const visible = marker
+    ? marker.items
+    : items.filter((item) => item.places.some((p) => inside(bounds, p)));
+
+  const unitsPerPx = () => W / (svgRef.current?.getBoundingClientRect().width || W);
+
+  const onPointerDown = (e: PointerEvent<SVGSVGElement>) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX, y: e.clientY, view, moved: false };
+  };
+  const onPointerMove = (e: PointerEvent<SVGSVGElement>) => {
+    const d = drag.current;
+    if (!d) return;
+    const dx = (e.clientX - d.x) * unitsPerPx();
+    const dy = (e.clientY - d.y) * unitsPerPx();
+    if (Math.abs(dx) + Math.abs(dy) > 3) d.moved = true;
+    if (!d.moved) return;
+    setView({ ...d.view, lon: d.view.lon - dx / d.view.scale, lat: d.view.lat + dy / latScale(d.view) });
+  };
+  const onPointerUp = () => {
+    drag.current = null;
+  };
+  const zoom = (factor: number) => setView((v) => ({ ...v, scale: Math.min(Math.max(v.scale * factor, 40), 5000) }));
+
+  // Grid lines every half degree (or every tenth when zoomed in) to keep a sense of place.
+  const step = view.scale > 800 ? 0.1 : 0.5;
+  const lons: number[] = [];
+  for (let l = Math.ceil(bounds.west / step) * step; l <= bounds.east; l += step) lons.push(l);
+  const lats: number[] = [];
+  for (let l = Math.ceil(bounds.south / step) * step; l <= bounds.north; l += step) lats.push(l);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+        <button type="button" style={button} onClick={() => zoom(1.5)} aria-label="Zoom in">
+          +
+        </button>
+        <button type="button" style={button} onClick={() => zoom(1 / 1.5)} aria-label="Zoom out">
+          −
+        </button>
+        <button type="button" style={button} onClick={() => setView(viewFor(fitAll(items)))}>
+          Fit all articles
+        </button>
+        <span className="meta">Drag to move; click a dot for its articles.</span>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{
+          width: "100%",
+          height: "auto",
+          background: "var(--card)",
+          border: "1px solid var(--border)",
+          borderRadius: 12,
+          touchAction: "none",
+          cursor: "grab",
+        }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {lons.map((l) => (
+          <line key={`x${l}`} x1={x(l)} x2={x(l)} y1={0} y2={H} stroke="var(--border)" />
+        ))}
+        {lats.map((l) => (
+          <line key={`y${l}`} x1={0} x2={W} y1={y(l)} y2={y(l)} stroke="var(--border)" />
+        ))}
+
+        {markers
+          .filter((m) => inside(bounds, m))
+          .slice()
+          .reverse()
+          .map((m) => {
+            const r = Math.min(4 + Math.sqrt(m.items.length) * 2, 18);
+            const active = m.key === selected;
+            return (
+              <g
+                key={m.key}
+                style={{ cursor: "pointer" }}
+                onPointerDown={(e) => e.stopPropagation()}
+                onClick={() => setSelected(active ? null : m.key)}
+              >
+                <circle
+                  cx={x(m.lon)}
+                  cy={y(m.lat)}
+                  r={r}
+                  fill={m.county ? "transparent" : "var(--link)"}
+                  fillOpacity={0.55}
+                  stroke={active ? "var(--text)" : "var(--link)"}
+                  strokeWidth={active ? 3 : 1.5}
+                  strokeDasharray={m.county ? "3 2" : undefined}
+                >
+                  <title>
+                    {m.label}: {m.items.length} article{m.items.length === 1 ? "" : "s"}
+                  </title>
+                </circle>
+                {m.county || view.scale > 400 ? (
+                  <text
+                    x={x(m.lon)}
+                    y={y(m.lat) - r - 4}
+                    textAnchor="middle"
+                    fontSize={m.county ? 12 : 11}
+                    fill={m.county ? "var(--muted)" : "var(--text)"}
+                    style={{ pointerEvents: "none" }}
+                  >
+                    {m.county ? m.label.replace(/ County, ..$/, "") : m.label.replace(/, ..$/, "")}
+                  </text>
+                ) : null}
+              </g>
+            );
+          })}
+      </svg>
+
+      <section style={{ marginTop: 16 }}>
+        <h2 style={{ fontSize: 18, display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          {marker ? marker.label : "On the map"} ({visible.length})
+          {marker ? (
+            <button type="button" style={button} onClick={() => setSelected(null)}>
+              Show everything on screen
+            </button>
+          ) : null}
+        </h2>
+        {visible.length ? (
+          <div className="grid">
+            {visible.slice(0, LIST_LIMIT).map((item) => (
+              <ArticleCard key={item.id} item={item} />
+            ))}
+          </div>
+        ) : (
+          <p className="meta">Nothing here yet; drag the map or zoom out.</p>
+        )}
+        {visible.length > LIST_LIMIT ? (
+          <p className="meta">Showing the newest {LIST_LIMIT}; zoom in to narrow it down.</p>
+        ) : null}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+// apps/web/components/StoryBody.tsx
+// Story text and its numbered sources, shared by the public story page and /admin/stories previews.
+
+export type StorySource = {
+  source_title: string;
+  source_link: string;
+  source_published_at: string | null;
+  citation_number: number | null;
+};
+
+function escapeHtml(s: string) {
+  return s.replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
+
+// Sources are other sites' articles, except the site's own stories a weekly digest cites (/stories/<id>).
+function isExternal(href: string) {
+  return !href.startsWith("/");
+}
+
+// source_link comes from feeds as written, so only http(s) URLs and site-relative paths become
+// links; anything else ("javascript:…", with or without leading spaces) is shown as plain text.
+function safeHref(href: string | undefined): string | null {
+  if (!href) return null;
+  if (/^\/(?![/\\])/.test(href)) return href;
+  try {
+    const url = new URL(href);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// "[3]" / "[1, 3]" in the (already escaped) text -> a link per number to that source's article.
+// Numbers with no matching source stay plain text.
+function linkCitations(html: string, links: Map<number, string>) {
+  return html.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (whole, nums: string) => {
+    const parts = nums.split(",").map((n) => Number(n.trim()));
+    if (!parts.some((n) => links.has(n))) return whole;
+    return parts
+      .map((n) => {
+        const href = safeHref(links.get(n));
+        return href
+          ? `<a href="${escapeHtml(href)}"${isExternal(href) ? ' target="_blank" rel="noreferrer"' : ""} title="Source ${n}">[${n}]</a>`
+          : `[${n}]`;
+      })
+      .join(", ");
+  });
+}
+
+// Minimal markdown-ish rendering (safe + simple).
+export function StoryBody({ markdown, sources }: { markdown: string; sources: StorySource[] }) {
+  const links = new Map(
+    sources.filter((s) => s.citation_number != null).map((s) => [s.citation_number as number, s.source_link])
+  );
+  const safe = linkCitations(escapeHtml(markdown || ""), links);
+  const paragraphs = safe.split(/\n\s*\n/).filter(Boolean);
+
+  return (
+    <>
+      {paragraphs.map((p, idx) => (
+        <p
+          key={idx}
+          style={{ marginTop: 12, lineHeight: 1.7, opacity: 0.92 }}
+          dangerouslySetInnerHTML={{ __html: p.replace(/\n/g, "<br/>") }}
+        />
+      ))}
+    </>
+  );
+}
+
+function SourceLink({ source }: { source: StorySource }) {
+  const href = safeHref(source.source_link);
+  return (
+    <>
+      {href ? (
+        <a href={href} {...(isExternal(href) ? { target: "_blank", rel: "noreferrer" } : {})} style={{ fontWeight: 700 }}>
+          {source.source_title}
+        </a>
+      ) : (
+        <span style={{ fontWeight: 700 }}>{source.source_title}</span>
+      )}
+      {source.source_published_at ? (
+        <span style={{ marginLeft: 8, fontSize: 12, opacity: 0.65 }}>
+          {new Date(source.source_published_at).toLocaleString()}
+        </span>
+      ) : null}
+    </>
+  );
+}
+
+// Cited sources as [n] (the numbers the text uses); the rest, if any, under "Also consulted".
+export function StorySources({ sources }: { sources: StorySource[] }) {
+  const cited = sources.filter((s) => s.citation_number != null);
+  const others = sources.filter((s) => s.citation_number == null);
+
+  return (
+    <>
+      {cited.length ? (
+        <ol style={{ marginTop: 10, listStyle: "none", paddingLeft: 0 }}>
+          {cited.map((s) => (
+            <li key={s.citation_number} id={`source-${s.citation_number}`} style={{ marginTop: 8 }}>
+              <span style={{ marginRight: 8, opacity: 0.65 }}>[{s.citation_number}]</span>
+              <SourceLink source={s} />
+            </li>
+          ))}
+        </ol>
+      ) : null}
+
+      {others.length ? (
+        <>
+          {cited.length ? (
+            <h3 style={{ fontSize: 14, fontWeight: 700, marginTop: 16, opacity: 0.8 }}>Also consulted</h3>
+          ) : null}
+          <ul style={{ marginTop: 10 }}>
+            {others.map((s, idx) => (
+              <li key={idx} style={{ marginTop: 8 }}>
+                <SourceLink source={s} />
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : null}
+    </>
+  );
+}
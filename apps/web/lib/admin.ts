@@ -0,0 +1,347 @@
+// apps/web/lib/admin.ts
+// Editorial review for AI stories: the /admin/stories queue, story actions and their audit log.
+import { headers } from "next/headers";
+import { getPool } from "./db";
+import { editorFromAuthHeader } from "./adminAuth";
+import { StorySource } from "../components/StoryBody";
+import { STORY_SOURCES_SQL } from "./storyQueries";
+
+export { isStoryId } from "./storyQueries";
+
+export const STORY_STATUSES = ["draft", "in_review", "published", "retracted"] as const;
+export type StoryStatus = (typeof STORY_STATUSES)[number];
+
+export const STATUS_LABELS: Record<StoryStatus, string> = {
+  draft: "Draft",
+  in_review: "In review",
+  published: "Published",
+  retracted: "Retracted",
+};
+
+export class AdminError extends Error {}
+
+/**
+ * The signed-in editor. middleware.ts already turned away anyone else; this re-checks so a
+ * handler never writes an audit row without a name.
+ */
+export async function currentEditor(): Promise<string> {
+  const editor = editorFromAuthHeader((await headers()).get("authorization"));
+  if (!editor) throw new AdminError("Editor login required");
+  return editor;
+}
+
+export type AdminStoryRow = {
+  id: string;
+  state: string;
+  county: string;
+  region: string;
+  story_type: string;
+  status: StoryStatus;
+  publish_rule: string;
+  title: string;
+  created_at: string;
+  updated_at: string;
+  regenerate_requested_at: string | null;
+  revision_pending: boolean;
+};
+
+// Published stories with a rewrite waiting for approval (story_pending_revisions) are listed, and
+// counted, under "In review" as well; their published text stays live until then.
+export async function getStatusCounts(): Promise<Record<StoryStatus, number>> {
+  const pool = getPool();
+  const res = await pool.query(`
+    SELECT status, COUNT(*)::int AS n FROM stories GROUP BY status
+    UNION ALL
+    SELECT 'in_review', COUNT(*)::int FROM story_pending_revisions
+  `);
+  const counts = { draft: 0, in_review: 0, published: 0, retracted: 0 };
+  for (const row of res.rows) if (row.status in counts) counts[row.status as StoryStatus] += row.n;
+  return counts;
+}
+
+// Newest first; returns limit + 1 rows so the page knows whether there is an older page.
+export async function listAdminStories(status: StoryStatus, limit = 50, offset = 0): Promise<AdminStoryRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT st.id, st.state, st.county, st.region, st.story_type, st.status, st.publish_rule, st.title, st.created_at,
+           st.updated_at, st.regenerate_requested_at, pr.story_id IS NOT NULL AS revision_pending
+    FROM stories st
+    LEFT JOIN story_pending_revisions pr ON pr.story_id = st.id
+    WHERE st.status = $1 OR ($1 = 'in_review' AND pr.story_id IS NOT NULL)
+    ORDER BY st.updated_at DESC, st.id DESC
+    LIMIT $2 OFFSET $3
+    `,
+    [status, limit + 1, offset]
+  );
+  return res.rows;
+}
+
+export type AuditEntry = {
+  id: string;
+  action: string;
+  actor: string;
+  from_status: string | null;
+  to_status: string | null;
+  details: Record<string, unknown>;
+  created_at: string;
+};
+
+export type GenerationRow = {
+  provider: string;
+  model_name: string;
+  prompt_version: string;
+  input_tokens: number;
+  output_tokens: number;
+  latency_ms: number;
+  attempts: number;
+  created_at: string;
+};
+
+export type VersionRow = {
+  version: number;
+  title: string;
+  dek: string;
+  body_markdown: string;
+  written_at: string;
+  replaced_at: string;
+};
+
+export type PendingRevision = {
+  action: string;
+  title: string;
+  dek: string;
+  body_markdown: string;
+  model_name: string;
+  prompt_version: string;
+  sources: StorySource[];
+  created_at: string;
+};
+
+export async function getAdminStory(id: string) {
+  const pool = getPool();
+  const storyRes = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, status, publish_rule, title, dek, body_markdown, bullets_json,
+           model_name, prompt_version, version, created_at, updated_at, revised_at, regenerate_requested_at,
+           time_window_start, time_window_end
+    FROM stories
+    WHERE id = $1
+    `,
+    [id]
+  );
+  const story = storyRes.rows[0];
+  if (!story) return null;
+
+  const [sources, audit, generations, versions, pending] = await Promise.all([
+    pool.query<StorySource>(STORY_SOURCES_SQL, [id]),
+    pool.query<AuditEntry>(
+      `
+      SELECT id, action, actor, from_status, to_status, details, created_at
+      FROM story_audit_log
+      WHERE story_id = $1
+      ORDER BY created_at DESC, id DESC
+      `,
+      [id]
+    ),
+    pool.query<GenerationRow>(
+      `
+      SELECT provider, model_name, prompt_version, input_tokens, output_tokens, latency_ms, attempts, created_at
+      FROM story_generations
+      WHERE story_id = $1
+      ORDER BY created_at DESC
+      LIMIT 10
+      `,
+      [id]
+    ),
+    pool.query<VersionRow>(
+      `
+      SELECT version, title, dek, body_markdown, written_at, replaced_at
+      FROM story_versions
+      WHERE story_id = $1
+      ORDER BY version DESC
+      `,
+      [id]
+    ),
+    pool.query<PendingRevision>(
+      `
+      SELECT action, title, dek, body_markdown, model_name, prompt_version, sources, created_at
+      FROM story_pending_revisions
+      WHERE story_id = $1
+      `,
+      [id]
+    ),
+  ]);
+
+  return {
+    story,
+    sources: sources.rows,
+    audit: audit.rows,
+    generations: generations.rows,
+    versions: versions.rows,
+    pending: pending.rows[0] ?? null,
+  };
+}
+
+// Status changes editors can make, and the statuses each one starts from.
+const TRANSITIONS: Record<string, { from: StoryStatus[]; to: StoryStatus }> = {
+  submit: { from: ["draft"], to: "in_review" },
+  approve: { from: ["draft", "in_review", "retracted"], to: "published" },
+  unpublish: { from: ["published", "in_review"], to: "retracted" },
+};
+
+export function allowedActions(status: StoryStatus) {
+  return Object.entries(TRANSITIONS)
+    .filter(([, t]) => t.from.includes(status))
+    .map(([action]) => action);
+}
+
+export type StoryAction =
+  | { action: "submit" | "approve" | "unpublish" | "regenerate" | "approve_revision" | "discard_revision" }
+  | { action: "edit"; title: string; dek: string; body_markdown: string };
+
+/**
+ * Applies one editor action and its audit row in a single transaction.
+ * "regenerate" only flags the story; the worker's writer rewrites it and sends it back to review
+ * (a published story's rewrite waits in story_pending_revisions for "approve_revision").
+ */
+export async function applyStoryAction(id: string, editor: string, input: StoryAction) {
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const cur = await client.query(`SELECT status, title, dek, body_markdown FROM stories WHERE id = $1 FOR UPDATE`, [
+      id,
+    ]);
+    const story = cur.rows[0];
+    if (!story) throw new AdminError("Story not found");
+
+    let toStatus: StoryStatus | null = null;
+    let details: Record<string, unknown> = {};
+
+    if (input.action === "edit") {
+      const title = input.title.trim();
+      const body = input.body_markdown.trim();
+      if (!title || !body) throw new AdminError("Title and body can't be empty");
+
+      const next = { title, dek: input.dek.trim(), body_markdown: body };
+      const changed = (Object.keys(next) as (keyof typeof next)[]).filter((k) => next[k] !== story[k]);
+      if (!changed.length) throw new AdminError("Nothing changed");
+
+      // Same versioning as the writer's revisions: keep the replaced text, bump the version.
+      await client.query(
+        `
+        INSERT INTO story_versions
+          (story_id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, written_at)
+        SELECT id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, COALESCE(revised_at, created_at)
+        FROM stories
+        WHERE id = $1
+        `,
+        [id]
+      );
+      await client.query(
+        `
+        UPDATE stories
+        SET title = $2, dek = $3, body_markdown = $4, version = version + 1, revised_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        `,
+        [id, next.title, next.dek, next.body_markdown]
+      );
+      // Earlier text of the edited fields, so an edit can be undone by hand.
+      details = { fields: changed, before: Object.fromEntries(changed.map((k) => [k, story[k]])) };
+    } else if (input.action === "regenerate") {
+      await client.query(`UPDATE stories SET regenerate_requested_at = NOW() WHERE id = $1`, [id]);
+    } else if (input.action === "approve_revision" || input.action === "discard_revision") {
+      const rev = await client.query(`DELETE FROM story_pending_revisions WHERE story_id = $1 RETURNING *`, [id]);
+      const revision = rev.rows[0];
+      if (!revision) throw new AdminError("This story has no revision waiting for approval");
+
+      if (input.action === "approve_revision") {
+        await client.query(
+          `
+          INSERT INTO story_versions
+            (story_id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, written_at)
+          SELECT id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, COALESCE(revised_at, created_at)
+          FROM stories
+          WHERE id = $1
+          `,
+          [id]
+        );
+        const updated = await client.query(
+          `
+          UPDATE stories
+          SET title = $2, dek = $3, bullets_json = $4::jsonb, body_markdown = $5, model_name = $6, prompt_version = $7,
+              publish_rule = $8, written_from_item_ids = $9::bigint[],
+              version = version + 1, revised_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+          RETURNING version
+          `,
+          [
+            id,
+            revision.title,
+            revision.dek,
+            JSON.stringify(revision.bullets_json),
+            revision.body_markdown,
+            revision.model_name,
+            revision.prompt_version,
+            revision.publish_rule,
+            revision.written_from_item_ids,
+          ]
+        );
+        // Renumber the sources the way the writer does: the revision's citations, and no number
+        // for sources only the earlier text cited.
+        await client.query(`UPDATE story_sources SET citation_number = NULL WHERE story_id = $1`, [id]);
+        await client.query(
+          `
+          INSERT INTO story_sources (story_id, feed_item_id, source_link, source_title, source_published_at, citation_number)
+          SELECT $1, s.feed_item_id, s.source_link, s.source_title, s.source_published_at, s.citation_number
+          FROM jsonb_to_recordset($2::jsonb)
+            AS s(feed_item_id BIGINT, source_link TEXT, source_title TEXT, source_published_at TIMESTAMPTZ, citation_number INT)
+          ON CONFLICT (story_id, feed_item_id) DO UPDATE SET citation_number = EXCLUDED.citation_number
+          `,
+          [id, JSON.stringify(revision.sources)]
+        );
+        await client.query(`UPDATE story_cited_stories SET citation_number = NULL WHERE story_id = $1`, [id]);
+        await client.query(
+          `
+          INSERT INTO story_cited_stories (story_id, cited_story_id, citation_number)
+          SELECT $1, s.cited_story_id, s.citation_number
+          FROM jsonb_to_recordset($2::jsonb) AS s(cited_story_id UUID, citation_number INT)
+          ON CONFLICT (story_id, cited_story_id) DO UPDATE SET citation_number = EXCLUDED.citation_number
+          `,
+          [id, JSON.stringify(revision.cited_stories)]
+        );
+        details = { version: updated.rows[0].version, revision: revision.action };
+      } else {
+        details = { revision: revision.action };
+      }
+    } else {
+      const t = TRANSITIONS[input.action];
+      if (!t.from.includes(story.status)) {
+        throw new AdminError(`Can't ${input.action} a story that is ${STATUS_LABELS[story.status as StoryStatus]}`);
+      }
+      toStatus = t.to;
+      await client.query(`UPDATE stories SET status = $2, updated_at = NOW() WHERE id = $1`, [id, toStatus]);
+    }
+
+    await client.query(
+      `
+      INSERT INTO story_audit_log (story_id, action, actor, from_status, to_status, details)
+      VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+      `,
+      [
+        id,
+        input.action === "regenerate" ? "regenerate_requested" : input.action,
+        editor,
+        story.status,
+        toStatus ?? story.status,
+        JSON.stringify(details),
+      ]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
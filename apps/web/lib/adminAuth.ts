@@ -0,0 +1,66 @@
+// apps/web/lib/adminAuth.ts
+// HTTP Basic auth for /admin. No database or Node-only imports: middleware.ts runs this on the edge.
+
+// ADMIN_EDITORS="alice:correct-horse,bob:battery-staple" — name:password. The name is what the
+// story audit log records. With no editors configured /admin is closed to everyone.
+export function adminEditors(): Map<string, string> {
+  const editors = new Map<string, string>();
+  for (const entry of (process.env.ADMIN_EDITORS || "").split(",")) {
+    const i = entry.indexOf(":");
+    if (i <= 0) continue;
+    const name = entry.slice(0, i).trim();
+    const password = entry.slice(i + 1).trim();
+    if (name && password) editors.set(name, password);
+  }
+  return editors;
+}
+
+// Compares every character so the time taken doesn't say how much of the password matched.
+function sameString(a: string, b: string) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/** The editor's name for a valid `Authorization: Basic ...` header, otherwise null. */
+export function editorFromAuthHeader(header: string | null): string | null {
+  const m = /^Basic\s+(.+)$/i.exec(header || "");
+  if (!m) return null;
+
+  let decoded: string;
+  try {
+    decoded = atob(m[1].trim());
+  } catch {
+    return null;
+  }
+  const i = decoded.indexOf(":");
+  if (i <= 0) return null;
+
+  const name = decoded.slice(0, i);
+  const expected = adminEditors().get(name);
+  return expected && sameString(decoded.slice(i + 1), expected) ? name : null;
+}
+
+export const ADMIN_REALM = 'Basic realm="Panhandle Pulse admin", charset="UTF-8"';
+
+// SITE_URL as in lib/feeds.ts. Behind a TLS-terminating proxy req.nextUrl.origin can be http://,
+// so the configured origin is what browsers on the real site send.
+const SITE_ORIGIN = new URL(process.env.SITE_URL || "https://panhandlepulse.news").origin;
+
+/**
+ * Whether a form post comes from one of this site's pages. Browsers resend Basic credentials on
+ * cross-site posts, so the Origin header (or, without one, the Referer) must be SITE_URL's
+ * origin or the request's own; a post with neither is refused.
+ */
+export function isSameSitePost(headers: Headers, requestOrigin: string) {
+  const from = headers.get("origin") || headers.get("referer");
+  if (!from || from === "null") return false;
+  try {
+    const origin = new URL(from).origin;
+    return origin === SITE_ORIGIN || origin === requestOrigin;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,51 @@
+// apps/web/lib/alerts.ts
+import { getPool } from "./db";
+
+// "<state>:<sources.yaml county key>", set by /local/select.
+export const SELECTED_COUNTY_COOKIE = "pp_county";
+
+export type SelectedCounty = { state: string; county_key: string };
+
+export function parseSelectedCounty(value?: string | null): SelectedCounty | null {
+  const m = /^([A-Z]{2}):([A-Za-z_]+)$/.exec(value ?? "");
+  return m ? { state: m[1], county_key: m[2] } : null;
+}
+
+export type WeatherAlert = {
+  id: string;
+  event: string;
+  headline: string;
+  severity: string;
+  urgency: string;
+  area_desc: string;
+  url: string;
+  onset_at: string | null;
+  expires_at: string | null;
+};
+
+/**
+ * Unexpired NWS warnings (not watches or advisories) covering the county, worst first.
+ */
+export async function getActiveWarnings(selected: SelectedCounty): Promise<WeatherAlert[]> {
+  const db = getPool();
+
+  const sql = `
+    SELECT a.id, a.event, a.headline, a.severity, a.urgency, a.area_desc, a.url, a.onset_at, a.expires_at
+    FROM weather_alerts a
+    JOIN weather_alert_counties c ON c.alert_id = a.id
+    WHERE c.state = $1
+      AND c.county = $2
+      AND a.event ILIKE '%warning'
+      AND (a.expires_at IS NULL OR a.expires_at > NOW())
+    ORDER BY
+      array_position(ARRAY['Extreme', 'Severe', 'Moderate', 'Minor'], a.severity) NULLS LAST,
+      a.onset_at DESC NULLS LAST
+  `;
+
+  const { rows } = await db.query(sql, [selected.state, selected.county_key]);
+  return rows.map((r: any) => ({
+    ...r,
+    onset_at: r.onset_at ? new Date(r.onset_at).toISOString() : null,
+    expires_at: r.expires_at ? new Date(r.expires_at).toISOString() : null,
+  }));
+}
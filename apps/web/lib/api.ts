@@ -0,0 +1,198 @@
+// apps/web/lib/api.ts
+// Shared plumbing for the /api/v1 route handlers: keys and rate limits, cursors, ETags, errors.
+import { createHash } from "node:crypto";
+import { NextRequest } from "next/server";
+import { SOURCE_TYPE_FILTERS } from "./queries";
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+
+export class ApiError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Keys and rate limits
+// ---------------------------------------------------------------------------
+
+// API_KEYS="mobile:abc123:600,wtvy:def456" — name:key[:requests per minute].
+// Requests without a key are limited per client IP at API_ANON_RATE_PER_MINUTE.
+// The client IP is the X-Forwarded-For entry added by the outermost of TRUSTED_PROXY_COUNT
+// proxies (default 1): everything left of it is whatever the client chose to send.
+type ApiKey = { name: string; perMinute: number };
+
+const ANON_PER_MINUTE = Number(process.env.API_ANON_RATE_PER_MINUTE || "60");
+const KEY_PER_MINUTE = Number(process.env.API_KEY_RATE_PER_MINUTE || "600");
+const TRUSTED_PROXIES = Math.max(1, Number(process.env.TRUSTED_PROXY_COUNT || "1") || 1);
+const MAX_WINDOWS = 10_000;
+
+let keys: Map<string, ApiKey> | null = null;
+
+function apiKeys() {
+  if (!keys) {
+    keys = new Map();
+    for (const entry of (process.env.API_KEYS || "").split(",")) {
+      const [name, key, perMinute] = entry.trim().split(":");
+      if (name && key) keys.set(key, { name, perMinute: Number(perMinute) || KEY_PER_MINUTE });
+    }
+  }
+  return keys;
+}
+
+function clientIp(req: NextRequest) {
+  const hops = (req.headers.get("x-forwarded-for") || "").split(",").map((h) => h.trim()).filter(Boolean);
+  if (hops.length) return hops[Math.max(0, hops.length - TRUSTED_PROXIES)];
+  return req.headers.get("x-real-ip") || "unknown";
+}
+
+// Fixed one-minute windows, in memory: limits are per web instance.
+const windows = new Map<string, { start: number; count: number }>();
+
+export type RateLimit = { limit: number; remaining: number; reset: number };
+
+export function checkRateLimit(req: NextRequest): RateLimit {
+  const presented = req.headers.get("x-api-key") || req.nextUrl.searchParams.get("api_key");
+  let bucket: string;
+  let limit: number;
+
+  if (presented) {
+    const key = apiKeys().get(presented);
+    if (!key) throw new ApiError(401, "Unknown API key");
+    bucket = `key:${key.name}`;
+    limit = key.perMinute;
+  } else {
+    bucket = `ip:${clientIp(req)}`;
+    limit = ANON_PER_MINUTE;
+  }
+
+  const now = Date.now();
+  let w = windows.get(bucket);
+  if (!w || now - w.start >= 60_000) {
+    // Drop finished windows once the map is full, then the oldest live ones if it still is
+    // (the map is in window start order: a bucket is re-inserted when its window restarts).
+    windows.delete(bucket);
+    if (windows.size >= MAX_WINDOWS) {
+      for (const [k, v] of windows) if (now - v.start >= 60_000) windows.delete(k);
+      for (const k of windows.keys()) {
+        if (windows.size < MAX_WINDOWS) break;
+        windows.delete(k);
+      }
+    }
+    w = { start: now, count: 0 };
+    windows.set(bucket, w);
+  }
+  w.count++;
+
+  const rl = { limit, remaining: Math.max(0, limit - w.count), reset: Math.ceil((w.start + 60_000) / 1000) };
+  if (w.count > limit) throw Object.assign(new ApiError(429, "Rate limit exceeded"), { rateLimit: rl });
+  return rl;
+}
+
+// ---------------------------------------------------------------------------
+// Params and cursors
+// ---------------------------------------------------------------------------
+
+export function queryParam(req: NextRequest, name: string): string | null {
+  return req.nextUrl.searchParams.get(name)?.trim() || null;
+}
+
+export function limitParam(req: NextRequest) {
+  const raw = queryParam(req, "limit");
+  if (!raw) return DEFAULT_LIMIT;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) throw new ApiError(400, "limit must be a positive integer");
+  return Math.min(n, MAX_LIMIT);
+}
+
+export function sinceParam(req: NextRequest) {
+  const raw = queryParam(req, "since");
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) throw new ApiError(400, "since must be an ISO 8601 timestamp");
+  return d.toISOString();
+}
+
+// source_type=sheriff,county_gov — the /local filter keys expand to their source types.
+export function sourceTypesParam(req: NextRequest) {
+  const raw = queryParam(req, "source_type");
+  if (!raw) return null;
+  return [...new Set(raw.split(",").flatMap((t) => SOURCE_TYPE_FILTERS[t.trim()]?.types ?? [t.trim()]))];
+}
+
+// Cursors are opaque to clients: base64url JSON of whatever the endpoint pages on.
+export function encodeCursor(value: unknown) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+// Keyset cursors ({ t, k }): `t` must parse as a timestamp, or the ::timestamptz cast would turn
+// a tampered cursor into a 500 instead of a 400.
+export function isKeyset(v: any, isKey: (k: unknown) => boolean) {
+  return typeof v?.t === "string" && !Number.isNaN(Date.parse(v.t)) && isKey(v?.k);
+}
+
+export function decodeCursor<T>(req: NextRequest, isValid: (v: any) => boolean): T | null {
+  const raw = queryParam(req, "cursor");
+  if (!raw) return null;
+  try {
+    const v = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (isValid(v)) return v as T;
+  } catch {
+    // fall through
+  }
+  throw new ApiError(400, "Invalid cursor");
+}
+
+// ---------------------------------------------------------------------------
+// Responses
+// ---------------------------------------------------------------------------
+
+function rateHeaders(rl: RateLimit): Record<string, string> {
+  return {
+    "x-ratelimit-limit": String(rl.limit),
+    "x-ratelimit-remaining": String(rl.remaining),
+    "x-ratelimit-reset": String(rl.reset),
+  };
+}
+
+/**
+ * JSON with a content-hash ETag; answers 304 when the client already has this body.
+ */
+export function jsonResponse(req: NextRequest, body: unknown, rl: RateLimit) {
+  const text = JSON.stringify(body);
+  const etag = `W/"${createHash("sha1").update(text).digest("base64url")}"`;
+  const headers = {
+    "content-type": "application/json; charset=utf-8",
+    "cache-control": "public, max-age=60",
+    etag,
+    ...rateHeaders(rl),
+  };
+
+  const match = req.headers.get("if-none-match");
+  if (match && match.split(",").some((t) => t.trim() === etag || t.trim() === "*")) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(text, { status: 200, headers });
+}
+
+/**
+ * Runs a handler with rate limiting and turns ApiErrors into `{ error }` JSON responses.
+ */
+export async function handleApi(req: NextRequest, handler: (rl: RateLimit) => Promise<Response>) {
+  try {
+    return await handler(checkRateLimit(req));
+  } catch (err) {
+    if (err instanceof ApiError) {
+      const rl: RateLimit | undefined = (err as any).rateLimit;
+      const headers: Record<string, string> = { "content-type": "application/json; charset=utf-8" };
+      if (rl) Object.assign(headers, rateHeaders(rl), { "retry-after": String(Math.max(1, rl.reset - Math.floor(Date.now() / 1000))) });
+      return new Response(JSON.stringify({ error: err.message }), { status: err.status, headers });
+    }
+    console.error("API error:", err);
+    return new Response(JSON.stringify({ error: "Internal error" }), {
+      status: 500,
+      headers: { "content-type": "application/json; charset=utf-8" },
+    });
+  }
+}
@@ -0,0 +1,236 @@
+// apps/web/lib/feeds.ts
+// Outbound RSS 2.0 / Atom 1.0 / JSON Feed 1.1 built from articles and published stories.
+import { FeedItem } from "./queries";
+import { FeedStoryRow } from "./storyQueries";
+
+export const SITE_URL = (process.env.SITE_URL || "https://panhandlepulse.news").replace(/\/+$/, "");
+
+// GUIDs are tag URIs on ids that never change (article_key, story uuid), not on URLs.
+const TAG_PREFIX = "tag:panhandlepulse.news,2025:";
+
+export type FeedFormat = "rss" | "atom" | "json";
+
+export const FEED_EXTENSIONS: Record<string, FeedFormat> = { xml: "rss", atom: "atom", json: "json" };
+
+export type FeedMeta = {
+  title: string;
+  description: string;
+  path: string; // e.g. "/feeds/fl/escambia" — the extension is added per format
+  homePath: string;
+};
+
+export type FeedEntry = {
+  guid: string;
+  url: string;
+  title: string;
+  summary: string;
+  contentHtml: string;
+  published: string;
+  updated: string;
+  author: { name: string; url: string | null } | null;
+  categories: string[];
+};
+
+function escapeXml(s: string) {
+  return s
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function iso(d: string | Date | null | undefined) {
+  const t = d ? new Date(d) : new Date(0);
+  return Number.isNaN(t.getTime()) ? new Date(0).toISOString() : t.toISOString();
+}
+
+function link(href: string, text: string) {
+  return `<a href="${escapeXml(href)}">${escapeXml(text)}</a>`;
+}
+
+export function articleEntry(item: FeedItem): FeedEntry {
+  const published = iso(item.published_at ?? item.fetched_at);
+  const source = item.source ? { name: item.source, url: item.source_url } : null;
+  const via = source ? `<p>Source: ${source.url ? link(source.url, source.name) : escapeXml(source.name)}</p>` : "";
+
+  return {
+    guid: `${TAG_PREFIX}article/${item.id}`,
+    url: item.url,
+    title: item.title,
+    summary: item.summary ?? "",
+    contentHtml: `${item.summary ? `<p>${escapeXml(item.summary)}</p>` : ""}${via}`,
+    published,
+    // Ingested items are never edited; first-seen is the best "updated" we have.
+    updated: iso(item.fetched_at ?? item.published_at),
+    author: source,
+    categories: item.topics.map((t) => t.label),
+  };
+}
+
+export function storyEntry(story: FeedStoryRow): FeedEntry {
+  const url = `${SITE_URL}/stories/${story.id}`;
+  // Digests cite earlier stories by their site-relative /stories/<id>.
+  const cited = story.sources.map(
+    (s) =>
+      `<li>${s.citation ? `[${s.citation}] ` : ""}${link(s.link.startsWith("/") ? SITE_URL + s.link : s.link, s.title)}${
+        s.source_name ? ` — ${escapeXml(s.source_name)}` : ""
+      }</li>`
+  );
+  const paragraphs = (story.body_markdown || "")
+    .split(/\n\s*\n/)
+    .filter(Boolean)
+    .map((p) => `<p>${escapeXml(p).replace(/\n/g, "<br/>")}</p>`);
+
+  return {
+    guid: `${TAG_PREFIX}story/${story.id}`,
+    url,
+    title: story.title,
+    summary: story.dek || "",
+    contentHtml: [
+      story.dek ? `<p><strong>${escapeXml(story.dek)}</strong></p>` : "",
+      ...paragraphs,
+      cited.length ? `<p>Sources:</p><ul>${cited.join("")}</ul>` : "",
+    ].join(""),
+    published: iso(story.created_at),
+    updated: iso(story.revised_at ?? story.created_at),
+    author: { name: "Panhandle Pulse", url: SITE_URL },
+    categories: [
+      story.story_type,
+      story.region || `${story.county.replace(/_(FL|AL|GA)$/, "").replace(/_/g, " ")}, ${story.state}`,
+    ].filter(Boolean),
+  };
+}
+
+export function mergeEntries(lists: FeedEntry[][], limit = 50) {
+  return lists
+    .flat()
+    .sort((a, b) => b.published.localeCompare(a.published))
+    .slice(0, limit);
+}
+
+function lastUpdated(entries: FeedEntry[]) {
+  return entries.reduce((max, e) => (e.updated > max ? e.updated : max), new Date(0).toISOString());
+}
+
+function renderRss(meta: FeedMeta, entries: FeedEntry[]) {
+  const self = `${SITE_URL}${meta.path}.xml`;
+  const items = entries.map((e) =>
+    [
+      "<item>",
+      `<title>${escapeXml(e.title)}</title>`,
+      `<link>${escapeXml(e.url)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(e.guid)}</guid>`,
+      `<pubDate>${new Date(e.published).toUTCString()}</pubDate>`,
+      `<atom:updated>${e.updated}</atom:updated>`,
+      e.summary ? `<description>${escapeXml(e.summary)}</description>` : "",
+      `<content:encoded>${escapeXml(e.contentHtml)}</content:encoded>`,
+      e.author?.url ? `<source url="${escapeXml(e.author.url)}">${escapeXml(e.author.name)}</source>` : "",
+      ...e.categories.map((c) => `<category>${escapeXml(c)}</category>`),
+      "</item>",
+    ].join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    "<channel>",
+    `<title>${escapeXml(meta.title)}</title>`,
+    `<link>${escapeXml(SITE_URL + meta.homePath)}</link>`,
+    `<description>${escapeXml(meta.description)}</description>`,
+    `<atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${new Date(lastUpdated(entries)).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "</channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+function renderAtom(meta: FeedMeta, entries: FeedEntry[]) {
+  const self = `${SITE_URL}${meta.path}.atom`;
+  const items = entries.map((e) =>
+    [
+      "<entry>",
+      `<id>${escapeXml(e.guid)}</id>`,
+      `<title>${escapeXml(e.title)}</title>`,
+      `<link rel="alternate" href="${escapeXml(e.url)}"/>`,
+      `<published>${e.published}</published>`,
+      `<updated>${e.updated}</updated>`,
+      e.author
+        ? `<author><name>${escapeXml(e.author.name)}</name>${e.author.url ? `<uri>${escapeXml(e.author.url)}</uri>` : ""}</author>`
+        : "",
+      e.author?.url
+        ? `<source><title>${escapeXml(e.author.name)}</title><link href="${escapeXml(e.author.url)}"/></source>`
+        : "",
+      e.summary ? `<summary>${escapeXml(e.summary)}</summary>` : "",
+      `<content type="html">${escapeXml(e.contentHtml)}</content>`,
+      ...e.categories.map((c) => `<category term="${escapeXml(c)}"/>`),
+      "</entry>",
+    ].join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(self)}</id>`,
+    `<title>${escapeXml(meta.title)}</title>`,
+    `<subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `<link rel="self" href="${escapeXml(self)}"/>`,
+    `<link rel="alternate" href="${escapeXml(SITE_URL + meta.homePath)}"/>`,
+    `<updated>${lastUpdated(entries)}</updated>`,
+    ...items,
+    "</feed>",
+  ].join("\n");
+}
+
+function renderJson(meta: FeedMeta, entries: FeedEntry[]) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    description: meta.description,
+    home_page_url: SITE_URL + meta.homePath,
+    feed_url: `${SITE_URL}${meta.path}.json`,
+    language: "en-US",
+    items: entries.map((e) => ({
+      id: e.guid,
+      url: e.url,
+      title: e.title,
+      summary: e.summary || undefined,
+      content_html: e.contentHtml,
+      date_published: e.published,
+      date_modified: e.updated,
+      authors: e.author ? [{ name: e.author.name, url: e.author.url ?? undefined }] : undefined,
+      tags: e.categories.length ? e.categories : undefined,
+    })),
+  });
+}
+
+const CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+export function feedResponse(format: FeedFormat, meta: FeedMeta, entries: FeedEntry[]) {
+  const body =
+    format === "json" ? renderJson(meta, entries) : format === "atom" ? renderAtom(meta, entries) : renderRss(meta, entries);
+
+  return new Response(body, {
+    headers: {
+      "content-type": CONTENT_TYPES[format],
+      "cache-control": "public, max-age=300",
+      "last-modified": new Date(lastUpdated(entries)).toUTCString(),
+    },
+  });
+}
+
+// "escambia.xml" -> { name: "escambia", format: "rss" }; null for unknown extensions.
+export function splitFeedFile(file: string): { name: string; format: FeedFormat } | null {
+  const m = /^(.+)\.([a-z]+)$/.exec(file);
+  const format = m ? FEED_EXTENSIONS[m[2]] : undefined;
+  return m && format ? { name: m[1], format } : null;
+}
+
+export function countySlug(county: string) {
+  return county.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
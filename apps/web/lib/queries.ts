@@ -14,57 +14,64 @@ function getPool() {
   return pool;
 }
 
+export type Topic = {
+  slug: string;
+  label: string;
+};
+
 export type FeedItem = {
-  id: number;
+  id: string;
+  kind: "rss" | "search";
   title: string;
   url: string;
   published_at: string | null;
   fetched_at: string | null;
   source: string | null;
+  source_url: string | null;
+  source_type: string | null;
+  tier: string | null;
   county: string | null;
   state: string | null;
   image_url: string | null;
+  author: string | null;
   summary: string | null;
+  cluster_size: number;
+  topics: Topic[];
 };
 
 function toFeedItem(row: any): FeedItem {
   return {
-    id: Number(row.id),
+    id: String(row.article_key),
+    kind: row.item_kind,
     title: row.title,
     url: row.url,
     published_at: row.published_at,
     fetched_at: row.fetched_at,
-    source: row.source ?? row.domain ?? null,
+    source: row.source_name ?? null,
+    source_url: row.source_url || null,
+    source_type: row.source_type || null,
+    tier: row.tier || null,
     county: row.county ?? null,
     state: row.state ?? null,
-    image_url: row.image_url ?? row.socialimage ?? null,
-    summary: row.summary ?? row.description ?? row.excerpt ?? null,
+    image_url: row.image_url ?? null,
+    author: row.author || null,
+    summary: row.summary || null,
+    cluster_size: Number(row.cluster_size ?? 1),
+    topics: row.topics ?? [],
   };
 }
 
 /**
- * Latest RSS/Stories (dedup by URL)
- * Assumes your RSS pipeline writes into `stories`.
+ * Latest items from our own RSS/scraper ingest (`articles` view, kind = 'rss').
  */
 export async function getLatestStories(limit = 50): Promise<FeedItem[]> {
   const db = getPool();
 
-  // Dedup: keep the newest row per URL
   const sql = `
-    SELECT DISTINCT ON (url)
-      id,
-      title,
-      url,
-      published_at,
-      fetched_at,
-      source,
-      county,
-      state,
-      image_url,
-      summary
-    FROM stories
-    WHERE url IS NOT NULL AND title IS NOT NULL
-    ORDER BY url, COALESCE(published_at, fetched_at) DESC
+    SELECT *
+    FROM articles
+    WHERE item_kind = 'rss'
+    ORDER BY sort_at DESC
     LIMIT $1
   `;
 
@@ -73,26 +80,16 @@ export async function getLatestStories(limit = 50): Promise<FeedItem[]> {
 }
 
 /**
- * Latest GDELT search ingest (dedup by URL)
+ * Latest GDELT search ingest (`articles` view, kind = 'search').
  */
 export async function getLatestSearch(limit = 50): Promise<FeedItem[]> {
   const db = getPool();
 
   const sql = `
-    SELECT DISTINCT ON (url)
-      id,
-      title,
-      url,
-      published_at,
-      fetched_at,
-      domain as source,
-      county,
-      state,
-      image_url,
-      summary
-    FROM panhandle_search_articles
-    WHERE url IS NOT NULL AND title IS NOT NULL
-    ORDER BY url, COALESCE(published_at, fetched_at) DESC
+    SELECT *
+    FROM articles
+    WHERE item_kind = 'search'
+    ORDER BY sort_at DESC
     LIMIT $1
   `;
 
@@ -101,51 +98,314 @@ export async function getLatestSearch(limit = 50): Promise<FeedItem[]> {
 }
 
 /**
- * Combined feed (RSS + GDELT), dedup across both by URL.
- * If the same URL appears in both, newest wins.
+ * Combined feed (RSS + GDELT), one row per story cluster.
+ * Items the worker grouped as the same story (agency post, TV pickup, GDELT copy) collapse
+ * to one representative — the one with an image, then our own ingest, then the newest —
+ * with `cluster_size` set. Unclustered rows fall back to dedup by URL.
+ * Only the last `days` days are grouped, so the window and DISTINCT ON don't sort the whole archive.
  */
-export async function getCombinedFeed(limit = 50): Promise<FeedItem[]> {
+export async function getCombinedFeed(limit = 50, days = 7): Promise<FeedItem[]> {
   const db = getPool();
 
   const sql = `
-    WITH combined AS (
-      SELECT
-        id,
-        title,
-        url,
-        published_at,
-        fetched_at,
-        source,
-        county,
-        state,
-        image_url,
-        summary
-      FROM stories
-      WHERE url IS NOT NULL AND title IS NOT NULL
-
-      UNION ALL
-
-      SELECT
-        id,
-        title,
-        url,
-        published_at,
-        fetched_at,
-        domain as source,
-        county,
-        state,
-        image_url,
-        summary
-      FROM panhandle_search_articles
-      WHERE url IS NOT NULL AND title IS NOT NULL
+    WITH keyed AS (
+      SELECT a.*, COALESCE('c:' || a.cluster_id, 'u:' || a.url) AS story_key
+      FROM articles a
+      WHERE a.sort_at >= NOW() - make_interval(days => $2)
+    ),
+    representatives AS (
+      SELECT DISTINCT ON (story_key)
+        *,
+        COUNT(*) OVER (PARTITION BY story_key) AS cluster_size
+      FROM keyed
+      ORDER BY story_key, (image_url IS NULL), (item_kind <> 'rss'), sort_at DESC
     )
-    SELECT DISTINCT ON (url)
-      *
-    FROM combined
-    ORDER BY url, COALESCE(published_at, fetched_at) DESC
+    SELECT *
+    FROM representatives
+    ORDER BY sort_at DESC
     LIMIT $1
   `;
 
-  const { rows } = await db.query(sql, [limit]);
+  const { rows } = await db.query(sql, [limit, days]);
   return rows.map(toFeedItem);
 }
+
+export type MapPoint = {
+  place: string; // "" for a county tag (lat/lon is the county's center)
+  state: string;
+  county: string;
+  lat: number;
+  lon: number;
+};
+
+export type MapItem = FeedItem & { places: MapPoint[] };
+
+/**
+ * Geotagged articles from the last `days` days for /map, one row per story cluster like
+ * `getCombinedFeed`, each with its place and county tags (worker: process/places.js).
+ */
+export async function getMapItems(days = 7, limit = 400): Promise<MapItem[]> {
+  const db = getPool();
+
+  const sql = `
+    WITH keyed AS (
+      SELECT a.*, COALESCE('c:' || a.cluster_id, 'u:' || a.url) AS story_key,
+             CASE a.item_kind WHEN 'rss' THEN 'feed_item' ELSE 'search_article' END AS place_kind
+      FROM articles a
+      WHERE a.sort_at >= NOW() - make_interval(days => $1)
+    ),
+    representatives AS (
+      SELECT DISTINCT ON (story_key)
+        *,
+        COUNT(*) OVER (PARTITION BY story_key) AS cluster_size
+      FROM keyed
+      ORDER BY story_key, (image_url IS NULL), (item_kind <> 'rss'), sort_at DESC
+    )
+    SELECT r.*, p.places
+    FROM representatives r
+    JOIN LATERAL (
+      SELECT jsonb_agg(
+               jsonb_build_object(
+                 'place', ip.place,
+                 'state', ip.state,
+                 'county', replace(regexp_replace(ip.county, '_(FL|AL|GA)$', ''), '_', ' '),
+                 'lat', ip.lat,
+                 'lon', ip.lon
+               )
+               ORDER BY (ip.place = ''), ip.place
+             ) AS places
+      FROM item_places ip
+      WHERE ip.item_kind = r.place_kind AND ip.item_id = r.item_id
+    ) p ON p.places IS NOT NULL
+    ORDER BY r.sort_at DESC
+    LIMIT $2
+  `;
+
+  const { rows } = await db.query(sql, [days, limit]);
+  return rows.map((row: any) => ({ ...toFeedItem(row), places: row.places }));
+}
+
+export type County = {
+  state: string;
+  county: string;
+  county_key: string;
+  source_count: number;
+};
+
+/**
+ * Counties with at least one enabled source (`counties` view), FL first, then by name.
+ */
+export async function getCounties(state?: string): Promise<County[]> {
+  const db = getPool();
+
+  const sql = `
+    SELECT state, county, county_key, source_count
+    FROM counties
+    WHERE ($1::text IS NULL OR state = $1)
+    ORDER BY (state <> 'FL'), state, county
+  `;
+
+  const { rows } = await db.query(sql, [state ?? null]);
+  return rows.map((r: any) => ({ ...r, source_count: Number(r.source_count) }));
+}
+
+/**
+ * Source-type filters offered on /local. Values are `sources.source_type`.
+ */
+export const SOURCE_TYPE_FILTERS: Record<string, { label: string; types: string[] }> = {
+  sheriff: { label: "Sheriff", types: ["sheriff"] },
+  school: { label: "Schools", types: ["school"] },
+  em: { label: "Emergency Mgmt", types: ["em"] },
+  county_gov: { label: "County Gov", types: ["county_gov"] },
+};
+
+// Topic filter against item_topics itself: `articles.topics` is a per-row jsonb_agg the view
+// computes, so testing it with @> builds that array for every article scanned.
+function hasTopic(alias: string, slug: string) {
+  return `EXISTS (
+    SELECT 1
+    FROM item_topics it
+    WHERE it.item_kind = CASE ${alias}.item_kind WHEN 'rss' THEN 'feed_item' ELSE 'search_article' END
+      AND it.item_id = ${alias}.item_id
+      AND it.topic = ${slug}
+  )`;
+}
+
+export type LocalFilter = {
+  state?: string | null;
+  county?: string | null;
+  sourceType?: string | null;
+  topic?: string | null;
+  days?: number; // default 30, the window getTopicCounts counts over
+};
+
+/**
+ * One page of articles for a state, county and/or topic, one row per story cluster like `getCombinedFeed`.
+ * Only the last `filter.days` days are grouped, as in `getCombinedFeed`.
+ * Returns up to `limit + 1` rows so callers can tell whether there is a next page.
+ */
+export async function getLocalArticles(filter: LocalFilter, limit = 20, offset = 0): Promise<FeedItem[]> {
+  const db = getPool();
+  const types = filter.sourceType ? SOURCE_TYPE_FILTERS[filter.sourceType]?.types ?? [] : null;
+
+  const sql = `
+    WITH keyed AS (
+      SELECT a.*, COALESCE('c:' || a.cluster_id, 'u:' || a.url) AS story_key
+      FROM articles a
+      WHERE ($1::text IS NULL OR a.state = $1)
+        AND ($2::text IS NULL OR a.county = $2)
+        AND ($3::text[] IS NULL OR a.source_type = ANY($3))
+        AND ($6::text IS NULL OR ${hasTopic("a", "$6::text")})
+        AND a.sort_at >= NOW() - make_interval(days => $7)
+    ),
+    representatives AS (
+      SELECT DISTINCT ON (story_key)
+        *,
+        COUNT(*) OVER (PARTITION BY story_key) AS cluster_size
+      FROM keyed
+      ORDER BY story_key, (image_url IS NULL), (item_kind <> 'rss'), sort_at DESC
+    )
+    SELECT *
+    FROM representatives
+    ORDER BY sort_at DESC
+    LIMIT $4 OFFSET $5
+  `;
+
+  const { rows } = await db.query(sql, [
+    filter.state ?? null,
+    filter.county ?? null,
+    types,
+    limit + 1,
+    offset,
+    filter.topic ?? null,
+    filter.days ?? 30,
+  ]);
+  return rows.map(toFeedItem);
+}
+
+export type TopicCount = Topic & { item_count: number };
+
+/**
+ * Every topic with how many articles in the area carry it over the last `days` days.
+ */
+export async function getTopicCounts(
+  area: { state?: string | null; county?: string | null } = {},
+  days = 30
+): Promise<TopicCount[]> {
+  const db = getPool();
+
+  const sql = `
+    WITH recent AS (
+      SELECT CASE a.item_kind WHEN 'rss' THEN 'feed_item' ELSE 'search_article' END AS topic_kind, a.item_id
+      FROM articles a
+      WHERE a.sort_at >= NOW() - make_interval(days => $3)
+        AND ($1::text IS NULL OR a.state = $1)
+        AND ($2::text IS NULL OR a.county = $2)
+    )
+    SELECT tp.slug, tp.label, COUNT(r.item_id) AS item_count
+    FROM topics tp
+    LEFT JOIN item_topics it ON it.topic = tp.slug
+    LEFT JOIN recent r ON r.topic_kind = it.item_kind AND r.item_id = it.item_id
+    GROUP BY tp.slug, tp.label, tp.position
+    ORDER BY tp.position
+  `;
+
+  const { rows } = await db.query(sql, [area.state ?? null, area.county ?? null, days]);
+  return rows.map((r: any) => ({ slug: r.slug, label: r.label, item_count: Number(r.item_count) }));
+}
+
+// Keyset position for the /api/v1 cursors: the last row's sort timestamp (as Postgres text,
+// so microseconds survive the round trip) and its key.
+export type Keyset = { t: string; k: string };
+
+export type ArticleFilter = {
+  state?: string | null;
+  county?: string | null;
+  topic?: string | null;
+  sourceTypes?: string[] | null;
+  since?: string | null;
+};
+
+export type ApiArticle = FeedItem & { cluster_id: string | null; sort_key: string };
+
+/**
+ * Articles newest first, every row (no cluster collapsing; `cluster_id` says which belong together).
+ * Returns up to `limit + 1` rows so callers can tell whether there is a next page.
+ */
+export async function listArticles(filter: ArticleFilter, after: Keyset | null, limit: number): Promise<ApiArticle[]> {
+  const db = getPool();
+
+  const sql = `
+    SELECT a.*, a.sort_at::text AS sort_key
+    FROM articles a
+    WHERE ($1::text IS NULL OR a.state = $1)
+      AND ($2::text IS NULL OR a.county = $2)
+      AND ($3::text IS NULL OR ${hasTopic("a", "$3::text")})
+      AND ($4::text[] IS NULL OR a.source_type = ANY($4))
+      AND ($5::timestamptz IS NULL OR a.sort_at >= $5)
+      AND ($6::timestamptz IS NULL OR (a.sort_at, a.article_key) < ($6::timestamptz, $7::text))
+    ORDER BY a.sort_at DESC, a.article_key DESC
+    LIMIT $8
+  `;
+
+  const { rows } = await db.query(sql, [
+    filter.state ?? null,
+    filter.county ?? null,
+    filter.topic ?? null,
+    filter.sourceTypes ?? null,
+    filter.since ?? null,
+    after?.t ?? null,
+    after?.k ?? null,
+    limit + 1,
+  ]);
+  return rows.map((r: any) => ({
+    ...toFeedItem(r),
+    cluster_id: r.cluster_id == null ? null : String(r.cluster_id),
+    sort_key: r.sort_key,
+  }));
+}
+
+export type ApiSource = {
+  id: number;
+  state: string;
+  county: string;
+  source_name: string;
+  source_type: string;
+  tier: string;
+  website_url: string;
+  rss_url: string;
+};
+
+/**
+ * Enabled sources by id, `limit + 1` rows after `afterId`.
+ */
+export async function listSources(
+  filter: { state?: string | null; county?: string | null; sourceTypes?: string[] | null },
+  afterId: number | null,
+  limit: number
+): Promise<ApiSource[]> {
+  const db = getPool();
+
+  const sql = `
+    SELECT s.id, s.state,
+           replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+           s.source_name, s.source_type, s.tier, s.website_url, s.rss_url
+    FROM sources s
+    WHERE s.enabled = TRUE
+      AND ($1::text IS NULL OR s.state = $1)
+      AND ($2::text IS NULL OR replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') = $2)
+      AND ($3::text[] IS NULL OR s.source_type = ANY($3))
+      AND ($4::int IS NULL OR s.id > $4)
+    ORDER BY s.id
+    LIMIT $5
+  `;
+
+  const { rows } = await db.query(sql, [
+    filter.state ?? null,
+    filter.county ?? null,
+    filter.sourceTypes ?? null,
+    afterId,
+    limit + 1,
+  ]);
+  return rows;
+}
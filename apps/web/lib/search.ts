@@ -0,0 +1,143 @@
+// apps/web/lib/search.ts
+import { getPool } from "./db";
+import { SOURCE_TYPE_FILTERS } from "./queries";
+
+// ts_headline wraps matches in these; SearchResults turns them into <mark> without
+// rendering any HTML from the snippet text itself.
+export const MARK_START = "\u0002";
+export const MARK_END = "\u0003";
+
+const HEADLINE_OPTIONS = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+export type SearchParams = {
+  q: string;
+  state?: string | null;
+  county?: string | null;
+  sourceType?: string | null;
+  from?: string | null; // YYYY-MM-DD, America/Chicago
+  to?: string | null; // YYYY-MM-DD, inclusive
+};
+
+export type SearchHit = {
+  kind: "article" | "story";
+  id: string;
+  title: string;
+  url: string;
+  snippet: string;
+  source: string | null;
+  county: string | null;
+  state: string | null;
+  date: string | null;
+  rank: number;
+};
+
+const DATE_RE = /^[1-9]\d{3}-\d{2}-\d{2}$/;
+
+// Dates that don't exist (2026-02-30) are ignored like malformed ones rather than reaching ::date.
+function dateParam(s?: string | null) {
+  if (!s || !DATE_RE.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s ? s : null;
+}
+
+/**
+ * Ranked full-text search over articles (title A, summary B) and published AI stories
+ * (title A, dek B, body C). `q` uses websearch syntax: quoted phrases, `or`, `-word`.
+ * Stories carry no source type, so a source-type filter limits results to articles.
+ * Returns up to `limit + 1` hits so callers can tell whether there is a next page.
+ */
+export async function searchArticles(params: SearchParams, limit = 20, offset = 0): Promise<SearchHit[]> {
+  const db = getPool();
+  const types = params.sourceType ? SOURCE_TYPE_FILTERS[params.sourceType]?.types ?? [] : null;
+
+  const sql = `
+    WITH q AS (
+      SELECT websearch_to_tsquery('english', $1) AS query
+    ),
+    bounds AS (
+      SELECT
+        ($5::date)::timestamp AT TIME ZONE 'America/Chicago' AS since,
+        ($6::date + 1)::timestamp AT TIME ZONE 'America/Chicago' AS until
+    ),
+    hits AS (
+      SELECT
+        'article' AS kind,
+        a.article_key AS id,
+        a.title,
+        a.url,
+        a.summary AS body,
+        a.source_name AS source,
+        a.county,
+        a.state,
+        a.sort_at AS date,
+        ts_rank_cd(a.search_tsv, q.query) AS rank
+      FROM articles a, q, bounds b
+      WHERE a.search_tsv @@ q.query
+        AND ($2::text IS NULL OR a.state = $2)
+        AND ($3::text IS NULL OR a.county = $3)
+        AND ($4::text[] IS NULL OR a.source_type = ANY($4))
+        AND (b.since IS NULL OR a.sort_at >= b.since)
+        AND (b.until IS NULL OR a.sort_at < b.until)
+
+      UNION ALL
+
+      SELECT
+        'story',
+        st.id::text,
+        st.title,
+        '/stories/' || st.id,
+        concat_ws(' ', NULLIF(st.dek, ''), st.body_markdown),
+        'Panhandle Pulse',
+        -- Regional roundups have no county; show their region in its place.
+        COALESCE(NULLIF(st.region, ''), replace(regexp_replace(st.county, '_(FL|AL|GA)$', ''), '_', ' ')),
+        st.state,
+        st.created_at,
+        ts_rank_cd(st.search_tsv, q.query)
+      FROM stories st, q, bounds b
+      WHERE st.status = 'published'
+        AND st.search_tsv @@ q.query
+        AND $4::text[] IS NULL
+        AND ($2::text IS NULL OR st.state = $2)
+        AND ($3::text IS NULL OR replace(regexp_replace(st.county, '_(FL|AL|GA)$', ''), '_', ' ') = $3)
+        AND (b.since IS NULL OR st.created_at >= b.since)
+        AND (b.until IS NULL OR st.created_at < b.until)
+    ),
+    page AS (
+      SELECT *
+      FROM hits
+      ORDER BY rank DESC, date DESC NULLS LAST
+      LIMIT $7 OFFSET $8
+    )
+    -- Headlines only for the page being shown; ts_headline re-parses the text.
+    SELECT
+      p.kind, p.id, p.title, p.url, p.source, p.county, p.state, p.date, p.rank,
+      ts_headline('english', coalesce(p.body, ''), q.query, $9) AS snippet
+    FROM page p, q
+    ORDER BY p.rank DESC, p.date DESC NULLS LAST
+  `;
+
+  const { rows } = await db.query(sql, [
+    params.q,
+    params.state || null,
+    params.county || null,
+    types,
+    dateParam(params.from),
+    dateParam(params.to),
+    limit + 1,
+    offset,
+    HEADLINE_OPTIONS,
+  ]);
+
+  return rows.map((r: any) => ({
+    kind: r.kind,
+    id: String(r.id),
+    title: r.title,
+    url: r.url,
+    snippet: r.snippet ?? "",
+    source: r.source ?? null,
+    county: r.county ?? null,
+    state: r.state ?? null,
+    date: r.date ? new Date(r.date).toISOString() : null,
+    rank: Number(r.rank),
+  }));
+}
@@ -0,0 +1,99 @@
+// apps/web/lib/sourceHealth.ts
+// /admin/sources: every configured source with its rolling health (the worker's source_health view).
+import { getPool } from "./db";
+import { AdminError } from "./admin";
+
+export type SourceHealthRow = {
+  source_id: number;
+  state: string;
+  county: string;
+  source_name: string;
+  source_type: string;
+  tier: string;
+  enabled: boolean;
+  disabled_reason: string;
+  disabled_at: string | null;
+  disabled_by: "" | "health" | "config";
+  feed_url: string;
+  adapter: string;
+  consecutive_failures: number;
+  last_status: number | null;
+  last_fetched_at: string | null;
+  last_success_at: string | null;
+  fetches_7d: number;
+  failures_7d: number;
+  last_error: string | null;
+  last_error_at: string | null;
+  last_item_at: string | null;
+  items_7d: number;
+  items_per_day: number;
+};
+
+export const HEALTH_STATES = ["failing", "degraded", "stale", "healthy", "no_feed", "disabled"] as const;
+export type Health = (typeof HEALTH_STATES)[number];
+
+export const HEALTH_LABELS: Record<Health, string> = {
+  failing: "Failing",
+  degraded: "Degraded",
+  stale: "Stale",
+  healthy: "Healthy",
+  no_feed: "No feed",
+  disabled: "Disabled",
+};
+
+// A feed that fetches fine but hasn't had a new item in this long is "stale".
+const STALE_AFTER_DAYS = 14;
+
+export function healthOf(s: SourceHealthRow): Health {
+  if (!s.enabled) return "disabled";
+  if (!s.feed_url) return "no_feed";
+  if (s.consecutive_failures >= 3) return "failing";
+  if (s.consecutive_failures > 0 || (s.fetches_7d > 0 && s.failures_7d / s.fetches_7d > 0.2)) return "degraded";
+  if (!s.last_item_at || Date.now() - new Date(s.last_item_at).getTime() > STALE_AFTER_DAYS * 86_400_000) return "stale";
+  return "healthy";
+}
+
+// Worst first, then by place and name.
+export async function listSourceHealth(): Promise<(SourceHealthRow & { health: Health })[]> {
+  const pool = getPool();
+  const res = await pool.query<SourceHealthRow>(
+    `
+    SELECT h.*, s.disabled_by
+    FROM source_health h
+    JOIN sources s ON s.id = h.source_id
+    ORDER BY h.state, h.county, h.source_name
+    `
+  );
+  return res.rows
+    .map((s) => ({ ...s, health: healthOf(s) }))
+    .sort((a, b) => HEALTH_STATES.indexOf(a.health) - HEALTH_STATES.indexOf(b.health));
+}
+
+/**
+ * Turns a source the worker disabled for failing back on; its failure streak starts over.
+ * Sources disabled through sources.yaml come back when the file lists them again.
+ */
+export async function reenableSource(id: number) {
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const res = await client.query(
+      `
+      UPDATE sources
+      SET enabled = TRUE, disabled_reason = '', disabled_at = NULL, disabled_by = '', updated_at = NOW()
+      WHERE id = $1 AND enabled = FALSE AND disabled_by <> 'config'
+      `,
+      [id]
+    );
+    if (res.rowCount !== 1) throw new AdminError("Only sources disabled for failing can be re-enabled here");
+    await client.query(`UPDATE source_fetch_state SET consecutive_failures = 0, updated_at = NOW() WHERE source_id = $1`, [
+      id,
+    ]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,239 @@
+// apps/web/lib/storyQueries.ts
+import { Pool } from "pg";
+
+declare global {
+  // eslint-disable-next-line no-var
+  var __pgPoolStories: Pool | undefined;
+}
+
+function getPool() {
+  if (!global.__pgPoolStories) {
+    global.__pgPoolStories = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: { rejectUnauthorized: false },
+    });
+  }
+  return global.__pgPoolStories;
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Story ids are uuids; anything else would fail the ::uuid cast instead of finding nothing.
+export function isStoryId(id: string) {
+  return UUID_RE.test(id);
+}
+
+export type StoryRow = {
+  id: string;
+  // Both '' on regional roundups, which set `region` instead.
+  state: string;
+  county: string;
+  region: string;
+  story_type: string;
+  title: string;
+  dek: string;
+  body_markdown: string;
+  bullets_json: any;
+  created_at: string;
+  // Set once the text has been revised (a later edition update or an editor's edit).
+  revised_at: string | null;
+  time_window_start: string;
+  time_window_end: string;
+};
+
+// story_type values the writer produces, in the order /stories offers them as filters.
+export const STORY_TYPES = ["roundup", "breaking", "brief", "digest", "regional"] as const;
+export type StoryType = (typeof STORY_TYPES)[number];
+
+export const STORY_TYPE_LABELS: Record<StoryType, string> = {
+  roundup: "County roundups",
+  breaking: "Breaking",
+  brief: "Briefs",
+  digest: "Weekly digests",
+  regional: "Regional roundups",
+};
+
+export function isStoryType(v: string | null | undefined): v is StoryType {
+  return STORY_TYPES.some((t) => t === v);
+}
+
+// "Emerald Coast" for a regional roundup, "FL / Santa Rosa" for the rest.
+export function storyPlace(s: { state: string; county: string; region?: string }) {
+  return s.region || `${s.state} / ${s.county.replace(/_(FL|AL|GA)$/, "").replace(/_/g, " ")}`;
+}
+
+export async function getLatestStories(limit = 20, storyType: StoryType | null = null): Promise<StoryRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, title, dek, body_markdown, bullets_json, created_at, revised_at,
+           time_window_start, time_window_end
+    FROM stories
+    WHERE status = 'published'
+      AND ($2::text IS NULL OR story_type = $2)
+    ORDER BY created_at DESC
+    LIMIT $1
+    `,
+    [limit, storyType]
+  );
+  return res.rows;
+}
+
+// `county` is the sources.yaml key stories are written under (e.g. "Santa_Rosa"), not the display name.
+export async function getCountyStories(state: string, county: string, limit = 30, offset = 0): Promise<StoryRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, title, dek, body_markdown, bullets_json, created_at, revised_at,
+           time_window_start, time_window_end
+    FROM stories
+    WHERE status = 'published'
+      AND state = $1
+      AND county = $2
+    ORDER BY created_at DESC
+    LIMIT $3 OFFSET $4
+    `,
+    [state, county, limit, offset]
+  );
+  return res.rows;
+}
+
+export async function getStateStories(state: string, limit = 30, offset = 0): Promise<StoryRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, title, dek, body_markdown, bullets_json, created_at, revised_at,
+           time_window_start, time_window_end
+    FROM stories
+    WHERE status = 'published'
+      AND state = $1
+    ORDER BY created_at DESC
+    LIMIT $2 OFFSET $3
+    `,
+    [state, limit, offset]
+  );
+  return res.rows;
+}
+
+export type FeedStoryRow = StoryRow & {
+  updated_at: string;
+  // `citation` is the [n] the body uses; null for sources only an earlier version cited.
+  // Digests cite earlier stories, whose `link` is the site-relative /stories/<id>.
+  sources: { title: string; link: string; source_name: string | null; citation: number | null }[];
+};
+
+// Published stories with their cited items, newest first, for /feeds. `county` is the sources.yaml key.
+export async function getStoriesForFeed(
+  filter: { state?: string | null; county?: string | null } = {},
+  limit = 50
+): Promise<FeedStoryRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT s.id, s.state, s.county, s.region, s.story_type, s.title, s.dek, s.body_markdown, s.bullets_json,
+           s.created_at, s.updated_at, s.revised_at, s.time_window_start, s.time_window_end,
+           COALESCE((
+             SELECT json_agg(json_build_object('title', x.title, 'link', x.link, 'source_name', x.source_name,
+                                               'citation', x.citation)
+                             ORDER BY x.citation NULLS LAST, x.published_at DESC NULLS LAST)
+             FROM (
+               SELECT ss.source_title AS title, ss.source_link AS link, src.source_name,
+                      ss.citation_number AS citation, ss.source_published_at AS published_at
+               FROM story_sources ss
+               LEFT JOIN feed_items fi ON fi.id = ss.feed_item_id
+               LEFT JOIN sources src ON src.id = fi.source_id
+               WHERE ss.story_id = s.id
+               UNION ALL
+               SELECT cited.title, '/stories/' || cited.id, 'Panhandle Pulse', cs.citation_number, cited.time_window_start
+               FROM story_cited_stories cs
+               JOIN stories cited ON cited.id = cs.cited_story_id
+               WHERE cs.story_id = s.id
+             ) x
+           ), '[]'::json) AS sources
+    FROM stories s
+    WHERE s.status = 'published'
+      AND ($1::text IS NULL OR s.state = $1)
+      AND ($2::text IS NULL OR s.county = $2)
+    ORDER BY s.created_at DESC
+    LIMIT $3
+    `,
+    [filter.state ?? null, filter.county ?? null, limit]
+  );
+  return res.rows;
+}
+
+export type StoryListFilter = {
+  state?: string | null;
+  county?: string | null; // display name ("Santa Rosa"), not the sources.yaml key
+  storyType?: string | null;
+  since?: string | null;
+};
+
+export type StoryListRow = StoryRow & { updated_at: string; sort_key: string };
+
+// Published stories newest first for /api/v1/stories; `after` is the last row's created_at (as text) and id.
+export async function listStories(
+  filter: StoryListFilter,
+  after: { t: string; k: string } | null,
+  limit: number
+): Promise<StoryListRow[]> {
+  const pool = getPool();
+  const res = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, title, dek, body_markdown, bullets_json, created_at, updated_at,
+           revised_at, time_window_start, time_window_end, created_at::text AS sort_key
+    FROM stories
+    WHERE status = 'published'
+      AND ($1::text IS NULL OR state = $1)
+      AND ($2::text IS NULL OR replace(regexp_replace(county, '_(FL|AL|GA)$', ''), '_', ' ') = $2)
+      AND ($3::text IS NULL OR story_type = $3)
+      AND ($4::timestamptz IS NULL OR created_at >= $4)
+      AND ($5::timestamptz IS NULL OR (created_at, id) < ($5::timestamptz, $6::uuid))
+    ORDER BY created_at DESC, id DESC
+    LIMIT $7
+    `,
+    [
+      filter.state ?? null,
+      filter.county ?? null,
+      filter.storyType ?? null,
+      filter.since ?? null,
+      after?.t ?? null,
+      after?.k ?? null,
+      limit + 1,
+    ]
+  );
+  return res.rows;
+}
+
+// A story's sources in citation order: feed items, plus the earlier stories a digest cites.
+export const STORY_SOURCES_SQL = `
+  SELECT source_title, source_link, source_published_at, citation_number
+  FROM story_sources
+  WHERE story_id = $1
+  UNION ALL
+  SELECT cited.title, '/stories/' || cited.id, cited.time_window_start, cs.citation_number
+  FROM story_cited_stories cs
+  JOIN stories cited ON cited.id = cs.cited_story_id
+  WHERE cs.story_id = $1
+  ORDER BY citation_number NULLS LAST, source_published_at DESC NULLS LAST
+`;
+
+export async function getStoryWithSources(id: string) {
+  const pool = getPool();
+  const storyRes = await pool.query(
+    `
+    SELECT id, state, county, region, story_type, status, title, dek, body_markdown, bullets_json, created_at, updated_at,
+           revised_at, version, time_window_start, time_window_end
+    FROM stories
+    WHERE id = $1
+    LIMIT 1
+    `,
+    [id]
+  );
+  const story = storyRes.rows[0];
+  if (!story) return null;
+
+  const sourcesRes = await pool.query(STORY_SOURCES_SQL, [id]);
+
+  return { story, sources: sourcesRes.rows };
+}
@@ -0,0 +1,169 @@
+// apps/web/lib/subscriptions.ts
+// Email digest sign-ups (/subscribe), confirmation and unsubscribe links. The worker mails the
+// links (apps/worker/mail/) and signs them with the same EMAIL_TOKEN_SECRET checked here.
+import crypto from "node:crypto";
+import { getPool } from "./db";
+import { getCounties } from "./queries";
+
+export class SubscriptionError extends Error {}
+
+type TokenAction = "confirm" | "unsubscribe";
+
+const CONFIRM_TTL_SECONDS = 7 * 24 * 3600;
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}$/i;
+
+function secret(): string {
+  const s = process.env.EMAIL_TOKEN_SECRET;
+  if (!s) throw new Error("EMAIL_TOKEN_SECRET is not set for the web service.");
+  return s;
+}
+
+function sign(action: TokenAction, id: string, issued: string, email: string) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(`${action}:${id}:${issued}:${email.toLowerCase()}`)
+    .digest("base64url");
+}
+
+type Subscriber = { id: string; email: string; status: "pending" | "confirmed" | "unsubscribed" };
+
+/**
+ * The subscriber a "<id>.<issued>.<signature>" link was made for. Confirm links expire after
+ * 7 days; unsubscribe links never do.
+ */
+async function verifyToken(action: TokenAction, token: string): Promise<Subscriber> {
+  const m = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(token.trim());
+  const invalid = new SubscriptionError("This link is not valid. Copy the whole link from the email, or sign up again.");
+  if (!m) throw invalid;
+  const [, id, issued, sig] = m;
+
+  const { rows } = await getPool().query(`SELECT id::text, email, status FROM subscribers WHERE id = $1`, [id]);
+  const subscriber: Subscriber | undefined = rows[0];
+  if (!subscriber) throw invalid;
+
+  const expected = Buffer.from(sign(action, id, issued, subscriber.email));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) throw invalid;
+
+  if (action === "confirm" && Date.now() / 1000 - Number(issued) > CONFIRM_TTL_SECONDS) {
+    throw new SubscriptionError("This confirmation link has expired. Sign up again for a new one.");
+  }
+  return subscriber;
+}
+
+/**
+ * Signs `email` up for the counties (`"FL/Santa_Rosa"` keys). New counties stay pending until
+ * the worker's confirmation email is followed. Returns how many counties now wait for it
+ * (0 when they were all active already).
+ */
+export async function subscribe(email: string, countyKeys: string[]): Promise<number> {
+  const address = email.trim();
+  if (!EMAIL_RE.test(address) || address.length > 254) throw new SubscriptionError("Enter a valid email address.");
+
+  const known = new Set((await getCounties()).map((c) => `${c.state}/${c.county_key}`));
+  const keys = [...new Set(countyKeys)].filter((k) => known.has(k));
+  if (!keys.length) throw new SubscriptionError("Pick at least one county.");
+
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `
+      INSERT INTO subscribers (email)
+      VALUES ($1)
+      ON CONFLICT (lower(email)) DO UPDATE
+        SET status = CASE WHEN subscribers.status = 'unsubscribed' THEN 'pending' ELSE subscribers.status END,
+            updated_at = NOW()
+      RETURNING id
+      `,
+      [address]
+    );
+    const id = rows[0].id;
+
+    for (const key of keys) {
+      const [state, county] = key.split("/");
+      await client.query(
+        `
+        INSERT INTO subscriptions (subscriber_id, state, county)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (subscriber_id, state, county) DO NOTHING
+        `,
+        [id, state, county]
+      );
+    }
+    const res = await client.query(
+      `SELECT COUNT(*)::int AS n FROM subscriptions WHERE subscriber_id = $1 AND status = 'pending'`,
+      [id]
+    );
+    const pending: number = res.rows[0].n;
+    if (pending) {
+      await client.query(`UPDATE subscribers SET confirm_requested_at = NOW() WHERE id = $1`, [id]);
+    }
+    await client.query("COMMIT");
+    return pending;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Confirms from a confirmation link: the subscriber is confirmed and their pending counties start
+ * getting the digest. Returns the number of counties they now get.
+ */
+export async function confirmSubscription(token: string): Promise<number> {
+  const subscriber = await verifyToken("confirm", token);
+
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const confirmed = await client.query(
+      `
+      UPDATE subscribers
+      SET status = 'confirmed', confirmed_at = COALESCE(confirmed_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status <> 'unsubscribed'
+      `,
+      [subscriber.id]
+    );
+    if (!confirmed.rowCount) {
+      throw new SubscriptionError("You have unsubscribed since this link was sent. Sign up again to get the email.");
+    }
+    const { rows } = await client.query(
+      `
+      WITH activated AS (
+        UPDATE subscriptions SET status = 'active', activated_at = NOW()
+        WHERE subscriber_id = $1 AND status = 'pending'
+        RETURNING 1
+      )
+      SELECT COUNT(*)::int AS n FROM subscriptions WHERE subscriber_id = $1
+      `,
+      [subscriber.id]
+    );
+    await client.query("COMMIT");
+    return rows[0].n;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Unsubscribes the link's subscriber from every county. Repeating it is harmless.
+ */
+export async function unsubscribe(token: string): Promise<void> {
+  const subscriber = await verifyToken("unsubscribe", token);
+  const pool = getPool();
+  await pool.query(
+    `
+    UPDATE subscribers
+    SET status = 'unsubscribed', unsubscribed_at = COALESCE(unsubscribed_at, NOW()), updated_at = NOW()
+    WHERE id = $1 AND status <> 'unsubscribed'
+    `,
+    [subscriber.id]
+  );
+  await pool.query(`DELETE FROM subscriptions WHERE subscriber_id = $1`, [subscriber.id]);
+}
@@ -0,0 +1,17 @@
+// apps/web/middleware.ts
+// /admin requires an editor login (HTTP Basic, see lib/adminAuth.ts).
+import { NextRequest, NextResponse } from "next/server";
+import { ADMIN_REALM, editorFromAuthHeader } from "./lib/adminAuth";
+
+export function middleware(req: NextRequest) {
+  if (editorFromAuthHeader(req.headers.get("authorization"))) return NextResponse.next();
+
+  return new NextResponse("Editor login required", {
+    status: 401,
+    headers: { "www-authenticate": ADMIN_REALM, "cache-control": "no-store" },
+  });
+}
+
+export const config = {
+  matcher: ["/admin", "/admin/:path*"],
+};
@@ -0,0 +1,175 @@
+// Provider layer for the story writer and topic classifier.
+// AI_PROVIDER picks the adapter; every call gets a timeout, retries with exponential backoff,
+// and reports token usage and latency.
+import { sleep, envInt } from "../utils/common.js";
+import * as custom from "./providers/custom.js";
+import * as openai from "./providers/openai.js";
+import * as anthropic from "./providers/anthropic.js";
+import * as ollama from "./providers/ollama.js";
+
+const PROVIDERS = {
+  custom: { adapter: custom, baseUrl: "", model: "", needsKey: true },
+  openai: { adapter: openai, baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", needsKey: true },
+  anthropic: { adapter: anthropic, baseUrl: "https://api.anthropic.com", model: "claude-3-5-haiku-latest", needsKey: true },
+  ollama: { adapter: ollama, baseUrl: "http://127.0.0.1:11434", model: "llama3.1", needsKey: false },
+  // llama.cpp's server speaks the OpenAI protocol.
+  llamacpp: { adapter: openai, baseUrl: "http://127.0.0.1:8080/v1", model: "local", needsKey: false },
+};
+
+const TIMEOUT_MS = envInt("AI_TIMEOUT_MS", 60000);
+const MAX_RETRIES = envInt("AI_MAX_RETRIES", 3);
+const BACKOFF_MS = envInt("AI_BACKOFF_MS", 1000);
+const MAX_TOKENS = envInt("AI_MAX_TOKENS", 2000);
+
+export class AIError extends Error {
+  constructor(message, { status = 0, retryable = false, retryAfterMs = 0 } = {}) {
+    super(message);
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function providerConfig() {
+  const name = (process.env.AI_PROVIDER || "custom").toLowerCase();
+  const p = PROVIDERS[name];
+  if (!p) throw new Error(`Unknown AI_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+
+  return {
+    name,
+    adapter: p.adapter,
+    needsKey: p.needsKey,
+    endpoint: process.env.AI_ENDPOINT || "",
+    baseUrl: (process.env.AI_BASE_URL || p.baseUrl).replace(/\/+$/, ""),
+    model: process.env.AI_MODEL || p.model,
+    apiKey: process.env.AI_API_KEY || "",
+  };
+}
+
+export function aiConfigured() {
+  try {
+    const c = providerConfig();
+    if (c.name === "custom" && !c.endpoint) return false;
+    return !c.needsKey || Boolean(c.apiKey);
+  } catch {
+    return false;
+  }
+}
+
+// JSON POST shared by the adapters; HTTP failures become AIErrors that say whether to retry.
+async function post(url, { signal, headers, body }) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      signal,
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") throw new AIError(`AI timeout after ${TIMEOUT_MS}ms`, { retryable: true });
+    throw new AIError(`AI request failed: ${e.message}`, { retryable: true });
+  }
+
+  if (!res.ok) {
+    const t = await res.text().catch(() => "");
+    const retryAfter = Number(res.headers.get("retry-after"));
+    throw new AIError(`AI HTTP ${res.status}: ${t.slice(0, 500)}`, {
+      status: res.status,
+      retryable: res.status === 408 || res.status === 409 || res.status === 429 || res.status >= 500,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : 0,
+    });
+  }
+  // A body cut off by the timeout or a proxy error page is as transient as a 5xx.
+  try {
+    return await res.json();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new AIError(`AI timeout after ${TIMEOUT_MS}ms`, { retryable: true });
+    throw new AIError(`AI response is not JSON: ${e.message}`, { status: res.status, retryable: true });
+  }
+}
+
+/**
+ * One completion through the configured provider.
+ * Resolves { text, model, provider, usage: { input, output }, latencyMs, attempts }.
+ */
+export async function callAI({ messages, maxTokens = MAX_TOKENS, json = false }) {
+  const config = providerConfig();
+  if (config.name === "custom" && !config.endpoint) throw new Error("AI_ENDPOINT is missing");
+  if (config.needsKey && !config.apiKey) throw new Error("AI_API_KEY is missing");
+
+  const started = Date.now();
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const t = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      const out = await config.adapter.complete({ config, messages, maxTokens, json, signal: controller.signal, post });
+      return { ...out, provider: config.name, latencyMs: Date.now() - started, attempts: attempt };
+    } catch (e) {
+      if (!(e instanceof AIError) || !e.retryable || attempt > MAX_RETRIES) throw e;
+      const delay = Math.max(e.retryAfterMs, BACKOFF_MS * 2 ** (attempt - 1)) + Math.floor(Math.random() * 250);
+      console.warn(`[ai] ${config.name} attempt ${attempt} failed (${e.message}); retrying in ${delay}ms`);
+      await sleep(delay);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+}
+
+// Models like to wrap JSON in ```json fences or add a sentence around it.
+function extractJson(text) {
+  const s = String(text || "").trim();
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(s);
+  if (fenced) return JSON.parse(fenced[1]);
+  try {
+    return JSON.parse(s);
+  } catch (e) {
+    const start = s.indexOf("{");
+    const end = s.lastIndexOf("}");
+    if (start >= 0 && end > start) return JSON.parse(s.slice(start, end + 1));
+    throw e;
+  }
+}
+
+/**
+ * callAI for structured output. `validate(value)` returns { value, errors }; when the reply is
+ * not JSON or fails validation, the model gets one repair turn listing the problems.
+ * Resolves { value, model, provider, usage, latencyMs, attempts } with usage summed over both turns.
+ */
+export async function generateJson({ messages, validate, maxTokens = MAX_TOKENS }) {
+  const usage = { input: 0, output: 0 };
+  let latencyMs = 0;
+  let attempts = 0;
+  let convo = messages;
+
+  for (let turn = 1; turn <= 2; turn++) {
+    const ai = await callAI({ messages: convo, maxTokens, json: true });
+    usage.input += ai.usage.input;
+    usage.output += ai.usage.output;
+    latencyMs += ai.latencyMs;
+    attempts += ai.attempts;
+
+    let errors;
+    try {
+      const checked = validate(extractJson(ai.text));
+      if (!checked.errors.length) {
+        return { value: checked.value, model: ai.model, provider: ai.provider, usage, latencyMs, attempts };
+      }
+      errors = checked.errors;
+    } catch (e) {
+      errors = [`reply is not valid JSON (${e.message})`];
+    }
+
+    if (turn === 2) throw new Error(`AI output invalid after repair: ${errors.join("; ")}`);
+
+    console.warn(`[ai] invalid output (${errors.join("; ")}); asking for a repair`);
+    convo = [
+      ...messages,
+      { role: "assistant", content: ai.text },
+      {
+        role: "user",
+        content: `Your reply was not accepted:\n- ${errors.join("\n- ")}\nReturn the corrected JSON object only, with exactly the required keys.`,
+      },
+    ];
+  }
+}
@@ -0,0 +1,22 @@
+// Anthropic Messages API. System prompts go in `system`, not in the message list.
+export async function complete({ config, messages, maxTokens, signal, post }) {
+  const system = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n\n");
+  const turns = messages.filter((m) => m.role !== "system").map((m) => ({ role: m.role, content: m.content }));
+
+  const data = await post(`${config.baseUrl}/v1/messages`, {
+    signal,
+    headers: { "x-api-key": config.apiKey, "anthropic-version": "2023-06-01" },
+    body: { model: config.model, max_tokens: maxTokens, system: system || undefined, messages: turns },
+  });
+
+  const text = (data?.content || [])
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("");
+  if (!text) throw new Error("Anthropic response has no text content");
+  return {
+    text,
+    model: data.model || config.model,
+    usage: { input: Number(data.usage?.input_tokens ?? 0), output: Number(data.usage?.output_tokens ?? 0) },
+  };
+}
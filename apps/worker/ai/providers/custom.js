@@ -0,0 +1,18 @@
+// The original Panhandle Pulse contract: POST { messages } to AI_ENDPOINT, get back { text, model?, usage? }.
+export async function complete({ config, messages, signal, post }) {
+  const data = await post(config.endpoint, {
+    signal,
+    headers: config.apiKey ? { authorization: `Bearer ${config.apiKey}` } : {},
+    body: { messages },
+  });
+
+  if (!data?.text) throw new Error("AI response missing `text`");
+  return {
+    text: data.text,
+    model: data.model || config.model || "",
+    usage: {
+      input: Number(data.usage?.input_tokens ?? data.usage?.prompt_tokens ?? 0),
+      output: Number(data.usage?.output_tokens ?? data.usage?.completion_tokens ?? 0),
+    },
+  };
+}
@@ -0,0 +1,22 @@
+// Ollama's native chat API (llama.cpp's server is AI_PROVIDER=llamacpp, on the openai adapter).
+export async function complete({ config, messages, maxTokens, json, signal, post }) {
+  const data = await post(`${config.baseUrl}/api/chat`, {
+    signal,
+    headers: {},
+    body: {
+      model: config.model,
+      messages,
+      stream: false,
+      format: json ? "json" : undefined,
+      options: { num_predict: maxTokens },
+    },
+  });
+
+  const text = data?.message?.content;
+  if (typeof text !== "string") throw new Error("Ollama response missing message.content");
+  return {
+    text,
+    model: data.model || config.model,
+    usage: { input: Number(data.prompt_eval_count ?? 0), output: Number(data.eval_count ?? 0) },
+  };
+}
@@ -0,0 +1,19 @@
+// OpenAI-compatible chat completions: OpenAI itself, llama.cpp's server, vLLM, LM Studio, etc.
+export async function complete({ config, messages, maxTokens, json, signal, post }) {
+  const body = { model: config.model, messages, max_tokens: maxTokens };
+  if (json) body.response_format = { type: "json_object" };
+
+  const data = await post(`${config.baseUrl}/chat/completions`, {
+    signal,
+    headers: config.apiKey ? { authorization: `Bearer ${config.apiKey}` } : {},
+    body,
+  });
+
+  const text = data?.choices?.[0]?.message?.content;
+  if (typeof text !== "string") throw new Error("OpenAI response missing choices[0].message.content");
+  return {
+    text,
+    model: data.model || config.model,
+    usage: { input: Number(data.usage?.prompt_tokens ?? 0), output: Number(data.usage?.completion_tokens ?? 0) },
+  };
+}
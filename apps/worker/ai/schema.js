@@ -0,0 +1,59 @@
+// Strict checks for the writer's JSON output. Each validator returns { value, errors };
+// `value` is trimmed and only meaningful when `errors` is empty.
+
+const STORY_KEYS = ["title", "dek", "bullets", "body_markdown", "used_source_indexes"];
+
+function nonEmptyString(v, key, max, errors) {
+  if (typeof v !== "string" || !v.trim()) {
+    errors.push(`${key} must be a non-empty string`);
+    return "";
+  }
+  if (v.trim().length > max) errors.push(`${key} must be at most ${max} characters`);
+  return v.trim();
+}
+
+/**
+ * { title, dek, bullets, body_markdown, used_source_indexes } and nothing else.
+ * `sourceCount` bounds the indexes (1..N); `bullets` is the [min, max] the prompt asked for.
+ */
+export function validateStoryOutput(raw, { sourceCount, bullets: [minBullets, maxBullets] = [1, 10] }) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, errors: ["reply must be a JSON object"] };
+  }
+
+  const extra = Object.keys(raw).filter((k) => !STORY_KEYS.includes(k));
+  if (extra.length) errors.push(`unexpected keys: ${extra.join(", ")}`);
+  const missing = STORY_KEYS.filter((k) => !(k in raw));
+  if (missing.length) errors.push(`missing keys: ${missing.join(", ")}`);
+
+  const title = nonEmptyString(raw.title, "title", 200, errors);
+  const dek = nonEmptyString(raw.dek, "dek", 400, errors);
+  const body = nonEmptyString(raw.body_markdown, "body_markdown", 20000, errors);
+
+  let bullets = [];
+  if (!Array.isArray(raw.bullets) || raw.bullets.some((b) => typeof b !== "string" || !b.trim())) {
+    errors.push("bullets must be an array of non-empty strings");
+  } else {
+    bullets = raw.bullets.map((b) => b.trim());
+    if (bullets.length < minBullets || bullets.length > maxBullets) {
+      errors.push(`bullets must have ${minBullets}-${maxBullets} entries (got ${bullets.length})`);
+    }
+  }
+
+  let indexes = [];
+  const idx = raw.used_source_indexes;
+  if (!Array.isArray(idx) || !idx.length || idx.some((n) => !Number.isInteger(n))) {
+    errors.push("used_source_indexes must be a non-empty array of integers");
+  } else {
+    const bad = idx.filter((n) => n < 1 || n > sourceCount);
+    if (bad.length) errors.push(`used_source_indexes out of range 1..${sourceCount}: ${bad.join(", ")}`);
+    if (new Set(idx).size !== idx.length) errors.push("used_source_indexes has duplicates");
+    indexes = idx;
+  }
+
+  return {
+    value: { title, dek, bullets, body_markdown: body, used_source_indexes: indexes },
+    errors,
+  };
+}
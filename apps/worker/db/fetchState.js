@@ -0,0 +1,67 @@
+// Per-source fetch state: the feed URL (or scraped listing page + adapter) we settled on,
+// plus the HTTP validators from the last fetch. `configured_url` is the sources.yaml rss_url the
+// state was last reset to.
+
+const EMPTY_STATE = {
+  feed_url: "",
+  configured_url: "",
+  adapter: "",
+  etag: "",
+  last_modified: "",
+  last_status: null,
+  last_content_hash: "",
+  consecutive_failures: 0,
+  last_success_at: null,
+  last_discovery_at: null,
+};
+
+export async function loadFetchState(client, sourceId) {
+  const res = await client.query(
+    `
+    SELECT feed_url, configured_url, adapter, etag, last_modified, last_status, last_content_hash,
+           consecutive_failures, last_success_at, last_discovery_at
+    FROM source_fetch_state
+    WHERE source_id = $1
+    `,
+    [sourceId]
+  );
+  return { ...EMPTY_STATE, ...(res.rows[0] || {}) };
+}
+
+export async function saveFetchState(client, sourceId, state) {
+  await client.query(
+    `
+    INSERT INTO source_fetch_state
+      (source_id, feed_url, adapter, etag, last_modified, last_status, last_content_hash,
+       consecutive_failures, last_fetched_at, last_success_at, last_discovery_at, updated_at, configured_url)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW(),$9,$10,NOW(),$11)
+    ON CONFLICT (source_id)
+    DO UPDATE SET
+      feed_url = EXCLUDED.feed_url,
+      adapter = EXCLUDED.adapter,
+      etag = EXCLUDED.etag,
+      last_modified = EXCLUDED.last_modified,
+      last_status = EXCLUDED.last_status,
+      last_content_hash = EXCLUDED.last_content_hash,
+      consecutive_failures = EXCLUDED.consecutive_failures,
+      last_fetched_at = EXCLUDED.last_fetched_at,
+      last_success_at = EXCLUDED.last_success_at,
+      last_discovery_at = EXCLUDED.last_discovery_at,
+      updated_at = EXCLUDED.updated_at,
+      configured_url = EXCLUDED.configured_url
+    `,
+    [
+      sourceId,
+      state.feed_url || "",
+      state.adapter || "",
+      state.etag || "",
+      state.last_modified || "",
+      state.last_status ?? null,
+      state.last_content_hash || "",
+      state.consecutive_failures || 0,
+      state.last_success_at,
+      state.last_discovery_at,
+      state.configured_url || "",
+    ]
+  );
+}
@@ -0,0 +1,25 @@
+-- GDELT search ingest table (previously created by search_ingest.js on every run).
+CREATE TABLE IF NOT EXISTS panhandle_search_articles (
+  id BIGSERIAL PRIMARY KEY,
+  source TEXT NOT NULL DEFAULT 'GDELT',
+  state TEXT NOT NULL,
+  county TEXT NOT NULL,
+  region_tag TEXT,
+  query TEXT,
+  title TEXT,
+  url TEXT NOT NULL UNIQUE,
+  domain TEXT,
+  published_at TIMESTAMPTZ,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  image_url TEXT,
+  summary TEXT
+);
+
+CREATE INDEX IF NOT EXISTS panhandle_search_articles_state_idx
+ON panhandle_search_articles(state);
+
+CREATE INDEX IF NOT EXISTS panhandle_search_articles_county_idx
+ON panhandle_search_articles(county);
+
+CREATE INDEX IF NOT EXISTS panhandle_search_articles_published_idx
+ON panhandle_search_articles(published_at DESC);
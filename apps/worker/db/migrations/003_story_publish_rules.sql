@@ -0,0 +1,3 @@
+-- publish_rules engine: which rule (auto / trigger_update / developing) wrote the story
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS publish_rule TEXT NOT NULL DEFAULT '';
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
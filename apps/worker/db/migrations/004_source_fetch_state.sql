@@ -0,0 +1,19 @@
+-- Resolved feed URL (or scraped listing page) + HTTP validators so later runs can send conditional GETs.
+CREATE TABLE IF NOT EXISTS source_fetch_state (
+  source_id INT PRIMARY KEY REFERENCES sources(id) ON DELETE CASCADE,
+  feed_url TEXT NOT NULL DEFAULT '',
+  adapter TEXT NOT NULL DEFAULT '',
+  etag TEXT NOT NULL DEFAULT '',
+  last_modified TEXT NOT NULL DEFAULT '',
+  last_status INT NULL,
+  last_content_hash TEXT NOT NULL DEFAULT '',
+  consecutive_failures INT NOT NULL DEFAULT 0,
+  last_fetched_at TIMESTAMPTZ NULL,
+  last_success_at TIMESTAMPTZ NULL,
+  last_discovery_at TIMESTAMPTZ NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Databases set up by the old schema.sql may have the table without `adapter`.
+-- scraper adapter name when feed_url is an HTML listing page ('' = RSS/Atom)
+ALTER TABLE source_fetch_state ADD COLUMN IF NOT EXISTS adapter TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,34 @@
+-- The same report from several publishers (agency feed, local TV, GDELT) grouped together.
+-- Members point at feed_items (item_kind 'feed_item') or panhandle_search_articles ('search_article').
+
+CREATE TABLE IF NOT EXISTS story_clusters (
+  id BIGSERIAL PRIMARY KEY,
+  state TEXT NOT NULL,
+  county TEXT NOT NULL,
+  title TEXT NOT NULL,
+  canonical_url TEXT NOT NULL DEFAULT '',
+  item_count INT NOT NULL DEFAULT 0,
+  source_count INT NOT NULL DEFAULT 0,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS story_clusters_state_last_seen_idx
+ON story_clusters(state, last_seen_at DESC);
+
+CREATE TABLE IF NOT EXISTS cluster_members (
+  cluster_id BIGINT NOT NULL REFERENCES story_clusters(id) ON DELETE CASCADE,
+  item_kind TEXT NOT NULL,
+  item_id BIGINT NOT NULL,
+  canonical_url TEXT NOT NULL DEFAULT '',
+  similarity REAL NOT NULL DEFAULT 1,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (item_kind, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS cluster_members_cluster_id_idx
+ON cluster_members(cluster_id);
+
+CREATE INDEX IF NOT EXISTS cluster_members_canonical_url_idx
+ON cluster_members(canonical_url);
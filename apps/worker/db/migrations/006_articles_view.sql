@@ -0,0 +1,53 @@
+-- feed_items + sources and panhandle_search_articles in one shape for the web app.
+-- County is the display name: sources.yaml keys like "Santa_Rosa" / "Escambia_AL"
+-- become "Santa Rosa" / "Escambia" (state says which Escambia).
+
+CREATE OR REPLACE VIEW articles AS
+SELECT
+  'rss-' || fi.id AS article_key,
+  'rss' AS item_kind,
+  fi.id AS item_id,
+  fi.title,
+  fi.link AS url,
+  fi.summary,
+  NULL::text AS image_url,
+  fi.published_at,
+  fi.created_at AS fetched_at,
+  COALESCE(fi.published_at, fi.created_at) AS sort_at,
+  s.id AS source_id,
+  s.source_name,
+  s.website_url AS source_url,
+  s.tier,
+  s.source_type,
+  s.state,
+  replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+  cm.cluster_id
+FROM feed_items fi
+JOIN sources s ON s.id = fi.source_id
+LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+WHERE s.enabled = TRUE
+
+UNION ALL
+
+SELECT
+  'search-' || psa.id,
+  'search',
+  psa.id,
+  psa.title,
+  psa.url,
+  COALESCE(psa.summary, ''),
+  psa.image_url,
+  psa.published_at,
+  psa.fetched_at,
+  COALESCE(psa.published_at, psa.fetched_at),
+  NULL::int,
+  COALESCE(NULLIF(regexp_replace(psa.domain, '^www\.', ''), ''), psa.source),
+  CASE WHEN psa.domain IS NULL THEN '' ELSE 'https://' || psa.domain END,
+  '',
+  'media',
+  psa.state,
+  psa.county,
+  cm.cluster_id
+FROM panhandle_search_articles psa
+LEFT JOIN cluster_members cm ON cm.item_kind = 'search_article' AND cm.item_id = psa.id
+WHERE psa.title IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Counties that have at least one enabled source, for the web app's /local pages.
+-- `county` is the display name (same rule as the articles view); `county_key` is the
+-- sources.yaml key that stories.county stores.
+
+CREATE OR REPLACE VIEW counties AS
+SELECT
+  s.state,
+  s.county AS county_key,
+  replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+  COUNT(*) AS source_count
+FROM sources s
+WHERE s.enabled = TRUE
+GROUP BY s.state, s.county;
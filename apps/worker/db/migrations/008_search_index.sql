@@ -0,0 +1,85 @@
+-- Full-text search for /search: weighted tsvectors (title A, summary/dek B, story body C)
+-- kept by generated columns, GIN-indexed, and exposed on the articles view.
+
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS feed_items_search_tsv_idx
+ON feed_items USING GIN (search_tsv);
+
+ALTER TABLE panhandle_search_articles ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(summary, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS panhandle_search_articles_search_tsv_idx
+ON panhandle_search_articles USING GIN (search_tsv);
+
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(dek, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(body_markdown, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS stories_search_tsv_idx
+ON stories USING GIN (search_tsv);
+
+-- Adding a column to the view: CREATE OR REPLACE cannot, so drop and recreate.
+DROP VIEW IF EXISTS articles;
+
+CREATE VIEW articles AS
+SELECT
+  'rss-' || fi.id AS article_key,
+  'rss' AS item_kind,
+  fi.id AS item_id,
+  fi.title,
+  fi.link AS url,
+  fi.summary,
+  NULL::text AS image_url,
+  fi.published_at,
+  fi.created_at AS fetched_at,
+  COALESCE(fi.published_at, fi.created_at) AS sort_at,
+  s.id AS source_id,
+  s.source_name,
+  s.website_url AS source_url,
+  s.tier,
+  s.source_type,
+  s.state,
+  replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+  cm.cluster_id,
+  fi.search_tsv
+FROM feed_items fi
+JOIN sources s ON s.id = fi.source_id
+LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+WHERE s.enabled = TRUE
+
+UNION ALL
+
+SELECT
+  'search-' || psa.id,
+  'search',
+  psa.id,
+  psa.title,
+  psa.url,
+  COALESCE(psa.summary, ''),
+  psa.image_url,
+  psa.published_at,
+  psa.fetched_at,
+  COALESCE(psa.published_at, psa.fetched_at),
+  NULL::int,
+  COALESCE(NULLIF(regexp_replace(psa.domain, '^www\.', ''), ''), psa.source),
+  CASE WHEN psa.domain IS NULL THEN '' ELSE 'https://' || psa.domain END,
+  '',
+  'media',
+  psa.state,
+  psa.county,
+  cm.cluster_id,
+  psa.search_tsv
+FROM panhandle_search_articles psa
+LEFT JOIN cluster_members cm ON cm.item_kind = 'search_article' AND cm.item_id = psa.id
+WHERE psa.title IS NOT NULL;
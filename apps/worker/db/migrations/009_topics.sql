@@ -0,0 +1,95 @@
+-- Topic tags for ingested items (process/topics.js) and the list the web app shows.
+-- item_kind/item_id follow cluster_members: 'feed_item' or 'search_article'.
+
+CREATE TABLE IF NOT EXISTS topics (
+  slug TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  position INT NOT NULL DEFAULT 0
+);
+
+INSERT INTO topics (slug, label, position) VALUES
+  ('public-safety', 'Public Safety', 1),
+  ('weather-emergency', 'Weather & Emergency', 2),
+  ('schools', 'Schools', 3),
+  ('government', 'Government & Meetings', 4),
+  ('roads-traffic', 'Roads & Traffic', 5),
+  ('business', 'Business', 6),
+  ('general', 'General', 99)
+ON CONFLICT (slug) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS item_topics (
+  item_kind TEXT NOT NULL,
+  item_id BIGINT NOT NULL,
+  topic TEXT NOT NULL REFERENCES topics(slug) ON DELETE CASCADE,
+  method TEXT NOT NULL DEFAULT '', -- source_type | keyword | ai | fallback
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (item_kind, item_id, topic)
+);
+
+CREATE INDEX IF NOT EXISTS item_topics_topic_idx
+ON item_topics(topic, item_kind, item_id);
+
+-- articles.topics: [{slug, label}] in topic order.
+DROP VIEW IF EXISTS articles;
+
+CREATE VIEW articles AS
+SELECT
+  'rss-' || fi.id AS article_key,
+  'rss' AS item_kind,
+  fi.id AS item_id,
+  fi.title,
+  fi.link AS url,
+  fi.summary,
+  NULL::text AS image_url,
+  fi.published_at,
+  fi.created_at AS fetched_at,
+  COALESCE(fi.published_at, fi.created_at) AS sort_at,
+  s.id AS source_id,
+  s.source_name,
+  s.website_url AS source_url,
+  s.tier,
+  s.source_type,
+  s.state,
+  replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+  cm.cluster_id,
+  fi.search_tsv,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('slug', tp.slug, 'label', tp.label) ORDER BY tp.position)
+    FROM item_topics t JOIN topics tp ON tp.slug = t.topic
+    WHERE t.item_kind = 'feed_item' AND t.item_id = fi.id
+  ), '[]'::jsonb) AS topics
+FROM feed_items fi
+JOIN sources s ON s.id = fi.source_id
+LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+WHERE s.enabled = TRUE
+
+UNION ALL
+
+SELECT
+  'search-' || psa.id,
+  'search',
+  psa.id,
+  psa.title,
+  psa.url,
+  COALESCE(psa.summary, ''),
+  psa.image_url,
+  psa.published_at,
+  psa.fetched_at,
+  COALESCE(psa.published_at, psa.fetched_at),
+  NULL::int,
+  COALESCE(NULLIF(regexp_replace(psa.domain, '^www\.', ''), ''), psa.source),
+  CASE WHEN psa.domain IS NULL THEN '' ELSE 'https://' || psa.domain END,
+  '',
+  'media',
+  psa.state,
+  psa.county,
+  cm.cluster_id,
+  psa.search_tsv,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('slug', tp.slug, 'label', tp.label) ORDER BY tp.position)
+    FROM item_topics t JOIN topics tp ON tp.slug = t.topic
+    WHERE t.item_kind = 'search_article' AND t.item_id = psa.id
+  ), '[]'::jsonb)
+FROM panhandle_search_articles psa
+LEFT JOIN cluster_members cm ON cm.item_kind = 'search_article' AND cm.item_id = psa.id
+WHERE psa.title IS NOT NULL;
@@ -0,0 +1,37 @@
+-- Active NWS alerts (ingest/nws.js) and the configured counties each one covers.
+-- Rows are deleted once expires_at passes or the alert leaves the NWS active feed.
+
+CREATE TABLE IF NOT EXISTS weather_alerts (
+  id TEXT PRIMARY KEY,               -- CAP identifier (the ATOM entry id)
+  event TEXT NOT NULL,               -- e.g. "Tornado Warning"
+  headline TEXT NOT NULL DEFAULT '',
+  summary TEXT NOT NULL DEFAULT '',
+  severity TEXT NOT NULL DEFAULT '', -- Extreme | Severe | Moderate | Minor | Unknown
+  urgency TEXT NOT NULL DEFAULT '',  -- Immediate | Expected | Future | Past | Unknown
+  certainty TEXT NOT NULL DEFAULT '',
+  msg_type TEXT NOT NULL DEFAULT '',
+  area_desc TEXT NOT NULL DEFAULT '',
+  url TEXT NOT NULL DEFAULT '',
+  ugc_codes TEXT[] NOT NULL DEFAULT '{}',
+  fips_codes TEXT[] NOT NULL DEFAULT '{}',
+  sent_at TIMESTAMPTZ NULL,
+  onset_at TIMESTAMPTZ NULL,
+  expires_at TIMESTAMPTZ NULL,
+  ends_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS weather_alerts_expires_at_idx
+ON weather_alerts(expires_at);
+
+-- county is the sources.yaml key, like sources.county.
+CREATE TABLE IF NOT EXISTS weather_alert_counties (
+  alert_id TEXT NOT NULL REFERENCES weather_alerts(id) ON DELETE CASCADE,
+  state TEXT NOT NULL,
+  county TEXT NOT NULL,
+  PRIMARY KEY (alert_id, state, county)
+);
+
+CREATE INDEX IF NOT EXISTS weather_alert_counties_county_idx
+ON weather_alert_counties(state, county);
@@ -0,0 +1,16 @@
+-- One row per AI call that produced or rewrote a story: provider, tokens, latency.
+CREATE TABLE IF NOT EXISTS story_generations (
+  id BIGSERIAL PRIMARY KEY,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL DEFAULT '',
+  model_name TEXT NOT NULL DEFAULT '',
+  prompt_version TEXT NOT NULL DEFAULT '',
+  input_tokens INT NOT NULL DEFAULT 0,
+  output_tokens INT NOT NULL DEFAULT 0,
+  latency_ms INT NOT NULL DEFAULT 0,
+  attempts INT NOT NULL DEFAULT 1, -- HTTP attempts incl. retries and the repair turn
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS story_generations_story_id_idx
+ON story_generations(story_id, created_at DESC);
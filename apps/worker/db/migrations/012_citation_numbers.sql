@@ -0,0 +1,8 @@
+-- The [n] a story's text uses for each source (its index in the writer prompt).
+-- NULL on rows written before citations were recorded, and on sources an earlier
+-- version of a rewritten story cited but the current text no longer does.
+ALTER TABLE story_sources ADD COLUMN IF NOT EXISTS citation_number INT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS story_sources_citation_idx
+ON story_sources(story_id, citation_number)
+WHERE citation_number IS NOT NULL;
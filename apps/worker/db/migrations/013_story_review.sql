@@ -0,0 +1,29 @@
+-- Editorial workflow: draft -> in_review -> published -> retracted.
+-- 'developing' stories (waiting on a second source) become drafts.
+UPDATE stories SET status = 'draft' WHERE status = 'developing';
+UPDATE stories SET status = 'published' WHERE status NOT IN ('draft', 'in_review', 'published', 'retracted');
+
+ALTER TABLE stories ALTER COLUMN status SET DEFAULT 'draft';
+ALTER TABLE stories DROP CONSTRAINT IF EXISTS stories_status_check;
+ALTER TABLE stories ADD CONSTRAINT stories_status_check
+  CHECK (status IN ('draft', 'in_review', 'published', 'retracted'));
+
+-- Set by an editor's "regenerate"; the writer rewrites the story from its sources and clears it.
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS regenerate_requested_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS stories_status_created_at_idx
+ON stories(status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS story_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,       -- create | rewrite | edit | approve | unpublish | regenerate_requested | regenerate
+  actor TEXT NOT NULL,        -- editor name, or "writer" for the worker
+  from_status TEXT NULL,
+  to_status TEXT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS story_audit_log_story_id_idx
+ON story_audit_log(story_id, created_at DESC);
@@ -0,0 +1,26 @@
+-- Roundups are revised in place within their edition; each revision keeps the text it replaced.
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+-- When the text last changed (writer rewrite or editor edit); NULL until the first revision.
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS revised_at TIMESTAMPTZ NULL;
+-- Every feed item the current text was written from, cited or not, so a revision only
+-- happens for items the writer hasn't seen yet.
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS written_from_item_ids BIGINT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS story_versions (
+  id BIGSERIAL PRIMARY KEY,
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  title TEXT NOT NULL,
+  dek TEXT NOT NULL DEFAULT '',
+  bullets_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+  body_markdown TEXT NOT NULL,
+  model_name TEXT NOT NULL DEFAULT '',
+  prompt_version TEXT NOT NULL DEFAULT '',
+  written_at TIMESTAMPTZ NOT NULL,                 -- when this version went in
+  replaced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- when the next one replaced it
+  UNIQUE (story_id, version)
+);
+
+-- The writer looks up "this county's roundup for this edition" on every run.
+CREATE INDEX IF NOT EXISTS stories_edition_idx
+ON stories(state, county, story_type, time_window_start, time_window_end);
@@ -0,0 +1,34 @@
+-- Story types the writer produces:
+--   roundup  - a county's stories for one edition
+--   brief    - one developing event, published once a second source corroborates it
+--   breaking - one tier 1A post, written as soon as it is ingested
+--   digest   - a county's week, written from that week's published roundups
+--   regional - a multi-county roundup for one edition (sources.yaml `regions`); state and county are ''
+ALTER TABLE stories DROP CONSTRAINT IF EXISTS stories_story_type_check;
+ALTER TABLE stories ADD CONSTRAINT stories_story_type_check
+  CHECK (story_type IN ('roundup', 'brief', 'breaking', 'digest', 'regional'));
+
+-- Regional roundups are looked up by region name instead of state/county.
+CREATE INDEX IF NOT EXISTS stories_region_edition_idx
+ON stories(region, story_type, time_window_start, time_window_end)
+WHERE region <> '';
+
+-- /stories?type=... lists one type, newest first.
+CREATE INDEX IF NOT EXISTS stories_type_created_at_idx
+ON stories(story_type, created_at DESC);
+
+-- "Is this item already covered by a brief?" checks every recent item against written_from_item_ids.
+CREATE INDEX IF NOT EXISTS stories_written_from_idx
+ON stories USING GIN (written_from_item_ids);
+
+-- Digests cite earlier stories (the week's roundups) rather than feed items.
+CREATE TABLE IF NOT EXISTS story_cited_stories (
+  story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  cited_story_id UUID NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+  citation_number INT NULL,  -- same meaning as story_sources.citation_number
+  PRIMARY KEY (story_id, cited_story_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS story_cited_stories_citation_idx
+ON story_cited_stories(story_id, citation_number)
+WHERE citation_number IS NOT NULL;
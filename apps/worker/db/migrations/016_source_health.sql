@@ -0,0 +1,71 @@
+-- One row per fetch attempt (runs where discovery isn't due yet make no request and aren't logged).
+CREATE TABLE IF NOT EXISTS source_fetch_log (
+  id BIGSERIAL PRIMARY KEY,
+  source_id INT NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  duration_ms INT NOT NULL,
+  status TEXT NOT NULL,            -- ok | not_modified | unchanged | no_feed | error
+  http_status INT NULL,
+  error TEXT NOT NULL DEFAULT '',
+  feed_url TEXT NOT NULL DEFAULT '',
+  items_parsed INT NOT NULL DEFAULT 0,
+  items_new INT NOT NULL DEFAULT 0  -- rows actually inserted (not already stored)
+);
+
+CREATE INDEX IF NOT EXISTS source_fetch_log_source_idx
+ON source_fetch_log(source_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS source_fetch_log_started_at_idx
+ON source_fetch_log(started_at);
+
+-- Set when the worker turns a source off (too many failures in a row); cleared when an
+-- editor re-enables it from /admin/sources. upsertSource leaves such sources disabled.
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS disabled_reason TEXT NOT NULL DEFAULT '';
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ NULL;
+
+-- Rolling 7-day health per source, for /admin/sources.
+DROP VIEW IF EXISTS source_health;
+CREATE VIEW source_health AS
+SELECT
+  s.id AS source_id,
+  s.state,
+  s.county,
+  s.source_name,
+  s.source_type,
+  s.tier,
+  s.enabled,
+  s.disabled_reason,
+  s.disabled_at,
+  COALESCE(NULLIF(fs.feed_url, ''), s.rss_url) AS feed_url,
+  COALESCE(fs.adapter, '') AS adapter,
+  COALESCE(fs.consecutive_failures, 0) AS consecutive_failures,
+  fs.last_status,
+  fs.last_fetched_at,
+  fs.last_success_at,
+  COALESCE(h.fetches, 0) AS fetches_7d,
+  COALESCE(h.failures, 0) AS failures_7d,
+  le.error AS last_error,
+  le.started_at AS last_error_at,
+  it.last_item_at,
+  COALESCE(it.items_7d, 0) AS items_7d,
+  ROUND(COALESCE(it.items_7d, 0) / 7.0, 1)::float8 AS items_per_day
+FROM sources s
+LEFT JOIN source_fetch_state fs ON fs.source_id = s.id
+LEFT JOIN LATERAL (
+  SELECT COUNT(*)::int AS fetches, (COUNT(*) FILTER (WHERE l.status = 'error'))::int AS failures
+  FROM source_fetch_log l
+  WHERE l.source_id = s.id AND l.started_at >= NOW() - INTERVAL '7 days'
+) h ON TRUE
+LEFT JOIN LATERAL (
+  SELECT l.error, l.started_at
+  FROM source_fetch_log l
+  WHERE l.source_id = s.id AND l.status = 'error'
+  ORDER BY l.started_at DESC
+  LIMIT 1
+) le ON TRUE
+LEFT JOIN LATERAL (
+  SELECT MAX(COALESCE(fi.published_at, fi.created_at)) AS last_item_at,
+         (COUNT(*) FILTER (WHERE fi.created_at >= NOW() - INTERVAL '7 days'))::int AS items_7d
+  FROM feed_items fi
+  WHERE fi.source_id = s.id
+) it ON TRUE;
@@ -0,0 +1,9 @@
+-- Tiers are stored as sources.yaml spells them after normalizing: 1A, 1B or 2.
+UPDATE sources SET tier = '2' WHERE tier = 'secondary';
+UPDATE sources SET tier = upper(regexp_replace(tier, '^tier[_ -]*', '', 'i')) WHERE tier ~* '^(tier[_ -]*)?(1a|1b|2)$';
+ALTER TABLE sources ALTER COLUMN tier SET DEFAULT '2';
+
+-- Who turned a disabled source off: 'health' (too many failures; an editor re-enables it) or
+-- 'config' (removed from or disabled in sources.yaml; the config sync re-enables it).
+ALTER TABLE sources ADD COLUMN IF NOT EXISTS disabled_by TEXT NOT NULL DEFAULT '';
+UPDATE sources SET disabled_by = 'health' WHERE disabled_at IS NOT NULL AND disabled_by = '';
@@ -0,0 +1,7 @@
+-- How likely a GDELT hit is about the county it is stored under (process/relevance.js), 0 to 1.
+-- NULL for rows stored before scoring. When two counties' searches return the same URL, the
+-- higher score keeps it.
+ALTER TABLE panhandle_search_articles ADD COLUMN IF NOT EXISTS relevance REAL NULL;
+
+CREATE INDEX IF NOT EXISTS panhandle_search_articles_county_relevance_idx
+ON panhandle_search_articles(state, county, relevance DESC);
@@ -0,0 +1,22 @@
+-- Place and county tags for ingested items (process/places.js, from data/gazetteer.json).
+-- item_kind/item_id follow cluster_members: 'feed_item' or 'search_article'.
+-- `county` is the sources.yaml key ("Santa_Rosa", "Escambia_AL"); `place` is '' for the county
+-- itself, whose lat/lon is the county's center.
+CREATE TABLE IF NOT EXISTS item_places (
+  item_kind TEXT NOT NULL,
+  item_id BIGINT NOT NULL,
+  state TEXT NOT NULL,
+  county TEXT NOT NULL,
+  place TEXT NOT NULL DEFAULT '',
+  lat DOUBLE PRECISION NOT NULL,
+  lon DOUBLE PRECISION NOT NULL,
+  method TEXT NOT NULL DEFAULT '', -- mention | source (no mentions; the item's own county)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (item_kind, item_id, state, county, place)
+);
+
+CREATE INDEX IF NOT EXISTS item_places_county_idx
+ON item_places(state, county);
+
+CREATE INDEX IF NOT EXISTS item_places_lat_lon_idx
+ON item_places(lat, lon);
@@ -0,0 +1,56 @@
+-- Email digests (mail/mailer.js, send-digests.js): readers subscribe to counties on the web app's /subscribe and
+-- confirm by email (double opt-in) before anything else is sent to them.
+CREATE TABLE IF NOT EXISTS subscribers (
+  id BIGSERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'unsubscribed')),
+  -- The web app sets confirm_requested_at on every sign-up; the worker mails a confirmation
+  -- link whenever it is newer than confirm_sent_at.
+  confirm_requested_at TIMESTAMPTZ NULL,
+  confirm_sent_at TIMESTAMPTZ NULL,
+  confirmed_at TIMESTAMPTZ NULL,
+  unsubscribed_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS subscribers_email_unique
+ON subscribers(lower(email));
+
+-- One row per subscribed county (`county` is the sources.yaml key, "Santa_Rosa").
+-- A county added later stays pending until its confirmation link is followed.
+CREATE TABLE IF NOT EXISTS subscriptions (
+  subscriber_id BIGINT NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  state TEXT NOT NULL,
+  county TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  activated_at TIMESTAMPTZ NULL,
+  PRIMARY KEY (subscriber_id, state, county)
+);
+
+CREATE INDEX IF NOT EXISTS subscriptions_county_idx
+ON subscriptions(state, county) WHERE status = 'active';
+
+-- Every email sent (or tried) per subscriber.
+CREATE TABLE IF NOT EXISTS email_send_log (
+  id BIGSERIAL PRIMARY KEY,
+  subscriber_id BIGINT NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,                  -- confirm | digest
+  digest_date DATE NULL,               -- local date (editions timezone) of a digest
+  subject TEXT NOT NULL DEFAULT '',
+  status TEXT NOT NULL,                -- sent | failed | skipped (digest with nothing in it)
+  error TEXT NOT NULL DEFAULT '',
+  message_id TEXT NOT NULL DEFAULT '',
+  story_ids UUID[] NOT NULL DEFAULT '{}',
+  article_count INT NOT NULL DEFAULT 0,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_send_log_subscriber_idx
+ON email_send_log(subscriber_id, sent_at DESC);
+
+-- At most one digest per subscriber and day; failed sends are retried by the next run.
+CREATE UNIQUE INDEX IF NOT EXISTS email_send_log_digest_unique
+ON email_send_log(subscriber_id, digest_date)
+WHERE kind = 'digest' AND status IN ('sent', 'skipped');
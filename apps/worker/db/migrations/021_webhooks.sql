@@ -0,0 +1,35 @@
+-- Outbound webhooks (webhooks/webhooks.js): one delivery per endpoint and new feed item, queued
+-- when the item is inserted and retried with backoff until it succeeds or gives up.
+-- `endpoint` is the entry's name under `webhooks` in sources.yaml.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,
+  feed_item_id BIGINT NOT NULL REFERENCES feed_items(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_http_status INT NULL,
+  last_error TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS webhook_deliveries_endpoint_item_unique
+ON webhook_deliveries(endpoint, feed_item_id);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- One row per HTTP attempt.
+CREATE TABLE IF NOT EXISTS webhook_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  delivery_id BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  duration_ms INT NOT NULL,
+  http_status INT NULL,
+  error TEXT NOT NULL DEFAULT '',
+  response_body TEXT NOT NULL DEFAULT ''  -- first 500 characters
+);
+
+CREATE INDEX IF NOT EXISTS webhook_attempts_delivery_idx
+ON webhook_attempts(delivery_id, attempted_at DESC);
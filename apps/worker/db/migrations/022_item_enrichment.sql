@@ -0,0 +1,78 @@
+-- Article enrichment (process/enrich.js): what a feed item's own page says about it, read from
+-- its Open Graph / meta tags once the item is in. image_url and author can also come straight
+-- from the feed (enclosures, media:content, dc:creator).
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS image_url TEXT NULL;
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS author TEXT NOT NULL DEFAULT '';
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS canonical_url TEXT NOT NULL DEFAULT '';
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS enriched_at TIMESTAMPTZ NULL;
+ALTER TABLE feed_items ADD COLUMN IF NOT EXISTS enrich_error TEXT NOT NULL DEFAULT '';
+
+CREATE INDEX IF NOT EXISTS feed_items_unenriched_idx
+ON feed_items(created_at DESC) WHERE enriched_at IS NULL;
+
+-- articles gains feed items' image_url and author ('' for search articles).
+DROP VIEW IF EXISTS articles;
+
+CREATE VIEW articles AS
+SELECT
+  'rss-' || fi.id AS article_key,
+  'rss' AS item_kind,
+  fi.id AS item_id,
+  fi.title,
+  fi.link AS url,
+  fi.summary,
+  fi.image_url,
+  fi.author,
+  fi.published_at,
+  fi.created_at AS fetched_at,
+  COALESCE(fi.published_at, fi.created_at) AS sort_at,
+  s.id AS source_id,
+  s.source_name,
+  s.website_url AS source_url,
+  s.tier,
+  s.source_type,
+  s.state,
+  replace(regexp_replace(s.county, '_(FL|AL|GA)$', ''), '_', ' ') AS county,
+  cm.cluster_id,
+  fi.search_tsv,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('slug', tp.slug, 'label', tp.label) ORDER BY tp.position)
+    FROM item_topics t JOIN topics tp ON tp.slug = t.topic
+    WHERE t.item_kind = 'feed_item' AND t.item_id = fi.id
+  ), '[]'::jsonb) AS topics
+FROM feed_items fi
+JOIN sources s ON s.id = fi.source_id
+LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+WHERE s.enabled = TRUE
+
+UNION ALL
+
+SELECT
+  'search-' || psa.id,
+  'search',
+  psa.id,
+  psa.title,
+  psa.url,
+  COALESCE(psa.summary, ''),
+  psa.image_url,
+  '',
+  psa.published_at,
+  psa.fetched_at,
+  COALESCE(psa.published_at, psa.fetched_at),
+  NULL::int,
+  COALESCE(NULLIF(regexp_replace(psa.domain, '^www\.', ''), ''), psa.source),
+  CASE WHEN psa.domain IS NULL THEN '' ELSE 'https://' || psa.domain END,
+  '',
+  'media',
+  psa.state,
+  psa.county,
+  cm.cluster_id,
+  psa.search_tsv,
+  COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('slug', tp.slug, 'label', tp.label) ORDER BY tp.position)
+    FROM item_topics t JOIN topics tp ON tp.slug = t.topic
+    WHERE t.item_kind = 'search_article' AND t.item_id = psa.id
+  ), '[]'::jsonb)
+FROM panhandle_search_articles psa
+LEFT JOIN cluster_members cm ON cm.item_kind = 'search_article' AND cm.item_id = psa.id
+WHERE psa.title IS NOT NULL;
@@ -0,0 +1,7 @@
+-- The rss_url sources.yaml had when the fetch state was last reset to it. ingest/source.js only
+-- starts over with the configured feed when this changes, so a configured feed that keeps failing
+-- (and whose rediscovery finds nothing) keeps counting toward auto-disable.
+ALTER TABLE source_fetch_state ADD COLUMN IF NOT EXISTS configured_url TEXT NOT NULL DEFAULT '';
+
+-- Existing rows: assume the feed in use is the configured one.
+UPDATE source_fetch_state SET configured_url = feed_url WHERE configured_url = '' AND adapter = '';
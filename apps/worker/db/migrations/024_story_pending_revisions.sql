@@ -0,0 +1,22 @@
+-- A rewrite of a published story that needs an editor's approval: the writer's revision when
+-- auto_publish is off for the story type, or an editor's "regenerate". The published text stays
+-- live until the revision is approved in /admin/stories (or discarded); one per story, a newer
+-- revision replaces an older one.
+CREATE TABLE IF NOT EXISTS story_pending_revisions (
+  story_id UUID PRIMARY KEY REFERENCES stories(id) ON DELETE CASCADE,
+  action TEXT NOT NULL,  -- rewrite | regenerate
+  title TEXT NOT NULL,
+  dek TEXT NOT NULL DEFAULT '',
+  bullets_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+  body_markdown TEXT NOT NULL,
+  model_name TEXT NOT NULL DEFAULT '',
+  prompt_version TEXT NOT NULL DEFAULT '',
+  publish_rule TEXT NOT NULL DEFAULT '',
+  written_from_item_ids BIGINT[] NOT NULL DEFAULT '{}',
+  -- The numbered sources the text cites, applied to story_sources / story_cited_stories on approval:
+  -- [{ feed_item_id, source_link, source_title, source_published_at, citation_number }]
+  sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- [{ cited_story_id, citation_number }] (digests)
+  cited_stories JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
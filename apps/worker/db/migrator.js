@@ -0,0 +1,119 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+const MIGRATIONS_DIR = fileURLToPath(new URL("./migrations/", import.meta.url));
+
+// One lock for every process that migrates (worker, writer, search ingest).
+const LOCK_SQL = "SELECT pg_advisory_lock(hashtext('panhandlepulse.schema_migrations'))";
+const UNLOCK_SQL = "SELECT pg_advisory_unlock(hashtext('panhandlepulse.schema_migrations'))";
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// db/migrations/NNN_name.sql, in version order.
+export function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => /^\d+_[\w-]+\.sql$/.test(f))
+    .sort()
+    .map((file) => {
+      const sql = fs.readFileSync(`${MIGRATIONS_DIR}${file}`, "utf8");
+      return {
+        version: file.split("_")[0],
+        name: file.replace(/^\d+_/, "").replace(/\.sql$/, ""),
+        file,
+        sql,
+        checksum: checksum(sql),
+      };
+    });
+}
+
+async function ensureLedger(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function loadApplied(client) {
+  const res = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(res.rows.map((r) => [r.version, r]));
+}
+
+/**
+ * Apply every pending migration, each in its own transaction, under a session advisory lock.
+ * `client` must be a dedicated connection (a pg Client, or a client checked out of a Pool).
+ * Returns the migrations applied by this call.
+ */
+export async function migrateUp(client, { log = console.log } = {}) {
+  await client.query(LOCK_SQL);
+  try {
+    await ensureLedger(client);
+    const applied = await loadApplied(client);
+    const done = [];
+
+    for (const m of listMigrations()) {
+      const prev = applied.get(m.version);
+      if (prev) {
+        if (prev.checksum !== m.checksum) {
+          log(`[migrate] WARNING ${m.file} changed after it was applied; add a new migration instead`);
+        }
+        continue;
+      }
+
+      log(`[migrate] applying ${m.file}`);
+      await client.query("BEGIN");
+      try {
+        await client.query(m.sql);
+        await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`, [
+          m.version,
+          m.name,
+          m.checksum,
+        ]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${m.file} failed: ${err.message}`);
+      }
+      done.push(m);
+    }
+
+    return done;
+  } finally {
+    await client.query(UNLOCK_SQL);
+  }
+}
+
+// [{ version, name, file, state: "applied" | "pending" | "changed" | "missing", applied_at }]
+// Read-only: a database without the ledger yet has every migration pending.
+export async function migrationStatus(client) {
+  const ledger = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS ok`);
+  const applied = ledger.rows[0].ok ? await loadApplied(client) : new Map();
+  const files = listMigrations();
+  const out = [];
+
+  for (const m of files) {
+    const prev = applied.get(m.version);
+    out.push({
+      version: m.version,
+      name: m.name,
+      file: m.file,
+      state: !prev ? "pending" : prev.checksum === m.checksum ? "applied" : "changed",
+      applied_at: prev?.applied_at ?? null,
+    });
+    applied.delete(m.version);
+  }
+
+  // In the ledger but no longer on disk.
+  for (const prev of applied.values()) {
+    out.push({ version: prev.version, name: prev.name, file: "", state: "missing", applied_at: prev.applied_at });
+  }
+
+  return out;
+}
@@ -0,0 +1,41 @@
+// Fetch history (source_fetch_log) and auto-disabling of sources that keep failing.
+
+export async function logFetch(client, sourceId, entry) {
+  await client.query(
+    `
+    INSERT INTO source_fetch_log
+      (source_id, started_at, duration_ms, status, http_status, error, feed_url, items_parsed, items_new)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    `,
+    [
+      sourceId,
+      entry.startedAt,
+      entry.durationMs,
+      entry.status,
+      entry.httpStatus ?? null,
+      entry.error || "",
+      entry.feedUrl || "",
+      entry.parsed || 0,
+      entry.inserted || 0,
+    ]
+  );
+}
+
+export async function disableSource(client, sourceId, reason) {
+  await client.query(
+    `
+    UPDATE sources
+    SET enabled = FALSE, disabled_reason = $2, disabled_at = NOW(), disabled_by = 'health', updated_at = NOW()
+    WHERE id = $1
+    `,
+    [sourceId, reason]
+  );
+}
+
+// Drops log rows older than `days`; returns how many went.
+export async function pruneFetchLog(client, days) {
+  const res = await client.query(`DELETE FROM source_fetch_log WHERE started_at < NOW() - make_interval(days => $1)`, [
+    days,
+  ]);
+  return res.rowCount;
+}
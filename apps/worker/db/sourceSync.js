@@ -0,0 +1,186 @@
+// Reconciles the `sources` table with sources.yaml: adds new sources, applies field changes and
+// `renamed_from` renames (the row keeps its id, items and fetch state), and disables sources that
+// were removed from the file or disabled there (disabled_by = 'config'). Sources the worker
+// disabled for failing (disabled_by = 'health') are left to /admin/sources.
+import { listConfiguredSources } from "../utils/config.js";
+import { upsertSource } from "./sources.js";
+
+// sources.yaml field -> sources column, for the "updated" part of the diff.
+const FIELDS = [
+  ["source_type", (s) => s.source_type || ""],
+  ["tier", (s) => s.tier || ""],
+  ["website_url", (s) => s.website_url || ""],
+  ["rss_url", (s) => s.rss_url || ""],
+  ["facebook_url", (s) => s?.social_urls?.facebook || ""],
+  ["x_url", (s) => s?.social_urls?.x || ""],
+];
+
+function keyOf(s) {
+  return `${s.state}/${s.county}/${s.source_name}`;
+}
+
+function changesFor(row, src) {
+  const changes = [];
+  for (const [column, read] of FIELDS) {
+    const next = String(read(src)).trim();
+    const prev = row[column] || "";
+    // A blank rss_url in the file keeps the feed the worker already knows about (same as upsertSource).
+    if (column === "rss_url" && !next) continue;
+    if (next !== prev) changes.push({ column, from: prev, to: next });
+  }
+  return changes;
+}
+
+/**
+ * Compares sources.yaml with the table. Nothing is written; pass the result to applySourceSync.
+ */
+export async function planSourceSync(client, config) {
+  const res = await client.query(`
+    SELECT id, state, county, source_name, source_type, tier, website_url, rss_url, facebook_url, x_url,
+           enabled, disabled_by, disabled_reason
+    FROM sources
+  `);
+  const rows = new Map(res.rows.map((r) => [keyOf(r), r]));
+  const claimed = new Set();
+
+  const plan = { added: [], renamed: [], updated: [], disabled: [], reenabled: [], possibleRenames: [], unchanged: 0 };
+
+  for (const src of listConfiguredSources(config)) {
+    const name = String(src.source_name || "").trim();
+    const wanted = { ...src, source_name: name };
+    let row = rows.get(keyOf(wanted));
+    let renamedFrom = null;
+
+    if (!row && src.renamed_from) {
+      const old = rows.get(keyOf({ ...wanted, source_name: String(src.renamed_from).trim() }));
+      if (old && !claimed.has(old.id)) {
+        row = old;
+        renamedFrom = old.source_name;
+        plan.renamed.push({ id: old.id, source: wanted, from: old.source_name });
+      }
+    }
+
+    if (!row) {
+      // Disabled entries that were never synced don't need a row.
+      if (wanted.enabled) plan.added.push(wanted);
+      continue;
+    }
+    claimed.add(row.id);
+
+    const changes = changesFor(row, wanted);
+    if (changes.length) plan.updated.push({ id: row.id, source: wanted, changes });
+
+    let statusChanged = false;
+    if (wanted.enabled && !row.enabled && row.disabled_by === "config") {
+      plan.reenabled.push({ id: row.id, source: wanted });
+      statusChanged = true;
+    } else if (!wanted.enabled && row.enabled) {
+      const countyOff = !config.states?.[wanted.state]?.[wanted.county]?.enabled;
+      const reason = countyOff ? "county disabled in sources.yaml" : "disabled in sources.yaml";
+      plan.disabled.push({ id: row.id, source: row, reason });
+      statusChanged = true;
+    }
+
+    if (!changes.length && !statusChanged && !renamedFrom) plan.unchanged += 1;
+  }
+
+  for (const row of rows.values()) {
+    if (claimed.has(row.id)) continue;
+    if (row.enabled) plan.disabled.push({ id: row.id, source: row, reason: "removed from sources.yaml" });
+    else plan.unchanged += 1;
+  }
+
+  // A removed source and an added one in the same county with the same site or feed are most
+  // likely a rename that is missing `renamed_from` (applying would start the new name from scratch).
+  for (const { source: old, reason } of plan.disabled) {
+    if (reason !== "removed from sources.yaml") continue;
+    for (const added of plan.added) {
+      if (added.state !== old.state || added.county !== old.county) continue;
+      const sameSite = old.website_url && old.website_url === (added.website_url || "").trim();
+      const sameFeed = old.rss_url && old.rss_url === (added.rss_url || "").trim();
+      if (sameSite || sameFeed) plan.possibleRenames.push({ from: old.source_name, source: added });
+    }
+  }
+
+  return plan;
+}
+
+export function hasSyncChanges(plan) {
+  return Boolean(plan.added.length || plan.renamed.length || plan.updated.length || plan.disabled.length || plan.reenabled.length);
+}
+
+/**
+ * The plan as diff lines:
+ *   + added, > renamed, ~ updated, - disabled, ^ re-enabled, ? possible rename
+ */
+export function formatSyncPlan(plan) {
+  const place = (s) => `${s.state}/${s.county}`;
+  const lines = [];
+  for (const s of plan.added) lines.push(`+ ${place(s)} "${s.source_name}" (tier ${s.tier}, ${s.source_type})`);
+  for (const r of plan.renamed) lines.push(`> ${place(r.source)} "${r.from}" -> "${r.source.source_name}"`);
+  for (const u of plan.updated) {
+    const what = u.changes.map((c) => `${c.column} "${c.from}" -> "${c.to}"`).join(", ");
+    lines.push(`~ ${place(u.source)} "${u.source.source_name}": ${what}`);
+  }
+  for (const d of plan.disabled) lines.push(`- ${place(d.source)} "${d.source.source_name}": ${d.reason}`);
+  for (const r of plan.reenabled) lines.push(`^ ${place(r.source)} "${r.source.source_name}": back in sources.yaml`);
+  for (const p of plan.possibleRenames) {
+    lines.push(`? ${place(p.source)} "${p.from}" -> "${p.source.source_name}" looks like a rename; add renamed_from to keep its history`);
+  }
+  lines.push(
+    `${plan.added.length} added, ${plan.renamed.length} renamed, ${plan.updated.length} updated, ` +
+      `${plan.disabled.length} disabled, ${plan.reenabled.length} re-enabled, ${plan.unchanged} unchanged`
+  );
+  return lines;
+}
+
+/**
+ * Writes a plan from planSourceSync in one transaction.
+ */
+export async function applySourceSync(client, plan) {
+  await client.query("BEGIN");
+  try {
+    for (const r of plan.renamed) {
+      await client.query(`UPDATE sources SET source_name = $2, updated_at = NOW() WHERE id = $1`, [r.id, r.source.source_name]);
+    }
+    for (const s of [...plan.added, ...plan.updated.map((u) => u.source)]) {
+      await upsertSource(client, s);
+    }
+    for (const r of plan.reenabled) {
+      await client.query(
+        `
+        UPDATE sources
+        SET enabled = TRUE, disabled_reason = '', disabled_at = NULL, disabled_by = '', updated_at = NOW()
+        WHERE id = $1 AND disabled_by = 'config'
+        `,
+        [r.id]
+      );
+    }
+    for (const d of plan.disabled) {
+      await client.query(
+        `
+        UPDATE sources
+        SET enabled = FALSE, disabled_reason = $2, disabled_at = NOW(), disabled_by = 'config', updated_at = NOW()
+        WHERE id = $1
+        `,
+        [d.id, d.reason]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * planSourceSync + applySourceSync, printing the diff. Used at worker startup.
+ */
+export async function syncSources(client, config) {
+  const plan = await planSourceSync(client, config);
+  if (!hasSyncChanges(plan)) return plan;
+  console.log("[sources] syncing with sources.yaml:");
+  for (const line of formatSyncPlan(plan)) console.log(`  ${line}`);
+  await applySourceSync(client, plan);
+  return plan;
+}
@@ -0,0 +1,67 @@
+import { hashItem, toTimestamp } from "../ingest/feeds.js";
+import { stripTags } from "../utils/html.js";
+
+// Returns { id, enabled, disabled_reason }. A source the worker disabled (see db/sourceHealth.js)
+// stays disabled until an editor turns it back on.
+export async function upsertSource(client, s) {
+  const facebook = s?.social_urls?.facebook || "";
+  const x = s?.social_urls?.x || "";
+
+  const res = await client.query(
+    `
+    INSERT INTO sources (state, county, source_name, source_type, tier, website_url, rss_url, facebook_url, x_url, enabled)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,TRUE)
+    ON CONFLICT (state, county, source_name)
+    DO UPDATE SET
+      source_type = EXCLUDED.source_type,
+      tier = EXCLUDED.tier,
+      website_url = EXCLUDED.website_url,
+      rss_url = COALESCE(NULLIF(EXCLUDED.rss_url, ''), sources.rss_url),
+      facebook_url = EXCLUDED.facebook_url,
+      x_url = EXCLUDED.x_url,
+      enabled = sources.disabled_at IS NULL
+    RETURNING id, enabled, disabled_reason
+    `,
+    [
+      s.state,
+      s.county,
+      s.source_name,
+      s.source_type || "rss",
+      s.tier || "2",
+      s.website_url || "",
+      s.rss_url || "",
+      facebook,
+      x,
+    ]
+  );
+
+  return res.rows[0];
+}
+
+// The new row as { id, published_at }, or null when the item is already stored for this source
+// (ON CONFLICT DO NOTHING returns no row, so repeats never look new). Summaries are stored as
+// plain text; the feed's image and author, when it has them, are kept for the article cards.
+export async function insertFeedItem(client, sourceId, item) {
+  const contentHash = hashItem(item.title, item.link);
+  const publishedAt = toTimestamp(item.pubDate);
+
+  const res = await client.query(
+    `
+    INSERT INTO feed_items (source_id, title, link, published_at, summary, content_hash, image_url, author)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    ON CONFLICT (source_id, content_hash) DO NOTHING
+    RETURNING id, published_at
+    `,
+    [
+      sourceId,
+      item.title,
+      item.link,
+      publishedAt,
+      stripTags(item.summary),
+      contentHash,
+      item.imageUrl || null,
+      item.author || "",
+    ]
+  );
+  return res.rows[0] ?? null;
+}
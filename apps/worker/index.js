@@ -1,282 +1,30 @@
-import fs from "node:fs";
-import path from "node:path";
-import yaml from "js-yaml";
-import crypto from "node:crypto";
-import { XMLParser } from "fast-xml-parser";
-import pg from "pg";
-
-const { Client } = pg;
-const ROOT = process.cwd();
-
-const CONFIG_PATH_CANDIDATES = [
-  path.join(ROOT, "config", "sources.yaml"),
-  path.join(ROOT, "..", "config", "sources.yaml"),
-  path.join(ROOT, "..", "..", "config", "sources.yaml"),
-  path.join(ROOT, "apps", "worker", "config", "sources.yaml"),
-];
-
-function loadSourcesYaml() {
-  for (const p of CONFIG_PATH_CANDIDATES) {
-    if (fs.existsSync(p)) {
-      console.log(`Using sources.yaml at: ${p}`);
-      const raw = fs.readFileSync(p, "utf8");
-      const parsed = yaml.load(raw);
-      const keys = parsed ? Object.keys(parsed) : [];
-      console.log(
-        `Top-level keys in sources.yaml: ${keys.length ? keys.join(", ") : "(none)"}`
-      );
-      return parsed;
-    }
-  }
-  throw new Error(
-    `sources.yaml not found. Tried:\n${CONFIG_PATH_CANDIDATES.join("\n")}`
-  );
-}
-
-function flattenSources(config) {
-  const out = [];
-  if (!config || !config.states) return out;
-
-  for (const [stateCode, counties] of Object.entries(config.states)) {
-    for (const [countyName, countyData] of Object.entries(counties)) {
-      if (!countyData?.enabled) continue;
-
-      for (const src of countyData?.sources || []) {
-        out.push({ state: stateCode, county: countyName, ...src });
-      }
-    }
-  }
-  return out;
-}
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function envInt(name, fallback) {
-  const v = process.env[name];
-  if (!v) return fallback;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-async function fetchText(url, timeoutMs) {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "user-agent": "PanhandlePulseBot/0.1 (+https://panhandlepulse.news)",
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-    return res.text();
-  } catch (e) {
-    if (e?.name === "AbortError") throw new Error(`Timeout after ${timeoutMs}ms for ${url}`);
-    throw e;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-function parseRss(xml) {
-  const parser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: "@_",
-    removeNSPrefix: true,
-  });
-
-  const doc = parser.parse(xml);
-
-  // RSS 2.0
-  if (doc?.rss?.channel?.item) {
-    const items = Array.isArray(doc.rss.channel.item)
-      ? doc.rss.channel.item
-      : [doc.rss.channel.item];
-
-    return items.map((it) => ({
-      title: it.title || "",
-      link: it.link || "",
-      pubDate: it.pubDate || "",
-      summary: it.description || "",
-    }));
-  }
-
-  // Atom
-  if (doc?.feed?.entry) {
-    const entries = Array.isArray(doc.feed.entry)
-      ? doc.feed.entry
-      : [doc.feed.entry];
-
-    return entries.map((e) => ({
-      title: e.title?.["#text"] || e.title || "",
-      link: Array.isArray(e.link)
-        ? e.link.find((l) => l["@_rel"] === "alternate")?.["@_href"] || ""
-        : e.link?.["@_href"] || "",
-      pubDate: e.updated || e.published || "",
-      summary: e.summary?.["#text"] || "",
-    }));
-  }
-
-  return [];
-}
-
-function toTimestamp(pubDate) {
-  if (!pubDate) return null;
-  const d = new Date(pubDate);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toISOString();
-}
-
-function hashItem(title, link) {
-  return crypto.createHash("sha256").update(`${title}||${link}`).digest("hex");
-}
-
-function safeUrlHost(websiteUrl) {
-  try {
-    return new URL(websiteUrl).host;
-  } catch {
-    return "";
-  }
-}
-
-function buildCandidateFeeds(src) {
-  const candidates = [];
-  const rss = (src.rss_url || "").trim();
-  if (rss) candidates.push(rss);
-
-  const website = (src.website_url || "").trim();
-  const host = safeUrlHost(website);
-  if (!host) return candidates;
-
-  // WordPress common feeds
-  candidates.push(`https://${host}/feed/`);
-  candidates.push(`https://${host}/feed`);
-  candidates.push(`https://${host}/rss`);
-  candidates.push(`https://${host}/rss.xml`);
-  candidates.push(`https://${host}/atom.xml`);
-
-  // CivicPlus common RSSFeed patterns (News Flash / Alerts)
-  // Not guaranteed, but often works if the site uses CivicPlus.
-  candidates.push(`https://${host}/RSSFeed.aspx?CID=All-newsflash.xml&ModID=1`);
-  candidates.push(`https://${host}/RSSFeed.aspx?CID=All-0&ModID=63`);
-  candidates.push(`https://${host}/RSS.aspx`);
-
-  // Some sites host "CivicAlerts" and still have RSSFeed.aspx
-  candidates.push(`https://${host}/CivicAlerts.aspx?rss=true`);
-
-  // De-dupe
-  return [...new Set(candidates)];
-}
-
-async function resolveFeedUrl(src, timeoutMs) {
-  const candidates = buildCandidateFeeds(src);
-
-  for (const url of candidates) {
-    try {
-      const xml = await fetchText(url, timeoutMs);
-      const items = parseRss(xml);
-      if (items.length > 0) {
-        return { feedUrl: url, xml, items };
-      }
-    } catch {
-      // ignore, try next candidate
-    }
-  }
-
-  return { feedUrl: "", xml: "", items: [] };
-}
-
-async function getDbClient() {
-  const url = process.env.DATABASE_URL;
-  if (!url) {
-    throw new Error("DATABASE_URL is missing. Add a Railway Postgres and connect it to this service.");
-  }
-  const client = new Client({
-    connectionString: url,
-    ssl: { rejectUnauthorized: false },
-  });
-  await client.connect();
-  return client;
-}
-
-async function ensureSchema(client) {
-  const candidates = [
-    path.join(ROOT, "db", "schema.sql"),
-    path.join(ROOT, "apps", "worker", "db", "schema.sql"),
-    path.join(ROOT, "..", "db", "schema.sql"),
-    path.join(ROOT, "..", "..", "apps", "worker", "db", "schema.sql"),
-  ];
-
-  for (const p of candidates) {
-    if (fs.existsSync(p)) {
-      console.log(`Using schema at: ${p}`);
-      const sql = fs.readFileSync(p, "utf8");
-      if (!sql.trim()) throw new Error(`schema.sql is empty at: ${p}`);
-      await client.query(sql);
-      return;
-    }
-  }
-
-  throw new Error(`schema.sql not found. Tried:\n${candidates.join("\n")}`);
-}
-
-async function upsertSource(client, s) {
-  const facebook = s?.social_urls?.facebook || "";
-  const x = s?.social_urls?.x || "";
-
-  const res = await client.query(
-    `
-    INSERT INTO sources (state, county, source_name, source_type, tier, website_url, rss_url, facebook_url, x_url, enabled)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,TRUE)
-    ON CONFLICT (state, county, source_name)
-    DO UPDATE SET
-      source_type = EXCLUDED.source_type,
-      tier = EXCLUDED.tier,
-      website_url = EXCLUDED.website_url,
-      rss_url = EXCLUDED.rss_url,
-      facebook_url = EXCLUDED.facebook_url,
-      x_url = EXCLUDED.x_url,
-      enabled = TRUE
-    RETURNING id
-    `,
-    [
-      s.state,
-      s.county,
-      s.source_name,
-      s.source_type || "rss",
-      s.tier || "2",
-      s.website_url || "",
-      s.rss_url || "",
-      facebook,
-      x,
-    ]
-  );
-
-  return res.rows[0].id;
-}
-
-async function insertFeedItem(client, sourceId, item) {
-  const contentHash = hashItem(item.title, item.link);
-  const publishedAt = toTimestamp(item.pubDate);
-
-  await client.query(
-    `
-    INSERT INTO feed_items (source_id, title, link, published_at, summary, content_hash)
-    VALUES ($1,$2,$3,$4,$5,$6)
-    ON CONFLICT (source_id, content_hash) DO NOTHING
-    `,
-    [sourceId, item.title, item.link, publishedAt, item.summary || "", contentHash]
-  );
+import { flattenSources, listCounties, listWebhooks } from "./utils/config.js";
+import { loadValidatedConfig } from "./utils/validateConfig.js";
+import { getDbClient, getDbPool } from "./utils/db.js";
+import { sleep, envInt } from "./utils/common.js";
+import { migrateUp } from "./db/migrator.js";
+import { ingestSource } from "./ingest/source.js";
+import { ingestNwsAlerts } from "./ingest/nws.js";
+import { createScheduler, sourceKey } from "./scheduler/scheduler.js";
+import { clusterRecentItems } from "./process/cluster.js";
+import { classifyRecentItems } from "./process/topics.js";
+import { tagRecentPlaces } from "./process/places.js";
+import { enrichRecentItems } from "./process/enrich.js";
+import { pruneFetchLog } from "./db/sourceHealth.js";
+import { syncSources } from "./db/sourceSync.js";
+import { sendPendingConfirmations } from "./mail/mailer.js";
+import { deliverPendingWebhooks } from "./webhooks/webhooks.js";
+
+function isSourceEnabled(src) {
+  return src?.enabled === undefined || Boolean(src.enabled);
 }
 
 async function runOnce() {
   console.log("Starting Panhandle Pulse Worker…");
 
-  const config = loadSourcesYaml();
+  const config = loadValidatedConfig();
   const sources = flattenSources(config);
+  const webhooks = listWebhooks(config);
 
   console.log(`Loaded sources: ${sources.length}`);
 
@@ -285,41 +33,45 @@ async function runOnce() {
 
   const client = await getDbClient();
   try {
-    await ensureSchema(client);
+    await migrateUp(client);
+    await syncSources(client, config);
 
     let ok = 0;
     let failed = 0;
+    let disabled = 0;
     let attempted = 0;
+    let inserted = 0;
     let ingestible = 0;
 
     for (const src of sources) {
-      if (!src?.enabled && src?.enabled !== undefined) continue;
+      if (!isSourceEnabled(src)) continue;
 
-      // Attempt to resolve an RSS/Atom feed even if rss_url is blank.
       console.log(`\n[${src.state} / ${src.county}] ${src.source_name}`);
 
       try {
-        const resolved = await resolveFeedUrl(src, timeoutMs);
-        if (!resolved.feedUrl) {
-          console.log("No feed found (rss_url blank + auto-discovery failed). Skipping.");
+        const result = await ingestSource(client, src, { timeoutMs, webhooks });
+        if (result.status === "disabled") {
+          console.log(`Disabled: ${result.reason} (re-enable it in /admin/sources). Skipping.`);
+          disabled += 1;
+          continue;
+        }
+        if (result.status === "no_feed") {
+          console.log("No feed found (rss_url blank, no feed advertised or guessed, no scraper matched). Skipping.");
           continue;
         }
 
         ingestible += 1;
-
-        // Store resolved feed back into DB record (so you can see what was used)
-        const sourceId = await upsertSource(client, { ...src, rss_url: resolved.feedUrl });
-
-        let insertedForSource = 0;
-        for (const it of resolved.items) {
-          if (!it.title || !it.link) continue;
-          await insertFeedItem(client, sourceId, it);
-          insertedForSource += 1;
-          attempted += 1;
+        attempted += result.attempted;
+        inserted += result.inserted;
+
+        console.log(`Feed: ${result.feedUrl}${result.adapter ? ` (scraped: ${result.adapter})` : ""}`);
+        if (result.status === "not_modified") {
+          console.log("Not modified since last fetch (304).");
+        } else if (result.status === "unchanged") {
+          console.log("Feed body unchanged since last fetch.");
+        } else {
+          console.log(`Parsed ${result.parsed} items, attempted insert ${result.attempted}, new ${result.inserted}`);
         }
-
-        console.log(`Feed: ${resolved.feedUrl}`);
-        console.log(`Parsed ${resolved.items.length} items, attempted insert ${insertedForSource}`);
         ok += 1;
       } catch (err) {
         console.error(`ERROR: ${err.message}`);
@@ -329,15 +81,228 @@ async function runOnce() {
       await sleep(pauseBetweenSourcesMs);
     }
 
-    console.log(`\nIngestible feeds found: ${ingestible}`);
-    console.log(`Summary: OK=${ok}, Failed=${failed}, InsertAttempts=${attempted}`);
+    // Deliveries still failing are retried by the next run (or the daemon).
+    const hooks = await deliverPendingWebhooks(client, webhooks);
+    console.log(`\nWebhooks: delivered=${hooks.delivered}, retrying=${hooks.retrying}, failed=${hooks.failed}`);
+
+    try {
+      const alerts = await ingestNwsAlerts(client, listCounties(config), { timeoutMs });
+      console.log(`\nNWS alerts: fetched=${alerts.fetched}, stored=${alerts.stored}, dropped=${alerts.dropped}`);
+    } catch (err) {
+      console.error(`\nNWS alerts ERROR: ${err.message}`);
+    }
+
+    const enriched = await enrichRecentItems(client, { timeoutMs });
+    console.log(`Enrichment: enriched=${enriched.enriched}, images=${enriched.images}, failed=${enriched.failed}`);
+    const clustered = await clusterRecentItems(client);
+    console.log(`Clusters: joined=${clustered.joined}, created=${clustered.created}`);
+    const tagged = await classifyRecentItems(client);
+    console.log(`Topics: classified=${tagged.classified}, ai=${tagged.ai}`);
+    const placed = await tagRecentPlaces(client);
+    console.log(`Places: tagged=${placed.tagged}, mentions=${placed.mentions}`);
+
+    console.log(`Ingestible feeds found: ${ingestible}`);
+    console.log(`Summary: OK=${ok}, Failed=${failed}, Disabled=${disabled}, InsertAttempts=${attempted}, New=${inserted}`);
+    await pruneFetchLog(client, envInt("FETCH_LOG_RETENTION_DAYS", 30));
     console.log("Worker run complete.");
   } finally {
     await client.end();
   }
 }
 
-runOnce().catch((err) => {
+async function runDaemon() {
+  console.log("Starting Panhandle Pulse Worker (daemon)…");
+
+  const config = loadValidatedConfig();
+  const sources = flattenSources(config).filter(isSourceEnabled);
+  const intervals = config?.defaults?.check_intervals_minutes || {};
+  const webhooks = listWebhooks(config);
+
+  console.log(`Loaded sources: ${sources.length}`);
+
+  const timeoutMs = envInt("FETCH_TIMEOUT_MS", 15000);
+  const pool = getDbPool();
+
+  try {
+    const migrationClient = await pool.connect();
+    try {
+      await migrateUp(migrationClient);
+      await syncSources(migrationClient, config);
+    } finally {
+      migrationClient.release();
+    }
+
+    // Webhooks go out as soon as a source brings new matching items; the timer picks up retries.
+    let delivering = null;
+    let deliverAgain = false;
+    const deliverWebhooks = () => {
+      if (delivering) {
+        deliverAgain = true;
+        return;
+      }
+      delivering = (async () => {
+        const c = await pool.connect();
+        try {
+          do {
+            deliverAgain = false;
+            const { delivered, retrying, failed } = await deliverPendingWebhooks(c, webhooks);
+            if (delivered || retrying || failed) {
+              console.log(`[webhooks] delivered=${delivered} retrying=${retrying} failed=${failed}`);
+            }
+          } while (deliverAgain);
+        } finally {
+          c.release();
+        }
+      })()
+        .catch((err) => console.error(`[webhooks] ${err.message}`))
+        .finally(() => {
+          delivering = null;
+        });
+    };
+    const webhookTimer = webhooks.length ? setInterval(deliverWebhooks, envInt("WEBHOOK_POLL_SECONDS", 30) * 1000) : null;
+    if (webhookTimer) deliverWebhooks();
+
+    const scheduler = createScheduler({
+      sources,
+      intervals,
+      concurrency: envInt("SCHEDULER_CONCURRENCY", 2),
+      pauseMs: envInt("PAUSE_BETWEEN_SOURCES_MS", 250),
+      defaultIntervalMinutes: envInt("DEFAULT_CHECK_INTERVAL_MINUTES", 15),
+      runJob: async (src) => {
+        const result = await ingestSource(pool, src, { timeoutMs, webhooks });
+        if (result.status === "disabled") {
+          console.log(`[${sourceKey(src)}] disabled: ${result.reason}`);
+          return;
+        }
+        if (result.status === "no_feed") {
+          // ingestSource only re-probes candidates every DISCOVERY_RETRY_HOURS, so this is cheap.
+          console.log(`[${sourceKey(src)}] no feed`);
+          return;
+        }
+        console.log(
+          `[${sourceKey(src)}] ${result.feedUrl} ${result.status} parsed=${result.parsed} attempted=${result.attempted} new=${result.inserted}${
+            result.queued ? ` webhooks=${result.queued}` : ""
+          }`
+        );
+        if (result.queued) deliverWebhooks();
+      },
+    });
+
+    // Cluster, tag and geotag new items (and trim the fetch log) every few minutes, never two passes at once.
+    let clustering = null;
+    const clusterTimer = setInterval(() => {
+      if (clustering) return;
+      clustering = (async () => {
+        const c = await pool.connect();
+        try {
+          const { joined, created } = await clusterRecentItems(c);
+          if (joined || created) console.log(`[cluster] joined=${joined} created=${created}`);
+          const { classified, ai } = await classifyRecentItems(c);
+          if (classified) console.log(`[topics] classified=${classified} ai=${ai}`);
+          const { tagged, mentions } = await tagRecentPlaces(c);
+          if (tagged) console.log(`[places] tagged=${tagged} mentions=${mentions}`);
+          await pruneFetchLog(c, envInt("FETCH_LOG_RETENTION_DAYS", 30));
+        } finally {
+          c.release();
+        }
+      })()
+        .catch((err) => console.error(`[cluster] ${err.message}`))
+        .finally(() => {
+          clustering = null;
+        });
+    }, envInt("CLUSTER_INTERVAL_MINUTES", 5) * 60_000);
+
+    // Article pages for new items are fetched on their own timer, so slow sites don't hold up clustering.
+    const enrichMinutes = envInt("ENRICH_INTERVAL_MINUTES", 2);
+    let enriching = null;
+    const enrichItems = () => {
+      if (enriching) return;
+      enriching = (async () => {
+        const c = await pool.connect();
+        try {
+          const { enriched, images, failed } = await enrichRecentItems(c, { timeoutMs });
+          if (enriched || failed) console.log(`[enrich] enriched=${enriched} images=${images} failed=${failed}`);
+        } finally {
+          c.release();
+        }
+      })()
+        .catch((err) => console.error(`[enrich] ${err.message}`))
+        .finally(() => {
+          enriching = null;
+        });
+    };
+    const enrichTimer = enrichMinutes > 0 ? setInterval(enrichItems, enrichMinutes * 60_000) : null;
+
+    // NWS alerts on their own cadence (NWS_INTERVAL_MINUTES=0 turns them off).
+    const counties = listCounties(config);
+    const nwsMinutes = envInt("NWS_INTERVAL_MINUTES", 5);
+    let polling = null;
+    const pollAlerts = () => {
+      if (polling) return;
+      polling = (async () => {
+        const c = await pool.connect();
+        try {
+          const { stored, dropped, failed } = await ingestNwsAlerts(c, counties, { timeoutMs });
+          console.log(`[nws] stored=${stored} dropped=${dropped}${failed ? ` failed=${failed}` : ""}`);
+        } finally {
+          c.release();
+        }
+      })()
+        .catch((err) => console.error(`[nws] ${err.message}`))
+        .finally(() => {
+          polling = null;
+        });
+    };
+    const nwsTimer = nwsMinutes > 0 ? setInterval(pollAlerts, nwsMinutes * 60_000) : null;
+    if (nwsTimer) pollAlerts();
+
+    // Subscription confirmation links go out within a couple of minutes of signing up; only
+    // when SMTP is configured (the digests themselves come from `npm run digests`).
+    const confirmMinutes = process.env.SMTP_HOST ? envInt("MAIL_CONFIRM_INTERVAL_MINUTES", 2) : 0;
+    let confirming = null;
+    const confirmTimer =
+      confirmMinutes > 0
+        ? setInterval(() => {
+            if (confirming) return;
+            confirming = (async () => {
+              const c = await pool.connect();
+              try {
+                const { sent, failed } = await sendPendingConfirmations(c);
+                if (sent || failed) console.log(`[mail] confirmations sent=${sent} failed=${failed}`);
+              } finally {
+                c.release();
+              }
+            })()
+              .catch((err) => console.error(`[mail] ${err.message}`))
+              .finally(() => {
+                confirming = null;
+              });
+          }, confirmMinutes * 60_000)
+        : null;
+
+    const shutdown = (signal) => {
+      console.log(`Received ${signal}; finishing in-flight sources before exit…`);
+      clearInterval(clusterTimer);
+      if (nwsTimer) clearInterval(nwsTimer);
+      if (enrichTimer) clearInterval(enrichTimer);
+      if (confirmTimer) clearInterval(confirmTimer);
+      if (webhookTimer) clearInterval(webhookTimer);
+      scheduler.stop();
+    };
+    process.once("SIGTERM", shutdown);
+    process.once("SIGINT", shutdown);
+
+    await scheduler.run();
+    await Promise.all([clustering, enriching, polling, confirming, delivering]);
+    console.log("Worker daemon stopped.");
+  } finally {
+    await pool.end();
+  }
+}
+
+const daemon = process.argv.includes("--daemon") || process.env.WORKER_MODE === "daemon";
+
+(daemon ? runDaemon() : runOnce()).catch((err) => {
   console.error("Fatal worker error:", err);
   process.exit(1);
 });
@@ -0,0 +1,16 @@
+import { findTags, absoluteUrl } from "../utils/html.js";
+
+const FEED_TYPES = /^application\/(rss|atom)\+xml$|^application\/xml$|^text\/xml$/i;
+
+// <link rel="alternate" type="application/rss+xml" href="..."> from a page's HTML.
+export function discoverFeedLinks(html, pageUrl) {
+  const found = [];
+  for (const attrs of findTags(html, "link")) {
+    const rel = (attrs.rel || "").toLowerCase().split(/\s+/);
+    if (!rel.includes("alternate")) continue;
+    if (!FEED_TYPES.test((attrs.type || "").trim())) continue;
+    const href = absoluteUrl(attrs.href, pageUrl);
+    if (href) found.push(href);
+  }
+  return [...new Set(found)];
+}
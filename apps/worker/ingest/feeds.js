@@ -0,0 +1,269 @@
+import crypto from "node:crypto";
+import { XMLParser } from "fast-xml-parser";
+import { discoverFeedLinks } from "./discover.js";
+import { absoluteUrl, findTags } from "../utils/html.js";
+
+export async function fetchText(url, timeoutMs) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        "user-agent": "PanhandlePulseBot/0.1 (+https://panhandlepulse.news)",
+      },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return res.text();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`Timeout after ${timeoutMs}ms for ${url}`);
+    throw e;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * GET with optional validators. Resolves { status: 304 } when the server says nothing changed,
+ * otherwise { status, body, etag, lastModified }. Non-2xx responses throw with `err.status` set.
+ */
+export async function fetchConditional(url, { timeoutMs, etag = "", lastModified = "" }) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+
+  const headers = {
+    "user-agent": "PanhandlePulseBot/0.1 (+https://panhandlepulse.news)",
+  };
+  if (etag) headers["if-none-match"] = etag;
+  if (lastModified) headers["if-modified-since"] = lastModified;
+
+  try {
+    const res = await fetch(url, { signal: controller.signal, headers });
+    if (res.status === 304) return { status: 304, body: "", etag, lastModified };
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status} for ${url}`);
+      err.status = res.status;
+      throw err;
+    }
+    return {
+      status: res.status,
+      body: await res.text(),
+      etag: res.headers.get("etag") || "",
+      lastModified: res.headers.get("last-modified") || "",
+    };
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`Timeout after ${timeoutMs}ms for ${url}`);
+    throw e;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function asArray(v) {
+  if (v === undefined || v === null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function textOf(v) {
+  if (Array.isArray(v)) return textOf(v[0]);
+  if (v && typeof v === "object") return String(v["#text"] ?? "").trim();
+  return String(v ?? "").trim();
+}
+
+// <author> is "email (Name)" in RSS 2.0; only the name is worth showing.
+function rssAuthorName(author) {
+  const m = author.match(/\(([^)]+)\)\s*$/);
+  if (m) return m[1].trim();
+  return author.includes("@") ? "" : author;
+}
+
+function isImage(media) {
+  const type = media?.["@_type"] || "";
+  const medium = media?.["@_medium"] || "";
+  return type.startsWith("image/") || medium === "image" || (!type && !medium);
+}
+
+// media:content / media:thumbnail, loose or inside a media:group (namespace prefixes are stripped).
+function mediaImage(node) {
+  const groups = [node, ...asArray(node.group)];
+  for (const g of groups) {
+    const content = asArray(g.content).filter((c) => typeof c === "object" && c["@_url"] && isImage(c));
+    if (content.length) return content[0]["@_url"];
+    const thumb = asArray(g.thumbnail).find((t) => t?.["@_url"]);
+    if (thumb) return thumb["@_url"];
+  }
+  return "";
+}
+
+// First <img src> in an HTML body, resolved against the item link.
+function inlineImage(html, link) {
+  if (typeof html !== "string") return "";
+  const img = findTags(html, "img").find((a) => a.src && !a.src.startsWith("data:"));
+  return img ? absoluteUrl(img.src, link || undefined) : "";
+}
+
+function rssImage(it) {
+  const enclosure = asArray(it.enclosure).find((e) => e?.["@_url"] && (e["@_type"] || "").startsWith("image/"));
+  return (
+    enclosure?.["@_url"] ||
+    mediaImage(it) ||
+    inlineImage(textOf(it.description), it.link) ||
+    inlineImage(textOf(it.encoded), it.link) ||
+    ""
+  );
+}
+
+function atomImage(e, link) {
+  const enclosure = asArray(e.link).find(
+    (l) => l?.["@_rel"] === "enclosure" && l["@_href"] && (l["@_type"] || "").startsWith("image/")
+  );
+  return enclosure?.["@_href"] || mediaImage(e) || inlineImage(textOf(e.content), link) || inlineImage(textOf(e.summary), link);
+}
+
+/**
+ * Items of an RSS 2.0 or Atom document: { title, link, pubDate, summary, imageUrl, author }.
+ * `summary` is still the feed's HTML; imageUrl comes from an image enclosure, media:content /
+ * media:thumbnail, or the first <img> in the body.
+ */
+export function parseRss(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    removeNSPrefix: true,
+  });
+
+  const doc = parser.parse(xml);
+
+  // RSS 2.0
+  if (doc?.rss?.channel?.item) {
+    const items = Array.isArray(doc.rss.channel.item)
+      ? doc.rss.channel.item
+      : [doc.rss.channel.item];
+
+    return items.map((it) => ({
+      title: it.title || "",
+      link: it.link || "",
+      pubDate: it.pubDate || "",
+      summary: it.description || "",
+      imageUrl: rssImage(it),
+      author: textOf(it.creator) || rssAuthorName(textOf(it.author)),
+    }));
+  }
+
+  // Atom
+  if (doc?.feed?.entry) {
+    const entries = Array.isArray(doc.feed.entry)
+      ? doc.feed.entry
+      : [doc.feed.entry];
+
+    return entries.map((e) => {
+      const link = Array.isArray(e.link)
+        ? e.link.find((l) => l["@_rel"] === "alternate")?.["@_href"] || ""
+        : e.link?.["@_href"] || "";
+      return {
+        title: e.title?.["#text"] || e.title || "",
+        link,
+        pubDate: e.updated || e.published || "",
+        summary: textOf(e.summary),
+        imageUrl: atomImage(e, link),
+        author: textOf(asArray(e.author)[0]?.name),
+      };
+    });
+  }
+
+  return [];
+}
+
+export function toTimestamp(pubDate) {
+  if (!pubDate) return null;
+  const d = new Date(pubDate);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString();
+}
+
+export function hashItem(title, link) {
+  return crypto.createHash("sha256").update(`${title}||${link}`).digest("hex");
+}
+
+export function hashContent(text) {
+  return crypto.createHash("sha256").update(text || "").digest("hex");
+}
+
+export function safeUrlHost(websiteUrl) {
+  try {
+    return new URL(websiteUrl).host;
+  } catch {
+    return "";
+  }
+}
+
+export function buildCandidateFeeds(src) {
+  const candidates = [];
+  const rss = (src.rss_url || "").trim();
+  if (rss) candidates.push(rss);
+
+  const website = (src.website_url || "").trim();
+  const host = safeUrlHost(website);
+  if (!host) return candidates;
+
+  // WordPress common feeds
+  candidates.push(`https://${host}/feed/`);
+  candidates.push(`https://${host}/feed`);
+  candidates.push(`https://${host}/rss`);
+  candidates.push(`https://${host}/rss.xml`);
+  candidates.push(`https://${host}/atom.xml`);
+
+  // CivicPlus common RSSFeed patterns (News Flash / Alerts)
+  // Not guaranteed, but often works if the site uses CivicPlus.
+  candidates.push(`https://${host}/RSSFeed.aspx?CID=All-newsflash.xml&ModID=1`);
+  candidates.push(`https://${host}/RSSFeed.aspx?CID=All-0&ModID=63`);
+  candidates.push(`https://${host}/RSS.aspx`);
+
+  // Some sites host "CivicAlerts" and still have RSSFeed.aspx
+  candidates.push(`https://${host}/CivicAlerts.aspx?rss=true`);
+
+  // De-dupe
+  return [...new Set(candidates)];
+}
+
+async function tryFeedCandidates(urls, timeoutMs, tried) {
+  for (const url of urls) {
+    if (tried.has(url)) continue;
+    tried.add(url);
+    try {
+      const res = await fetchConditional(url, { timeoutMs });
+      const items = parseRss(res.body);
+      if (items.length > 0) {
+        return { feedUrl: url, xml: res.body, items, status: res.status, etag: res.etag, lastModified: res.lastModified };
+      }
+    } catch {
+      // ignore, try next candidate
+    }
+  }
+  return null;
+}
+
+async function discoverFromPage(pageUrl, timeoutMs) {
+  if (!pageUrl) return [];
+  try {
+    const html = await fetchText(pageUrl, timeoutMs);
+    return discoverFeedLinks(html, pageUrl);
+  } catch {
+    return [];
+  }
+}
+
+// Configured rss_url first, then feeds the site advertises via <link rel="alternate">,
+// then the guessed WordPress/CivicPlus paths.
+export async function resolveFeedUrl(src, timeoutMs) {
+  const tried = new Set();
+  const rss = (src.rss_url || "").trim();
+
+  const found =
+    (rss && (await tryFeedCandidates([rss], timeoutMs, tried))) ||
+    (await tryFeedCandidates(await discoverFromPage((src.website_url || "").trim(), timeoutMs), timeoutMs, tried)) ||
+    (await tryFeedCandidates(buildCandidateFeeds(src), timeoutMs, tried));
+
+  return found || { feedUrl: "", xml: "", items: [] };
+}
@@ -0,0 +1,180 @@
+import { XMLParser } from "fast-xml-parser";
+import { fetchText, toTimestamp } from "./feeds.js";
+
+// api.weather.gov active-alerts ATOM (CAP 1.2 fields under the `cap:` namespace).
+// Point NWS_ALERTS_URL at a fixture server in tests; `?area=<state>` is appended.
+const NWS_ALERTS_URL = process.env.NWS_ALERTS_URL || "https://api.weather.gov/alerts/active.atom";
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const text = (v) => (v == null ? "" : typeof v === "object" ? String(v["#text"] ?? "") : String(v)).trim();
+
+/**
+ * What to match alerts against for each configured county with a `fips` code:
+ * SAME/FIPS6 ("012033"), the county UGC ("FLC033") and any `nws_zones` listed in sources.yaml
+ * (forecast zones such as "FLZ202", which zone-based products like hurricane warnings use).
+ */
+export function alertTargets(counties) {
+  return counties
+    .filter((c) => /^\d{5}$/.test(String(c.fips || "")))
+    .map((c) => ({
+      state: c.state,
+      county: c.county,
+      fips6: `0${c.fips}`,
+      ugc: new Set([`${c.state}C${String(c.fips).slice(2)}`, ...asArray(c.nws_zones).map((z) => String(z).toUpperCase())]),
+    }));
+}
+
+// <cap:geocode> is either one element per pair or one element with parallel valueName/value lists;
+// older feeds space-separate several codes in one <value>.
+function geocodes(entry) {
+  const out = { FIPS6: [], UGC: [] };
+  for (const g of asArray(entry.geocode)) {
+    const names = asArray(g.valueName).map(text);
+    const values = asArray(g.value).map(text);
+    names.forEach((name, i) => {
+      if (out[name]) out[name].push(...(values[i] || "").split(/\s+/).filter(Boolean));
+    });
+  }
+  return out;
+}
+
+export function parseAlertsAtom(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    removeNSPrefix: true,
+    isArray: (name) => ["entry", "geocode", "valueName", "value", "link"].includes(name),
+  });
+  const doc = parser.parse(xml);
+
+  return asArray(doc?.feed?.entry).map((e) => {
+    const codes = geocodes(e);
+    const link = asArray(e.link).find((l) => !l["@_rel"] || l["@_rel"] === "alternate");
+    return {
+      id: text(e.id),
+      event: text(e.event),
+      headline: text(e.title),
+      summary: text(e.summary),
+      status: text(e.status),
+      msgType: text(e.msgType),
+      severity: text(e.severity),
+      urgency: text(e.urgency),
+      certainty: text(e.certainty),
+      areaDesc: text(e.areaDesc),
+      url: link?.["@_href"] || text(e.id),
+      sent: toTimestamp(text(e.sent)),
+      onset: toTimestamp(text(e.onset) || text(e.effective)),
+      expires: toTimestamp(text(e.expires)),
+      ends: toTimestamp(text(e.ends)),
+      fips6: codes.FIPS6,
+      ugc: codes.UGC.map((c) => c.toUpperCase()),
+    };
+  });
+}
+
+function matchCounties(alert, targets) {
+  const fips = new Set(alert.fips6);
+  return targets.filter((t) => fips.has(t.fips6) || alert.ugc.some((c) => t.ugc.has(c)));
+}
+
+async function saveAlert(client, alert, counties) {
+  await client.query(
+    `
+    INSERT INTO weather_alerts
+      (id, event, headline, summary, severity, urgency, certainty, msg_type, area_desc, url,
+       ugc_codes, fips_codes, sent_at, onset_at, expires_at, ends_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    ON CONFLICT (id) DO UPDATE SET
+      event = EXCLUDED.event,
+      headline = EXCLUDED.headline,
+      summary = EXCLUDED.summary,
+      severity = EXCLUDED.severity,
+      urgency = EXCLUDED.urgency,
+      certainty = EXCLUDED.certainty,
+      msg_type = EXCLUDED.msg_type,
+      area_desc = EXCLUDED.area_desc,
+      url = EXCLUDED.url,
+      ugc_codes = EXCLUDED.ugc_codes,
+      fips_codes = EXCLUDED.fips_codes,
+      sent_at = EXCLUDED.sent_at,
+      onset_at = EXCLUDED.onset_at,
+      expires_at = EXCLUDED.expires_at,
+      ends_at = EXCLUDED.ends_at,
+      updated_at = NOW()
+    `,
+    [
+      alert.id,
+      alert.event,
+      alert.headline,
+      alert.summary,
+      alert.severity,
+      alert.urgency,
+      alert.certainty,
+      alert.msgType,
+      alert.areaDesc,
+      alert.url,
+      alert.ugc,
+      alert.fips6,
+      alert.sent,
+      alert.onset,
+      alert.expires,
+      alert.ends,
+    ]
+  );
+
+  await client.query(`DELETE FROM weather_alert_counties WHERE alert_id = $1`, [alert.id]);
+  for (const c of counties) {
+    await client.query(
+      `INSERT INTO weather_alert_counties (alert_id, state, county) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+      [alert.id, c.state, c.county]
+    );
+  }
+}
+
+/**
+ * Pull active alerts for every state with a configured county, keep the ones that cover
+ * a configured county, and delete alerts that have expired. When every state fetched
+ * cleanly, alerts NWS no longer lists as active (cancelled, replaced) are deleted too.
+ */
+export async function ingestNwsAlerts(client, counties, { timeoutMs = 15000 } = {}) {
+  const targets = alertTargets(counties);
+  const states = [...new Set(targets.map((t) => t.state))];
+  const stats = { fetched: 0, stored: 0, dropped: 0, failed: 0 };
+  const seen = new Set();
+
+  for (const state of states) {
+    try {
+      const url = new URL(NWS_ALERTS_URL);
+      url.searchParams.set("area", state);
+      const alerts = parseAlertsAtom(await fetchText(url.toString(), timeoutMs));
+      stats.fetched += alerts.length;
+
+      for (const alert of alerts) {
+        if (!alert.id || alert.status !== "Actual" || alert.msgType === "Cancel") continue;
+        if (alert.expires && new Date(alert.expires) <= new Date()) continue;
+
+        const covered = matchCounties(alert, targets);
+        if (!covered.length) continue;
+
+        seen.add(alert.id);
+        await saveAlert(client, alert, covered);
+        stats.stored++;
+      }
+    } catch (err) {
+      stats.failed++;
+      console.error(`[nws] ${state}: ${err.message}`);
+    }
+  }
+
+  const dropped = await client.query(
+    `
+    DELETE FROM weather_alerts
+    WHERE expires_at <= NOW()
+       OR ($1 AND NOT (id = ANY($2::text[])))
+    `,
+    [stats.failed === 0, [...seen]]
+  );
+  stats.dropped = dropped.rowCount;
+
+  return stats;
+}
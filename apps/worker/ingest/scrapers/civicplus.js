@@ -0,0 +1,29 @@
+import { extractListing } from "./listing.js";
+import { safeUrlHost } from "../feeds.js";
+
+// CivicPlus listing pages put the teaser in <div class="intro"> (News Flash) or
+// <div class="alertText"> / <p class="alertDescription"> (Alert Center).
+const INTRO = /<(?:div|p|span)[^>]*class="[^"]*\b(?:intro|alertText|alertDescription)\b[^"]*"[^>]*>([\s\S]*?)<\/(?:div|p|span)>/i;
+
+function civicPlusUrl(src, page) {
+  const scrapeUrl = (src.scrape_url || "").trim();
+  if (scrapeUrl) return scrapeUrl;
+  const host = safeUrlHost((src.website_url || "").trim());
+  return host ? `https://${host}/${page}` : "";
+}
+
+// News Flash module: /CivicAlerts.aspx lists posts linking to CivicAlerts.aspx?AID=123
+export const civicPlusNewsFlash = {
+  name: "civicplus_newsflash",
+  listingUrl: (src) => civicPlusUrl(src, "CivicAlerts.aspx"),
+  parse: (html, pageUrl) =>
+    extractListing(html, pageUrl, { linkPattern: /CivicAlerts\.aspx\?AID=\d+/i, minTitleLength: 4, summaryPattern: INTRO }),
+};
+
+// Alert Center module: /AlertCenter.aspx lists alerts linking to AlertCenter.aspx?AID=123
+export const civicPlusAlertCenter = {
+  name: "civicplus_alertcenter",
+  listingUrl: (src) => civicPlusUrl(src, "AlertCenter.aspx"),
+  parse: (html, pageUrl) =>
+    extractListing(html, pageUrl, { linkPattern: /AlertCenter\.aspx\?AID=\d+/i, minTitleLength: 4, summaryPattern: INTRO }),
+};
@@ -0,0 +1,23 @@
+import { civicPlusNewsFlash, civicPlusAlertCenter } from "./civicplus.js";
+import { pressReleases } from "./pressReleases.js";
+
+/**
+ * Scraper adapters for sources with no RSS/Atom feed.
+ * Each adapter: { name, listingUrl(src), parse(html, pageUrl, src) -> [{ title, link, pubDate, summary }] }.
+ * A source picks one with `scraper: <name>` in sources.yaml, otherwise by source_type.
+ */
+const ADAPTERS = new Map([civicPlusNewsFlash, civicPlusAlertCenter, pressReleases].map((a) => [a.name, a]));
+
+const DEFAULT_BY_SOURCE_TYPE = {
+  sheriff: "press_releases",
+};
+
+export const SCRAPER_NAMES = [...ADAPTERS.keys()];
+
+export function getScraper(name) {
+  return ADAPTERS.get(name) || null;
+}
+
+export function scraperFor(src) {
+  return getScraper(src.scraper || DEFAULT_BY_SOURCE_TYPE[src.source_type]);
+}
@@ -0,0 +1,40 @@
+import { findLinks, stripTags } from "../../utils/html.js";
+
+const MONTH_DATE = /\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.?\s+\d{1,2},?\s+\d{4}\b/i;
+const NUMERIC_DATE = /\b\d{1,2}\/\d{1,2}\/\d{4}\b/;
+
+export function findDate(text) {
+  const m = String(text || "").match(MONTH_DATE) || String(text || "").match(NUMERIC_DATE);
+  return m ? m[0].replace(/\.(?=\s)/, "") : "";
+}
+
+/**
+ * Turn a listing page into feed items ({ title, link, pubDate, summary }, same as parseRss).
+ * Every link whose href matches `linkPattern` is an entry; the HTML between it and the next
+ * entry is searched for a date and an intro/teaser paragraph.
+ */
+export function extractListing(html, pageUrl, { linkPattern, minTitleLength = 12, maxItems = 30, summaryPattern }) {
+  const links = findLinks(html, pageUrl).filter(
+    (l) => linkPattern.test(l.href) && l.text.length >= minTitleLength
+  );
+
+  const seen = new Set();
+  const entries = links.filter((l) => {
+    if (seen.has(l.href)) return false;
+    seen.add(l.href);
+    return true;
+  });
+
+  return entries.slice(0, maxItems).map((l, i) => {
+    const next = entries[i + 1];
+    const chunk = html.slice(l.end, next ? next.index : l.end + 2000);
+    const intro = summaryPattern ? chunk.match(summaryPattern)?.[1] : "";
+
+    return {
+      title: l.text,
+      link: l.href,
+      pubDate: findDate(stripTags(chunk)),
+      summary: intro ? stripTags(intro) : "",
+    };
+  });
+}
@@ -0,0 +1,31 @@
+import { extractListing } from "./listing.js";
+import { safeUrlHost } from "../feeds.js";
+
+const DEFAULT_LINK_PATTERN = "press|release|news|arrest|media|update|/\\d{4}/\\d{2}/";
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Generic press-release listing (sheriff's offices and other sites with a plain "News" page).
+ * Picks same-site links whose URL matches `scrape_link_pattern` (default: press/release/news/…)
+ * and whose text is long enough to be a headline rather than a menu entry.
+ */
+export const pressReleases = {
+  name: "press_releases",
+  listingUrl: (src) => (src.scrape_url || src.website_url || "").trim(),
+  parse: (html, pageUrl, src = {}) => {
+    const host = safeUrlHost(pageUrl);
+    const pattern = new RegExp(src.scrape_link_pattern || DEFAULT_LINK_PATTERN, "i");
+    const sameSite = new RegExp(`^https?://(www\\.)?${escapeRegex(host.replace(/^www\./, ""))}/`, "i");
+
+    const isEntry = (href) => {
+      if (!sameSite.test(href)) return false;
+      const u = new URL(href);
+      return pattern.test(u.pathname + u.search);
+    };
+
+    return extractListing(html, pageUrl, { linkPattern: { test: isEntry }, minTitleLength: 20 });
+  },
+};
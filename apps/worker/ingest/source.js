@@ -0,0 +1,221 @@
+import { fetchConditional, parseRss, resolveFeedUrl, hashContent } from "./feeds.js";
+import { getScraper, scraperFor } from "./scrapers/index.js";
+import { upsertSource, insertFeedItem } from "../db/sources.js";
+import { loadFetchState, saveFetchState } from "../db/fetchState.js";
+import { disableSource, logFetch } from "../db/sourceHealth.js";
+import { envInt } from "../utils/common.js";
+import { enqueueWebhooks } from "../webhooks/webhooks.js";
+
+// Known feed failing this many times in a row -> walk the candidate list again.
+const REDISCOVER_AFTER_FAILURES = envInt("REDISCOVER_AFTER_FAILURES", 3);
+// Sources with no feed are only re-probed this often.
+const DISCOVERY_RETRY_HOURS = envInt("DISCOVERY_RETRY_HOURS", 24);
+// A source failing this many times in a row is turned off until an editor re-enables it.
+const DISABLE_AFTER_FAILURES = envInt("SOURCE_DISABLE_AFTER_FAILURES", 10);
+
+const NO_ITEMS = { feedUrl: "", adapter: "", parsed: 0, attempted: 0, inserted: 0 };
+
+function discoveryDue(state) {
+  if (!state.last_discovery_at) return true;
+  return Date.now() - new Date(state.last_discovery_at).getTime() >= DISCOVERY_RETRY_HOURS * 3600_000;
+}
+
+// `newRows` are the rows actually inserted, for webhooks.
+async function insertItems(client, sourceId, items) {
+  let attempted = 0;
+  const newRows = [];
+  for (const it of items) {
+    if (!it.title || !it.link) continue;
+    const row = await insertFeedItem(client, sourceId, it);
+    if (row) newRows.push(row);
+    attempted += 1;
+  }
+  return { attempted, inserted: newRows.length, newRows };
+}
+
+async function tryScraper(scraper, src, timeoutMs) {
+  const url = scraper.listingUrl(src);
+  if (!url) return null;
+  try {
+    const res = await fetchConditional(url, { timeoutMs });
+    const items = scraper.parse(res.body, url, src);
+    if (!items.length) return null;
+    return { feedUrl: url, adapter: scraper.name, xml: res.body, items, status: res.status, etag: res.etag, lastModified: res.lastModified };
+  } catch {
+    return null;
+  }
+}
+
+// An explicit `scraper:` skips feed discovery; a source_type default is only a fallback.
+async function discover(src, timeoutMs) {
+  const scraper = scraperFor(src);
+  if (scraper && src.scraper) return tryScraper(scraper, src, timeoutMs);
+
+  const resolved = await resolveFeedUrl(src, timeoutMs);
+  if (resolved.feedUrl) return { ...resolved, adapter: "" };
+
+  return scraper ? tryScraper(scraper, src, timeoutMs) : null;
+}
+
+/**
+ * Fetch one configured source and write its items.
+ * A feed (or scraped listing page) found before is re-fetched with If-None-Match /
+ * If-Modified-Since; discovery only runs again when there is none or it keeps failing.
+ * Every attempt is recorded in source_fetch_log; errors are rethrown after that.
+ * New items are queued for the matching `webhooks` endpoints (webhooks/webhooks.js).
+ * Returns { status: "ok" | "not_modified" | "unchanged" | "no_feed" | "disabled", feedUrl, adapter,
+ * parsed, attempted, inserted, queued } (plus `reason` for "disabled").
+ */
+export async function ingestSource(client, src, { timeoutMs, webhooks = [] }) {
+  const source = await upsertSource(client, src);
+  if (!source.enabled) return { ...NO_ITEMS, status: "disabled", reason: source.disabled_reason };
+
+  const state = await loadFetchState(client, source.id);
+  const startedAt = new Date();
+  let result = null;
+  let error = null;
+  try {
+    result = await fetchSource(client, src, source.id, state, { timeoutMs });
+  } catch (err) {
+    error = err;
+  }
+
+  // A "no_feed" run that didn't probe anything made no request, so there is nothing to record.
+  if (error || result.status !== "no_feed" || result.probed) {
+    await logFetch(client, source.id, {
+      startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      status: error ? "error" : result.status,
+      httpStatus: state.last_status,
+      error: error?.message,
+      feedUrl: result?.feedUrl || state.feed_url,
+      parsed: result?.parsed,
+      inserted: result?.inserted,
+    });
+  }
+
+  // Only sources expected to have a feed count as failing: one set in sources.yaml, or one that has worked before.
+  const expected = Boolean((src.rss_url || "").trim() || src.scraper || state.last_success_at);
+  if (expected && state.consecutive_failures >= DISABLE_AFTER_FAILURES) {
+    const reason = `${state.consecutive_failures} failed fetches in a row; last: ${error?.message || "no feed found"}`;
+    await disableSource(client, source.id, reason);
+    console.warn(`[health] disabled ${src.state}/${src.county} ${src.source_name}: ${reason}`);
+  }
+
+  if (error) throw error;
+
+  const { newRows = [], ...summary } = result;
+  const queued = await enqueueWebhooks(client, webhooks, src, newRows);
+  return { ...summary, queued };
+}
+
+async function fetchSource(client, src, sourceId, state, { timeoutMs }) {
+
+  // A scraper set in sources.yaml always wins over what we discovered; so does an rss_url that
+  // was added or changed since the state was last reset. An unchanged rss_url that keeps failing
+  // goes through rediscovery like any other feed, and its failures keep counting.
+  const configured = (src.rss_url || "").trim();
+  if (src.scraper && state.feed_url && src.scraper !== state.adapter) {
+    Object.assign(state, { consecutive_failures: REDISCOVER_AFTER_FAILURES, last_discovery_at: null });
+  } else if (!src.scraper && configured !== state.configured_url) {
+    if (configured) {
+      Object.assign(state, {
+        feed_url: configured,
+        adapter: "",
+        etag: "",
+        last_modified: "",
+        last_content_hash: "",
+        consecutive_failures: 0,
+      });
+    }
+    state.configured_url = configured;
+  }
+
+  const adapter = state.adapter ? getScraper(state.adapter) : null;
+  const knownUsable = state.feed_url && (!state.adapter || adapter);
+
+  if (knownUsable && state.consecutive_failures < REDISCOVER_AFTER_FAILURES) {
+    const result = { ...NO_ITEMS, feedUrl: state.feed_url, adapter: state.adapter };
+    try {
+      const res = await fetchConditional(state.feed_url, {
+        timeoutMs,
+        etag: state.etag,
+        lastModified: state.last_modified,
+      });
+
+      state.last_status = res.status;
+      if (res.status === 304) {
+        Object.assign(state, { consecutive_failures: 0, last_success_at: new Date() });
+        await saveFetchState(client, sourceId, state);
+        return { ...result, status: "not_modified" };
+      }
+
+      const contentHash = hashContent(res.body);
+      Object.assign(state, { etag: res.etag, last_modified: res.lastModified });
+
+      if (contentHash === state.last_content_hash) {
+        Object.assign(state, { consecutive_failures: 0, last_success_at: new Date() });
+        await saveFetchState(client, sourceId, state);
+        return { ...result, status: "unchanged" };
+      }
+
+      const items = adapter ? adapter.parse(res.body, state.feed_url, src) : parseRss(res.body);
+      if (items.length === 0) throw new Error(`No items at ${state.feed_url}`);
+
+      const { attempted, inserted, newRows } = await insertItems(client, sourceId, items);
+      Object.assign(state, { last_content_hash: contentHash, consecutive_failures: 0, last_success_at: new Date() });
+      await saveFetchState(client, sourceId, state);
+      return { ...result, status: "ok", parsed: items.length, attempted, inserted, newRows };
+    } catch (err) {
+      state.consecutive_failures += 1;
+      state.last_status = err.status ?? null;
+      await saveFetchState(client, sourceId, state);
+      throw err;
+    }
+  }
+
+  if (!discoveryDue(state)) {
+    return { ...NO_ITEMS, status: "no_feed", probed: false };
+  }
+
+  state.last_discovery_at = new Date();
+  const found = await discover(src, timeoutMs);
+  if (!found) {
+    Object.assign(state, {
+      feed_url: "",
+      adapter: "",
+      etag: "",
+      last_modified: "",
+      last_status: null,
+      consecutive_failures: state.consecutive_failures + 1,
+    });
+    await saveFetchState(client, sourceId, state);
+    return { ...NO_ITEMS, status: "no_feed", probed: true };
+  }
+
+  // Store resolved feed back into DB record (so you can see what was used)
+  if (!found.adapter) await upsertSource(client, { ...src, rss_url: found.feedUrl });
+
+  const { attempted, inserted, newRows } = await insertItems(client, sourceId, found.items);
+  Object.assign(state, {
+    feed_url: found.feedUrl,
+    adapter: found.adapter,
+    etag: found.etag,
+    last_modified: found.lastModified,
+    last_status: found.status,
+    last_content_hash: hashContent(found.xml),
+    consecutive_failures: 0,
+    last_success_at: new Date(),
+  });
+  await saveFetchState(client, sourceId, state);
+
+  return {
+    status: "ok",
+    feedUrl: found.feedUrl,
+    adapter: found.adapter,
+    parsed: found.items.length,
+    attempted,
+    inserted,
+    newRows,
+  };
+}
@@ -0,0 +1,315 @@
+import { countyDisplayName, listRegions } from "../utils/config.js";
+import { envInt, sleep } from "../utils/common.js";
+import { loadEditions, localDate } from "../utils/editions.js";
+import { openSmtp } from "./smtp.js";
+import { signSubscriberToken } from "./tokens.js";
+import { confirmationEmail, digestEmail } from "./templates.js";
+
+const SITE_URL = (process.env.SITE_URL || "https://panhandlepulse.news").replace(/\/+$/, "");
+const MAIL_FROM = process.env.MAIL_FROM || "Panhandle Pulse <news@panhandlepulse.news>";
+
+// A digest covers the stories published and articles seen in the last DIGEST_WINDOW_HOURS.
+const WINDOW_HOURS = envInt("DIGEST_WINDOW_HOURS", 24);
+const MAX_STORIES = envInt("DIGEST_MAX_STORIES", 8);
+const TOP_ARTICLES = envInt("DIGEST_TOP_ARTICLES", 5);
+const PAUSE_MS = envInt("MAIL_PAUSE_MS", 200);
+// Sends that fail this often (per confirmation request, or per digest day) are not retried again.
+const MAX_ATTEMPTS = 3;
+// A second sign-up soon after the first doesn't mail the same address again right away.
+const CONFIRM_RESEND_MINUTES = 10;
+
+// Opens the SMTP connection on the first message and reconnects after a failed one.
+function lazyTransport() {
+  let smtp = null;
+  return {
+    async send(message) {
+      smtp ||= await openSmtp();
+      try {
+        return await smtp.send(message);
+      } catch (err) {
+        await smtp.close().catch(() => {});
+        smtp = null;
+        throw err;
+      }
+    },
+    async close() {
+      if (smtp) await smtp.close();
+      smtp = null;
+    },
+  };
+}
+
+function countyRef(key) {
+  const [state, county] = key.split("/");
+  return { state, county, countyName: countyDisplayName(county) };
+}
+
+async function logSend(client, row) {
+  await client.query(
+    `
+    INSERT INTO email_send_log (subscriber_id, kind, digest_date, subject, status, error, message_id, story_ids, article_count)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8::uuid[], $9)
+    ON CONFLICT DO NOTHING
+    `,
+    [
+      row.subscriberId,
+      row.kind,
+      row.digestDate ?? null,
+      row.subject ?? "",
+      row.status,
+      row.error ?? "",
+      row.messageId ?? "",
+      row.storyIds ?? [],
+      row.articleCount ?? 0,
+    ]
+  );
+}
+
+/**
+ * Mails a confirmation link to every subscriber who signed up (or added counties) on the web
+ * app since their last one. Returns { sent, failed }.
+ */
+export async function sendPendingConfirmations(client, { transport = lazyTransport() } = {}) {
+  const res = await client.query(
+    `
+    SELECT s.id, s.email,
+           array_agg(sub.state || '/' || sub.county ORDER BY sub.state, sub.county) AS counties
+    FROM subscribers s
+    JOIN subscriptions sub ON sub.subscriber_id = s.id AND sub.status = 'pending'
+    WHERE s.status <> 'unsubscribed'
+      AND s.confirm_requested_at IS NOT NULL
+      AND (s.confirm_sent_at IS NULL
+           OR (s.confirm_sent_at < s.confirm_requested_at
+               AND s.confirm_sent_at < NOW() - make_interval(mins => $1)))
+      AND (
+        SELECT COUNT(*) FROM email_send_log l
+        WHERE l.subscriber_id = s.id AND l.kind = 'confirm' AND l.status = 'failed'
+          AND l.sent_at >= s.confirm_requested_at
+      ) < $2
+    GROUP BY s.id
+    ORDER BY MIN(s.confirm_requested_at)
+    LIMIT 200
+    `,
+    [CONFIRM_RESEND_MINUTES, MAX_ATTEMPTS]
+  );
+
+  const stats = { sent: 0, failed: 0 };
+  try {
+    for (const sub of res.rows) {
+      const confirmUrl = `${SITE_URL}/subscribe/confirm?token=${signSubscriberToken("confirm", sub)}`;
+      const email = confirmationEmail({ counties: sub.counties.map(countyRef), confirmUrl, siteUrl: SITE_URL });
+      try {
+        const messageId = await transport.send({ from: MAIL_FROM, to: sub.email, ...email });
+        await client.query(`UPDATE subscribers SET confirm_sent_at = NOW(), updated_at = NOW() WHERE id = $1`, [sub.id]);
+        await logSend(client, { subscriberId: sub.id, kind: "confirm", subject: email.subject, status: "sent", messageId });
+        stats.sent++;
+      } catch (err) {
+        console.error(`[mail] confirmation to subscriber ${sub.id} failed: ${err.message}`);
+        await logSend(client, { subscriberId: sub.id, kind: "confirm", subject: email.subject, status: "failed", error: err.message });
+        stats.failed++;
+      }
+      if (PAUSE_MS) await sleep(PAUSE_MS);
+    }
+  } finally {
+    await transport.close();
+  }
+  return stats;
+}
+
+async function loadCountyStories(client, { state, county }, since) {
+  const res = await client.query(
+    `
+    SELECT id, story_type, title, dek
+    FROM stories
+    WHERE status = 'published' AND state = $1 AND county = $2 AND created_at >= $3
+    ORDER BY created_at DESC
+    LIMIT $4
+    `,
+    [state, county, since, MAX_STORIES]
+  );
+  return res.rows;
+}
+
+async function loadRegionStories(client, region, since) {
+  const res = await client.query(
+    `
+    SELECT id, story_type, title, dek
+    FROM stories
+    WHERE status = 'published' AND region = $1 AND created_at >= $2
+    ORDER BY created_at DESC
+    LIMIT $3
+    `,
+    [region.name, since, MAX_STORIES]
+  );
+  return res.rows;
+}
+
+// The county's most-covered articles: one per story cluster, bigger clusters and higher tiers first.
+async function loadTopArticles(client, { state, countyName }, since) {
+  const res = await client.query(
+    `
+    WITH recent AS (
+      SELECT a.*, COALESCE('c:' || a.cluster_id, 'u:' || a.url) AS story_key
+      FROM articles a
+      WHERE a.state = $1 AND a.county = $2 AND a.sort_at >= $3
+    ),
+    representatives AS (
+      SELECT DISTINCT ON (story_key)
+        *,
+        COUNT(*) OVER (PARTITION BY story_key) AS cluster_size
+      FROM recent
+      ORDER BY story_key, (item_kind <> 'rss'), sort_at DESC
+    )
+    SELECT title, url, source_name
+    FROM representatives
+    ORDER BY cluster_size DESC, CASE tier WHEN '1A' THEN 0 WHEN '1B' THEN 1 ELSE 2 END, sort_at DESC
+    LIMIT $4
+    `,
+    [state, countyName, since, TOP_ARTICLES]
+  );
+  return res.rows;
+}
+
+function withStoryUrls(stories) {
+  return stories.map((s) => ({ ...s, url: `${SITE_URL}/stories/${s.id}` }));
+}
+
+/**
+ * Sends today's digest (the local date in the editions timezone) to every confirmed subscriber
+ * who hasn't had one yet: per subscribed county its published stories and top articles, plus
+ * the regional roundups of regions those counties are in. Digests with nothing in them are
+ * logged as skipped. `dryRun` prints them instead. Returns { sent, skipped, failed }.
+ */
+export async function sendDailyDigests(client, config, { now = new Date(), dryRun = false, transport = lazyTransport() } = {}) {
+  const editions = loadEditions(config);
+  const digestDate = localDate(now, editions);
+  const dateLabel = new Intl.DateTimeFormat("en-US", {
+    timeZone: editions.timezone,
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  }).format(now);
+  const since = new Date(now.getTime() - WINDOW_HOURS * 3600_000);
+  const regions = listRegions(config);
+
+  const res = await client.query(
+    `
+    SELECT s.id, s.email,
+           array_agg(sub.state || '/' || sub.county ORDER BY sub.state, sub.county) AS counties
+    FROM subscribers s
+    JOIN subscriptions sub ON sub.subscriber_id = s.id AND sub.status = 'active'
+    WHERE s.status = 'confirmed'
+      AND NOT EXISTS (
+        SELECT 1 FROM email_send_log l
+        WHERE l.subscriber_id = s.id AND l.kind = 'digest' AND l.digest_date = $1 AND l.status IN ('sent', 'skipped')
+      )
+      AND (
+        SELECT COUNT(*) FROM email_send_log l
+        WHERE l.subscriber_id = s.id AND l.kind = 'digest' AND l.digest_date = $1 AND l.status = 'failed'
+      ) < $2
+    GROUP BY s.id
+    ORDER BY s.id
+    `,
+    [digestDate, MAX_ATTEMPTS]
+  );
+
+  // Each county's and region's section is built once, however many subscribers share it.
+  const sections = new Map();
+  const sectionFor = async (key, build) => {
+    if (!sections.has(key)) sections.set(key, await build());
+    return sections.get(key);
+  };
+
+  const stats = { sent: 0, skipped: 0, failed: 0 };
+  try {
+    for (const sub of res.rows) {
+      const counties = sub.counties.map(countyRef);
+      const list = [];
+      for (const c of counties) {
+        list.push(
+          await sectionFor(`${c.state}/${c.county}`, async () => ({
+            title: `${c.countyName} County, ${c.state}`,
+            stories: withStoryUrls(await loadCountyStories(client, c, since)),
+            articles: await loadTopArticles(client, c, since),
+          }))
+        );
+      }
+      for (const region of regions) {
+        if (!region.counties.some((rc) => counties.some((c) => c.state === rc.state && c.county === rc.county))) continue;
+        list.push(
+          await sectionFor(`region:${region.key}`, async () => ({
+            title: region.name,
+            regional: true,
+            stories: withStoryUrls(await loadRegionStories(client, region, since)),
+            articles: [],
+          }))
+        );
+      }
+
+      const filled = list.filter((s) => s.stories.length || s.articles.length);
+      if (!filled.length) {
+        if (!dryRun) await logSend(client, { subscriberId: sub.id, kind: "digest", digestDate, status: "skipped" });
+        stats.skipped++;
+        continue;
+      }
+
+      const unsubscribeToken = signSubscriberToken("unsubscribe", sub);
+      const email = digestEmail({
+        dateLabel,
+        sections: filled,
+        unsubscribeUrl: `${SITE_URL}/unsubscribe?token=${unsubscribeToken}`,
+        manageUrl: `${SITE_URL}/subscribe`,
+        siteUrl: SITE_URL,
+      });
+      const storyIds = [...new Set(filled.flatMap((s) => s.stories.map((st) => st.id)))];
+      const articleCount = filled.reduce((n, s) => n + s.articles.length, 0);
+
+      if (dryRun) {
+        console.log(`--- To: ${sub.email}\nSubject: ${email.subject}\n\n${email.text}\n`);
+        stats.sent++;
+        continue;
+      }
+
+      try {
+        const messageId = await transport.send({
+          from: MAIL_FROM,
+          to: sub.email,
+          ...email,
+          // One-click unsubscribe (RFC 8058): mail clients POST to this URL.
+          headers: {
+            "List-Unsubscribe": `<${SITE_URL}/unsubscribe/action?token=${unsubscribeToken}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+          },
+        });
+        await logSend(client, {
+          subscriberId: sub.id,
+          kind: "digest",
+          digestDate,
+          subject: email.subject,
+          status: "sent",
+          messageId,
+          storyIds,
+          articleCount,
+        });
+        stats.sent++;
+      } catch (err) {
+        console.error(`[mail] digest to subscriber ${sub.id} failed: ${err.message}`);
+        await logSend(client, {
+          subscriberId: sub.id,
+          kind: "digest",
+          digestDate,
+          subject: email.subject,
+          status: "failed",
+          error: err.message,
+          storyIds,
+          articleCount,
+        });
+        stats.failed++;
+      }
+      if (PAUSE_MS) await sleep(PAUSE_MS);
+    }
+  } finally {
+    await transport.close();
+  }
+  return stats;
+}
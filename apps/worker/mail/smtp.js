@@ -0,0 +1,218 @@
+// Minimal SMTP client for the digest sender: EHLO, STARTTLS when offered, AUTH PLAIN/LOGIN,
+// then MAIL/RCPT/DATA per message over one connection. Enough for a relay (SES, Postmark,
+// Mailgun) or a local sink such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025).
+import crypto from "node:crypto";
+import net from "node:net";
+import os from "node:os";
+import tls from "node:tls";
+
+export function smtpConfigFromEnv() {
+  const secure = process.env.SMTP_SECURE === "1";
+  return {
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT || (secure ? 465 : 587)),
+    secure,
+    // STARTTLS is used whenever the server offers it; SMTP_STARTTLS=0 turns that off (plain sinks).
+    startTls: process.env.SMTP_STARTTLS !== "0",
+    user: process.env.SMTP_USER || "",
+    pass: process.env.SMTP_PASS || "",
+    timeoutMs: Number(process.env.SMTP_TIMEOUT_MS || 30000),
+  };
+}
+
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Reads one (possibly multi-line) reply at a time: "250-first\r\n250 last\r\n".
+function replyReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const queue = [];
+  const waiting = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map((l) => l.slice(4)) };
+        lines = [];
+        if (waiting.length) waiting.shift().resolve(reply);
+        else queue.push(reply);
+      }
+    }
+  };
+  const onFailure = (err) => {
+    failure = err;
+    while (waiting.length) waiting.shift().reject(err);
+  };
+
+  return {
+    attach(s) {
+      s.on("data", onData);
+      s.on("error", onFailure);
+      s.on("close", () => onFailure(new SmtpError("connection closed")));
+    },
+    detach(s) {
+      s.removeListener("data", onData);
+      s.removeAllListeners("error");
+      s.removeAllListeners("close");
+    },
+    next() {
+      if (queue.length) return Promise.resolve(queue.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+  };
+}
+
+function encodeHeader(value) {
+  const s = String(value);
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+}
+
+// "Name <a@b>" with the name encoded when it isn't plain ASCII.
+function encodeAddress(value) {
+  const m = /^(.*)<([^>]+)>\s*$/.exec(String(value));
+  if (!m) return String(value).trim();
+  const name = m[1].trim().replace(/^"|"$/g, "");
+  return name ? `${/^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/"/g, "")}"` : encodeHeader(name)} <${m[2]}>` : `<${m[2]}>`;
+}
+
+function bareAddress(value) {
+  const m = /<([^>]+)>/.exec(String(value));
+  return (m ? m[1] : String(value)).trim();
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+}
+
+/**
+ * A multipart/alternative (text + HTML) message as CRLF text, plus its Message-ID.
+ */
+export function buildMessage({ from, to, subject, text, html, headers = {} }) {
+  const domain = bareAddress(from).split("@")[1] || "localhost";
+  const messageId = `<${crypto.randomUUID()}@${domain}>`;
+  const boundary = `pp-${crypto.randomBytes(12).toString("hex")}`;
+
+  const head = {
+    From: encodeAddress(from),
+    To: encodeAddress(to),
+    Subject: encodeHeader(subject),
+    Date: new Date().toUTCString().replace("GMT", "+0000"),
+    "Message-ID": messageId,
+    "MIME-Version": "1.0",
+    ...headers,
+    "Content-Type": `multipart/alternative; boundary="${boundary}"`,
+  };
+
+  const body = [
+    ...Object.entries(head).map(([k, v]) => `${k}: ${v}`),
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+
+  return { messageId, data: body };
+}
+
+/**
+ * Opens a connection and logs in. Returns { send(message), close() }; send resolves to the
+ * Message-ID and rejects with the server's reply when it refuses the message.
+ */
+export async function openSmtp(config = smtpConfigFromEnv()) {
+  let socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+  socket.setTimeout(config.timeoutMs, () => socket.destroy(new SmtpError(`SMTP timeout after ${config.timeoutMs}ms`)));
+
+  let reader = replyReader(socket);
+  reader.attach(socket);
+
+  const expect = async (ok, what) => {
+    const reply = await reader.next();
+    if (!ok.includes(reply.code)) throw new SmtpError(`${what}: ${reply.code} ${reply.lines.join(" ")}`, reply.code);
+    return reply;
+  };
+  const command = (line, ok, what = line.split(" ")[0]) => {
+    socket.write(`${line}\r\n`);
+    return expect(ok, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    let ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250]);
+
+    if (!config.secure && config.startTls && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220]);
+      reader.detach(socket);
+      socket = tls.connect({ socket, servername: config.host });
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      reader = replyReader(socket);
+      reader.attach(socket);
+      ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250]);
+    }
+
+    if (config.user) {
+      const auth = ehlo.lines.find((l) => /^AUTH\b/i.test(l)) || "";
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${config.user}\0${config.pass}`).toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+      } else {
+        await command("AUTH LOGIN", [334], "AUTH");
+        await command(Buffer.from(config.user).toString("base64"), [334], "AUTH user");
+        await command(Buffer.from(config.pass).toString("base64"), [235], "AUTH password");
+      }
+    }
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+
+  return {
+    async send(message) {
+      const { messageId, data } = buildMessage(message);
+      try {
+        await command(`MAIL FROM:<${bareAddress(message.from)}>`, [250], "MAIL FROM");
+        await command(`RCPT TO:<${bareAddress(message.to)}>`, [250, 251], "RCPT TO");
+        await command("DATA", [354]);
+        // Dot-stuffing: a line starting with "." gets another one.
+        socket.write(`${data.replace(/^\./gm, "..")}\r\n.\r\n`);
+        await expect([250], "message");
+      } catch (err) {
+        // Leave the connection ready for the next message; a dead one fails that send too.
+        if (!socket.destroyed) await command("RSET", [250]).catch(() => {});
+        throw err;
+      }
+      return messageId;
+    },
+    async close() {
+      if (!socket.destroyed) {
+        await command("QUIT", [221]).catch(() => {});
+        socket.end();
+      }
+    },
+  };
+}
@@ -0,0 +1,154 @@
+// The confirmation and daily digest emails, each as { subject, text, html }.
+// The HTML uses inline styles and tables only, which is what mail clients render reliably.
+
+const SITE_NAME = "Panhandle Pulse";
+
+const STORY_LABELS = {
+  breaking: "Breaking",
+  brief: "Brief",
+  roundup: "Roundup",
+  regional: "Regional roundup",
+  digest: "Week in review",
+};
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function countyLabel(c) {
+  return `${c.countyName} County, ${c.state}`;
+}
+
+function layout({ preheader, body, footer }) {
+  return `<!doctype html>
+<html>
+<body style="margin:0;padding:0;background:#f4f4f5;">
+<span style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</span>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f5;">
+<tr><td align="center" style="padding:24px 12px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#18181b;">
+<tr><td style="padding:20px 24px;border-bottom:1px solid #e4e4e7;font-size:20px;font-weight:700;">${SITE_NAME}</td></tr>
+<tr><td style="padding:8px 24px 24px;font-size:15px;line-height:1.5;">${body}</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #e4e4e7;font-size:12px;color:#71717a;">${footer}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * The double opt-in email: `counties` are the pending subscriptions it confirms.
+ */
+export function confirmationEmail({ counties, confirmUrl, siteUrl }) {
+  const names = counties.map(countyLabel);
+  const subject = `Confirm your ${SITE_NAME} daily email`;
+
+  const text = [
+    `Someone (hopefully you) asked for the ${SITE_NAME} morning email for:`,
+    "",
+    ...names.map((n) => `  - ${n}`),
+    "",
+    "Confirm your subscription here (the link works for 7 days):",
+    confirmUrl,
+    "",
+    "If you didn't ask for this, ignore this email and you won't hear from us again.",
+    "",
+    `${SITE_NAME} — ${siteUrl}`,
+  ].join("\n");
+
+  const html = layout({
+    preheader: `Confirm your subscription for ${names.join(", ")}`,
+    body: `
+<p>Someone (hopefully you) asked for the ${SITE_NAME} morning email for:</p>
+<ul>${names.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>
+<p style="margin:24px 0;"><a href="${escapeHtml(confirmUrl)}" style="background:#18181b;color:#ffffff;padding:10px 18px;border-radius:6px;text-decoration:none;font-weight:600;">Confirm subscription</a></p>
+<p style="font-size:13px;color:#71717a;">The link works for 7 days. If you didn't ask for this, ignore this email and you won't hear from us again.</p>`,
+    footer: `<a href="${escapeHtml(siteUrl)}" style="color:#71717a;">${escapeHtml(siteUrl.replace(/^https?:\/\//, ""))}</a>`,
+  });
+
+  return { subject, text, html };
+}
+
+function storyText(s) {
+  return [`* ${s.title} [${STORY_LABELS[s.story_type] || s.story_type}]`, s.dek ? `  ${s.dek}` : "", `  ${s.url}`]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function articleText(a) {
+  return `* ${a.title} — ${a.source_name}\n  ${a.url}`;
+}
+
+function storyHtml(s) {
+  return `<tr><td style="padding:8px 0;">
+<div style="font-size:11px;text-transform:uppercase;letter-spacing:.04em;color:#71717a;">${escapeHtml(STORY_LABELS[s.story_type] || s.story_type)}</div>
+<a href="${escapeHtml(s.url)}" style="font-size:16px;font-weight:600;color:#1d4ed8;text-decoration:none;">${escapeHtml(s.title)}</a>
+${s.dek ? `<div style="color:#3f3f46;">${escapeHtml(s.dek)}</div>` : ""}
+</td></tr>`;
+}
+
+function articleHtml(a) {
+  return `<tr><td style="padding:6px 0;">
+<a href="${escapeHtml(a.url)}" style="color:#1d4ed8;text-decoration:none;">${escapeHtml(a.title)}</a>
+<span style="color:#71717a;font-size:13px;"> — ${escapeHtml(a.source_name)}</span>
+</td></tr>`;
+}
+
+function sectionHtml(title, rows) {
+  return `<h2 style="font-size:17px;margin:24px 0 4px;">${escapeHtml(title)}</h2>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${rows.join("")}</table>`;
+}
+
+/**
+ * One subscriber's digest. `sections` are [{ title, stories, articles }] (a county, or a region
+ * covering subscribed counties); stories and articles carry absolute `url`s.
+ */
+export function digestEmail({ dateLabel, sections, unsubscribeUrl, manageUrl, siteUrl }) {
+  const places = sections.filter((s) => !s.regional).map((s) => s.title.replace(/ County, ..$/, ""));
+  const subject = `${SITE_NAME}: ${places.length > 2 ? `${places.length} counties` : places.join(" & ")} — ${dateLabel}`;
+  const storyCount = sections.reduce((n, s) => n + s.stories.length, 0);
+
+  const text = [
+    `${SITE_NAME} — ${dateLabel}`,
+    "",
+    ...sections.flatMap((s) => [
+      s.title.toUpperCase(),
+      "",
+      ...(s.stories.length ? [...s.stories.map(storyText), ""] : []),
+      ...(s.articles.length ? ["Top articles:", ...s.articles.map(articleText), ""] : []),
+    ]),
+    "--",
+    `You get this email because you subscribed at ${siteUrl}.`,
+    `Change your counties: ${manageUrl}`,
+    `Unsubscribe: ${unsubscribeUrl}`,
+  ].join("\n");
+
+  const html = layout({
+    preheader: `${storyCount} ${storyCount === 1 ? "story" : "stories"} for ${places.join(", ")}`,
+    body: `
+<p style="color:#71717a;margin:12px 0 0;">${escapeHtml(dateLabel)}</p>
+${sections
+  .map((s) =>
+    [
+      sectionHtml(s.title, s.stories.map(storyHtml)),
+      s.articles.length
+        ? `<div style="font-size:13px;font-weight:600;color:#52525b;margin-top:10px;">Top articles</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">${s.articles.map(articleHtml).join("")}</table>`
+        : "",
+    ].join("\n")
+  )
+  .join("\n")}`,
+    footer: `You get this email because you subscribed at <a href="${escapeHtml(siteUrl)}" style="color:#71717a;">${escapeHtml(
+      siteUrl.replace(/^https?:\/\//, "")
+    )}</a>.<br/><a href="${escapeHtml(manageUrl)}" style="color:#71717a;">Change your counties</a> · <a href="${escapeHtml(
+      unsubscribeUrl
+    )}" style="color:#71717a;">Unsubscribe</a>`,
+  });
+
+  return { subject, text, html };
+}
@@ -0,0 +1,21 @@
+// Signed links for email subscribers: "<subscriber id>.<issued, unix seconds>.<HMAC>".
+// The HMAC (SHA-256, EMAIL_TOKEN_SECRET) covers the action, id, issue time and address, so a
+// token only works for the link it was made for and stops working if the address changes.
+// The web app checks them with the same secret (apps/web/lib/subscriptions.ts).
+import crypto from "node:crypto";
+
+function secret() {
+  const s = process.env.EMAIL_TOKEN_SECRET;
+  if (!s) throw new Error("EMAIL_TOKEN_SECRET is missing (shared with the web service to sign subscriber links)");
+  return s;
+}
+
+/**
+ * `action` is "confirm" or "unsubscribe".
+ */
+export function signSubscriberToken(action, subscriber, now = new Date()) {
+  const issued = Math.floor(now.getTime() / 1000);
+  const payload = `${action}:${subscriber.id}:${issued}:${String(subscriber.email).toLowerCase()}`;
+  const sig = crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+  return `${subscriber.id}.${issued}.${sig}`;
+}
@@ -0,0 +1,35 @@
+// apps/worker/migrate.js
+// Usage: node migrate.js up | status
+import { getDbClient } from "./utils/db.js";
+import { migrateUp, migrationStatus } from "./db/migrator.js";
+
+async function main() {
+  const command = process.argv[2] || "status";
+  if (!["up", "status"].includes(command)) {
+    throw new Error(`Unknown command "${command}". Usage: node migrate.js up | status`);
+  }
+
+  const client = await getDbClient();
+  try {
+    if (command === "up") {
+      const applied = await migrateUp(client);
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : "Database is up to date.");
+      return;
+    }
+
+    const rows = await migrationStatus(client);
+    for (const r of rows) {
+      const when = r.applied_at ? new Date(r.applied_at).toISOString() : "";
+      console.log(`${r.state.padEnd(8)} ${r.version}_${r.name} ${when}`.trimEnd());
+    }
+    const pending = rows.filter((r) => r.state === "pending").length;
+    console.log(`\n${rows.length} migration(s), ${pending} pending.`);
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal migrate error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// URL canonicalization so the same article from a feed, a syndicated copy and a GDELT hit
+// (with tracking params, AMP or mobile hosts) compares equal.
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "mc_cid",
+  "mc_eid",
+  "ocid",
+  "cmpid",
+  "taid",
+  "ref_src",
+  "ito",
+  "amp",
+  "outputtype",
+  "__twitter_impression",
+]);
+
+const MOBILE_HOST_PREFIXES = /^(www|m|mobile|amp)\./;
+
+export function canonicalUrl(raw) {
+  let u;
+  try {
+    u = new URL(String(raw || "").trim());
+  } catch {
+    return String(raw || "").trim();
+  }
+
+  u.protocol = "https:";
+  u.hash = "";
+  u.port = "";
+
+  let host = u.hostname.toLowerCase();
+  while (MOBILE_HOST_PREFIXES.test(host)) host = host.replace(MOBILE_HOST_PREFIXES, "");
+  // Google AMP cache: example-com.cdn.ampproject.org/c/s/example.com/path
+  const ampCache = u.pathname.match(/^\/[cv]\/(?:s\/)?([^/]+)(\/.*)?$/);
+  if (host.endsWith(".cdn.ampproject.org") && ampCache) {
+    host = ampCache[1].toLowerCase().replace(MOBILE_HOST_PREFIXES, "");
+    u.pathname = ampCache[2] || "/";
+  }
+  u.hostname = host;
+
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => {
+      const key = k.toLowerCase();
+      return !key.startsWith("utm_") && !TRACKING_PARAMS.has(key);
+    })
+    .sort(([a], [b]) => a.localeCompare(b));
+  u.search = new URLSearchParams(params).toString();
+
+  u.pathname = u.pathname
+    .replace(/\/amp\/?$/i, "/")
+    .replace(/\.amp(\.html?)?$/i, "$1")
+    .replace(/\/+$/, "") || "/";
+
+  return u.toString();
+}
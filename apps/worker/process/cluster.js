@@ -0,0 +1,151 @@
+import { canonicalUrl } from "./canonicalize.js";
+import { textTokens, jaccard } from "./similarity.js";
+import { envInt } from "../utils/common.js";
+
+// Items older than this are neither clustered nor used as match candidates.
+const LOOKBACK_HOURS = envInt("CLUSTER_LOOKBACK_HOURS", 72);
+
+const TITLE_MATCH = 0.6;
+// A weaker headline match counts when the summaries agree too.
+const TITLE_WITH_SUMMARY_MATCH = 0.4;
+const SUMMARY_MATCH = 0.5;
+
+// Both ingest tables in one shape. `source_key` identifies the publisher (feed source or GDELT domain).
+const FEED_ITEMS_SQL = `
+  SELECT 'feed_item' AS item_kind, fi.id AS item_id, fi.title, fi.link AS url, fi.summary,
+         COALESCE(fi.published_at, fi.created_at) AS seen_at, s.state, s.county,
+         'source:' || s.id AS source_key, cm.cluster_id
+  FROM feed_items fi
+  JOIN sources s ON s.id = fi.source_id
+  LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+  WHERE COALESCE(fi.published_at, fi.created_at) >= $1
+`;
+
+const SEARCH_ARTICLES_SQL = `
+  SELECT 'search_article', psa.id, psa.title, psa.url, COALESCE(psa.summary, ''),
+         COALESCE(psa.published_at, psa.fetched_at), psa.state, psa.county,
+         'domain:' || COALESCE(psa.domain, ''), cm.cluster_id
+  FROM panhandle_search_articles psa
+  LEFT JOIN cluster_members cm ON cm.item_kind = 'search_article' AND cm.item_id = psa.id
+  WHERE COALESCE(psa.published_at, psa.fetched_at) >= $1 AND psa.title IS NOT NULL
+`;
+
+function isMatch(item, member) {
+  if (item.canonical === member.canonical) return 1;
+  const t = jaccard(item.titleTokens, member.titleTokens);
+  if (t >= TITLE_MATCH) return t;
+  if (t >= TITLE_WITH_SUMMARY_MATCH && jaccard(item.summaryTokens, member.summaryTokens) >= SUMMARY_MATCH) return t;
+  return 0;
+}
+
+function prepare(row) {
+  return {
+    ...row,
+    item_id: Number(row.item_id),
+    cluster_id: row.cluster_id == null ? null : Number(row.cluster_id),
+    canonical: canonicalUrl(row.url),
+    titleTokens: textTokens(row.title),
+    summaryTokens: textTokens(String(row.summary || "").slice(0, 400)),
+  };
+}
+
+/**
+ * Put every recent, not-yet-clustered item from `feed_items` and `panhandle_search_articles`
+ * into a story cluster: the cluster of an item with the same canonical URL or a near-duplicate
+ * headline (same state, within the lookback), otherwise a new one.
+ * Holds a transaction-level advisory lock so concurrent runs don't create twin clusters.
+ */
+export async function clusterRecentItems(client, { lookbackHours = LOOKBACK_HOURS } = {}) {
+  const since = new Date(Date.now() - lookbackHours * 3600_000);
+
+  await client.query("BEGIN");
+  try {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('story_clusters'))");
+
+    const res = await client.query(`SELECT * FROM (${FEED_ITEMS_SQL} UNION ALL ${SEARCH_ARTICLES_SQL}) items ORDER BY seen_at ASC`, [since]);
+    const items = res.rows.map(prepare);
+
+    // cluster_id -> { id, state, members[], sourceKeys }
+    const clusters = new Map();
+    for (const it of items) {
+      if (it.cluster_id == null) continue;
+      if (!clusters.has(it.cluster_id)) {
+        clusters.set(it.cluster_id, { id: it.cluster_id, state: it.state, members: [], sourceKeys: new Set() });
+      }
+      const c = clusters.get(it.cluster_id);
+      c.members.push(it);
+      c.sourceKeys.add(it.source_key);
+    }
+
+    let joined = 0;
+    let created = 0;
+    const touched = new Set();
+
+    for (const it of items) {
+      if (it.cluster_id != null) continue;
+
+      let best = null;
+      let bestScore = 0;
+      for (const c of clusters.values()) {
+        if (c.state !== it.state) continue;
+        for (const m of c.members) {
+          const score = isMatch(it, m);
+          if (score > bestScore) {
+            best = c;
+            bestScore = score;
+          }
+        }
+      }
+
+      if (!best) {
+        const ins = await client.query(
+          `
+          INSERT INTO story_clusters (state, county, title, canonical_url, first_seen_at, last_seen_at)
+          VALUES ($1, $2, $3, $4, $5, $5)
+          RETURNING id
+          `,
+          [it.state, it.county, it.title, it.canonical, it.seen_at]
+        );
+        best = { id: Number(ins.rows[0].id), state: it.state, members: [], sourceKeys: new Set() };
+        clusters.set(best.id, best);
+        bestScore = 1;
+        created++;
+      } else {
+        joined++;
+      }
+
+      await client.query(
+        `
+        INSERT INTO cluster_members (cluster_id, item_kind, item_id, canonical_url, similarity)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (item_kind, item_id) DO NOTHING
+        `,
+        [best.id, it.item_kind, it.item_id, it.canonical, bestScore]
+      );
+
+      it.cluster_id = best.id;
+      best.members.push(it);
+      best.sourceKeys.add(it.source_key);
+      touched.add(best);
+    }
+
+    for (const c of touched) {
+      await client.query(
+        `
+        UPDATE story_clusters
+        SET item_count = (SELECT COUNT(*) FROM cluster_members WHERE cluster_id = $1),
+            source_count = GREATEST(source_count, $2),
+            last_seen_at = GREATEST(last_seen_at, $3)
+        WHERE id = $1
+        `,
+        [c.id, c.sourceKeys.size, c.members[c.members.length - 1].seen_at]
+      );
+    }
+
+    await client.query("COMMIT");
+    return { joined, created };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
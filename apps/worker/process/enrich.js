@@ -0,0 +1,112 @@
+import { fetchText, toTimestamp } from "../ingest/feeds.js";
+import { absoluteUrl, findTags, stripTags } from "../utils/html.js";
+import { envInt, sleep } from "../utils/common.js";
+
+// Items older than this are not enriched (the first run doesn't walk the whole archive).
+const LOOKBACK_HOURS = envInt("ENRICH_LOOKBACK_HOURS", 48);
+const BATCH_SIZE = envInt("ENRICH_BATCH_SIZE", 50);
+const PAUSE_MS = envInt("ENRICH_PAUSE_MS", 250);
+
+// Links to documents and media have no page to read; their summaries are still cleaned.
+const NOT_A_PAGE = /\.(pdf|docx?|xlsx?|pptx?|zip|jpe?g|png|gif|webp|mp3|mp4|mov)(?:[?#]|$)/i;
+
+function httpUrl(href, pageUrl) {
+  const url = absoluteUrl(href, pageUrl);
+  return /^https?:\/\//i.test(url) ? url : "";
+}
+
+/**
+ * What an article page says about itself in its <head>:
+ * { imageUrl, description, author, canonicalUrl, publishedAt } ("" / null when absent).
+ * Open Graph first, then Twitter cards and plain meta tags; URLs are resolved against pageUrl.
+ */
+export function extractPageMeta(html, pageUrl) {
+  const text = String(html || "");
+  const headEnd = text.search(/<\/head>/i);
+  const head = headEnd >= 0 ? text.slice(0, headEnd) : text.slice(0, 100_000);
+
+  const meta = new Map();
+  for (const attrs of findTags(head, "meta")) {
+    const key = (attrs.property || attrs.name || attrs.itemprop || "").toLowerCase();
+    if (key && attrs.content && !meta.has(key)) meta.set(key, attrs.content.trim());
+  }
+  const first = (...keys) => keys.map((k) => meta.get(k)).find(Boolean) || "";
+
+  const canonical = findTags(head, "link").find((a) => (a.rel || "").toLowerCase().split(/\s+/).includes("canonical"));
+  // article:author is often a profile URL rather than a name.
+  const author = [first("author"), first("article:author"), first("parsely-author")].find(
+    (a) => a && !/^https?:\/\//i.test(a)
+  );
+
+  return {
+    imageUrl: httpUrl(first("og:image:secure_url", "og:image", "og:image:url", "twitter:image", "twitter:image:src"), pageUrl),
+    description: stripTags(first("og:description", "description", "twitter:description")),
+    author: author ? stripTags(author) : "",
+    canonicalUrl: httpUrl(canonical?.href || first("og:url"), pageUrl),
+    publishedAt: toTimestamp(first("article:published_time", "og:published_time", "datepublished", "date")),
+  };
+}
+
+/**
+ * Fetch the page of every recent feed item not enriched yet and keep what its meta tags add:
+ * an image and author when the feed had none, the canonical URL, a publish time when the feed
+ * had none, and og:description when the feed summary is empty. Summaries are cleaned of HTML
+ * either way. Items whose page can't be fetched are marked with enrich_error and not retried.
+ * Returns { enriched, images, failed }.
+ */
+export async function enrichRecentItems(client, { timeoutMs = 15000, lookbackHours = LOOKBACK_HOURS } = {}) {
+  const since = new Date(Date.now() - lookbackHours * 3600_000);
+  const res = await client.query(
+    `
+    SELECT id, link, summary, image_url
+    FROM feed_items
+    WHERE enriched_at IS NULL AND created_at >= $1
+    ORDER BY created_at DESC
+    LIMIT $2
+    `,
+    [since, BATCH_SIZE]
+  );
+
+  const stats = { enriched: 0, images: 0, failed: 0 };
+  for (const [i, row] of res.rows.entries()) {
+    let page = { imageUrl: "", description: "", author: "", canonicalUrl: "", publishedAt: null };
+    let error = "";
+    if (!NOT_A_PAGE.test(row.link)) {
+      if (i > 0) await sleep(PAUSE_MS);
+      try {
+        page = extractPageMeta(await fetchText(row.link, timeoutMs), row.link);
+      } catch (err) {
+        error = err.message;
+      }
+    }
+
+    await client.query(
+      `
+      UPDATE feed_items
+      SET summary = $2,
+          image_url = COALESCE(image_url, $3),
+          author = CASE WHEN author = '' THEN $4 ELSE author END,
+          canonical_url = $5,
+          published_at = COALESCE(published_at, $6),
+          enriched_at = NOW(),
+          enrich_error = $7
+      WHERE id = $1
+      `,
+      [
+        row.id,
+        stripTags(row.summary) || page.description,
+        page.imageUrl || null,
+        page.author,
+        page.canonicalUrl,
+        page.publishedAt,
+        error,
+      ]
+    );
+
+    if (error) stats.failed++;
+    else stats.enriched++;
+    if (!row.image_url && page.imageUrl) stats.images++;
+  }
+
+  return stats;
+}
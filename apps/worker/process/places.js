@@ -0,0 +1,197 @@
+import fs from "node:fs";
+import { envInt } from "../utils/common.js";
+import { countyDisplayName, STATE_NAMES } from "../utils/config.js";
+
+// Items older than this are not tagged (the first run doesn't walk the whole archive).
+const LOOKBACK_HOURS = envInt("PLACE_LOOKBACK_HOURS", 72);
+const BATCH_SIZE = envInt("PLACE_BATCH_SIZE", 500);
+
+const GAZETTEER_URL = new URL("../data/gazetteer.json", import.meta.url);
+
+const STATE_MENTIONS = { FL: ["Fla."], AL: ["Ala."], GA: ["Ga."] };
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// One regex that finds any of `names` as a whole word; longer names first so
+// "Pensacola Beach" wins over "Pensacola" and "Escambia County" over nothing at all.
+function namesRegex(names) {
+  const alternation = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join("|");
+  return new RegExp(`(?<![\\w-])(?:${alternation})(?![\\w-])`, "g");
+}
+
+let cached = null;
+
+/**
+ * data/gazetteer.json indexed for matching. Every county is keyed like sources.yaml
+ * ("FL/Santa_Rosa"); "<County> County" and each place name or alias map to the entries they
+ * could mean (several when two counties share a name, e.g. Escambia FL/AL).
+ */
+export function loadGazetteer() {
+  if (cached) return cached;
+  const raw = JSON.parse(fs.readFileSync(GAZETTEER_URL, "utf8"));
+
+  const counties = new Map();
+  const byDisplay = new Map(); // "FL/Santa Rosa" -> "FL/Santa_Rosa" (GDELT rows store display names)
+  const names = new Map();
+  const add = (name, entry) => {
+    if (!names.has(name)) names.set(name, []);
+    names.get(name).push(entry);
+  };
+
+  for (const [key, c] of Object.entries(raw.counties || {})) {
+    const [state, county] = key.split("/");
+    const display = countyDisplayName(county);
+    counties.set(key, { state, county, display, lat: c.lat, lon: c.lon });
+    byDisplay.set(`${state}/${display}`, key);
+    add(`${display} County`, { state, county, place: "", lat: c.lat, lon: c.lon, context: false });
+
+    for (const p of c.places || []) {
+      const entry = { state, county, place: p.name, lat: p.lat, lon: p.lon, context: Boolean(p.context) };
+      for (const name of [p.name, ...(p.aliases || [])]) add(name, entry);
+    }
+  }
+
+  const stateNames = new Map();
+  for (const [code, name] of Object.entries(STATE_NAMES)) {
+    for (const n of [name, ...(STATE_MENTIONS[code] || [])]) stateNames.set(n, code);
+  }
+
+  cached = {
+    counties,
+    byDisplay,
+    names,
+    namesRe: namesRegex(names.keys()),
+    stateNames,
+    statesRe: namesRegex(stateNames.keys()),
+  };
+  return cached;
+}
+
+/**
+ * The county keys the gazetteer covers, e.g. "FL/Escambia" (utils/validateConfig.js warns
+ * about configured counties missing from it).
+ */
+export function gazetteerCountyKeys() {
+  return [...loadGazetteer().counties.keys()];
+}
+
+/**
+ * Place and county tags for one item, from mentions in its title and summary.
+ * `state` / `county` are the item's home county (the source's, or the county a GDELT search
+ * was for) and settle ambiguous names. Places marked `context` in the gazetteer ("Mobile",
+ * "Century", "Enterprise") only count when the item is from their county or the text also
+ * names their county or state. With no mentions the item is tagged with its home county.
+ * Returns [{ state, county, place, lat, lon, method }]; place "" is a county tag.
+ */
+export function geotagItem({ title, summary, state, county }) {
+  const gaz = loadGazetteer();
+  const text = `${title || ""}\n${String(summary || "").replace(/<[^>]*>/g, " ")}`;
+  const homeKey = gaz.counties.has(`${state}/${county}`) ? `${state}/${county}` : gaz.byDisplay.get(`${state}/${county}`);
+  const home = homeKey ? gaz.counties.get(homeKey) : null;
+
+  const statesInText = new Set([...text.matchAll(gaz.statesRe)].map((m) => gaz.stateNames.get(m[0])));
+  const matches = [...text.matchAll(gaz.namesRe)].map((m) => gaz.names.get(m[0]));
+  const countiesInText = new Set(
+    matches.flatMap((entries) => entries.filter((e) => !e.place).map((e) => `${e.state}/${e.county}`))
+  );
+
+  const isHome = (e) => home && e.state === home.state && e.county === home.county;
+  const tags = new Map();
+  const tag = (e, place) => {
+    const key = `${e.state}/${e.county}/${place ? e.place : ""}`;
+    if (tags.has(key)) return;
+    const c = gaz.counties.get(`${e.state}/${e.county}`);
+    tags.set(key, {
+      state: e.state,
+      county: e.county,
+      place: place ? e.place : "",
+      lat: place ? e.lat : c.lat,
+      lon: place ? e.lon : c.lon,
+      method: "mention",
+    });
+  };
+
+  for (const entries of matches) {
+    let candidates = entries.filter(
+      (e) => !e.context || isHome(e) || countiesInText.has(`${e.state}/${e.county}`) || statesInText.has(e.state)
+    );
+    // Same name in more than one county: the item's own county, then its state, then a state it names.
+    if (candidates.length > 1) {
+      const narrowed = [
+        candidates.filter(isHome),
+        candidates.filter((e) => home && e.state === home.state),
+        candidates.filter((e) => statesInText.has(e.state)),
+      ].find((list) => list.length === 1);
+      candidates = narrowed || [];
+    }
+    for (const e of candidates) {
+      if (e.place) tag(e, true);
+      tag(e, false);
+    }
+  }
+
+  if (!tags.size && home) {
+    tags.set(`${home.state}/${home.county}/`, {
+      state: home.state,
+      county: home.county,
+      place: "",
+      lat: home.lat,
+      lon: home.lon,
+      method: "source",
+    });
+  }
+  return [...tags.values()];
+}
+
+const UNTAGGED_SQL = `
+  SELECT 'feed_item' AS item_kind, fi.id AS item_id, fi.title, fi.summary, s.state, s.county,
+         COALESCE(fi.published_at, fi.created_at) AS seen_at
+  FROM feed_items fi
+  JOIN sources s ON s.id = fi.source_id
+  WHERE COALESCE(fi.published_at, fi.created_at) >= $1
+    AND NOT EXISTS (SELECT 1 FROM item_places p WHERE p.item_kind = 'feed_item' AND p.item_id = fi.id)
+  UNION ALL
+  SELECT 'search_article', psa.id, psa.title, COALESCE(psa.summary, ''), psa.state, psa.county,
+         COALESCE(psa.published_at, psa.fetched_at)
+  FROM panhandle_search_articles psa
+  WHERE COALESCE(psa.published_at, psa.fetched_at) >= $1 AND psa.title IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM item_places p WHERE p.item_kind = 'search_article' AND p.item_id = psa.id)
+`;
+
+/**
+ * Geotag every recent item that has no place tags yet (item_places). Items whose home county
+ * isn't in the gazetteer and that mention nothing stay untagged.
+ */
+export async function tagRecentPlaces(client, { lookbackHours = LOOKBACK_HOURS } = {}) {
+  const since = new Date(Date.now() - lookbackHours * 3600_000);
+  const res = await client.query(`SELECT * FROM (${UNTAGGED_SQL}) items ORDER BY seen_at DESC LIMIT $2`, [
+    since,
+    BATCH_SIZE,
+  ]);
+
+  const stats = { tagged: 0, mentions: 0 };
+  for (const row of res.rows) {
+    const tags = geotagItem(row);
+    if (!tags.length) continue;
+
+    for (const t of tags) {
+      await client.query(
+        `
+        INSERT INTO item_places (item_kind, item_id, state, county, place, lat, lon, method)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (item_kind, item_id, state, county, place) DO NOTHING
+        `,
+        [row.item_kind, row.item_id, t.state, t.county, t.place, t.lat, t.lon, t.method]
+      );
+    }
+    stats.tagged++;
+    if (tags.some((t) => t.method === "mention")) stats.mentions++;
+  }
+
+  return stats;
+}
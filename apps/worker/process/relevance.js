@@ -0,0 +1,47 @@
+// How likely a GDELT hit is about the county it was searched for, from 0 to 1.
+// GDELT matches the query anywhere in the article body, so "Escambia County" finds both the
+// Florida and the Alabama county, and "Houston County" finds Alabama, Georgia and Texas; the
+// score looks at the parts we can see (title, URL, domain) for the signals that tell them apart.
+
+function normalize(text) {
+  return ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+function mentions(haystack, term) {
+  const needle = normalize(term);
+  return needle.trim() !== "" && haystack.includes(needle);
+}
+
+function urlWords(url) {
+  try {
+    const u = new URL(url);
+    return `${u.pathname} ${u.search}`;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Scores { title, url, domain } against a county from listSearchCounties:
+ * - 0 when the title or URL mentions one of its `exclude` terms
+ * - otherwise 0.2 (GDELT matched the query), plus
+ *   0.3 when the county's name is in the title or URL,
+ *   0.3 when its state, state code or one of its `include` terms is,
+ *   0.2 when the domain is one of the county's own sources
+ */
+export function scoreArticle(article, target) {
+  const text = normalize(`${article.title || ""} ${urlWords(article.url)}`);
+  if (target.exclude.some((t) => mentions(text, t))) return 0;
+
+  let score = 0.2;
+  if (mentions(text, target.name) || mentions(text, `${target.countyName} Co`)) score += 0.3;
+  if ([target.stateName, target.state, ...target.include].some((t) => mentions(text, t))) score += 0.3;
+
+  const domain = String(article.domain || "").toLowerCase().replace(/^www\./, "");
+  if (domain && target.domains.some((d) => domain === d || domain.endsWith(`.${d}`))) score += 0.2;
+
+  return Math.round(Math.min(score, 1) * 100) / 100;
+}
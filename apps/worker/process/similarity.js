@@ -0,0 +1,29 @@
+// Near-duplicate text matching for headlines/summaries (word-set Jaccard).
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "that", "this", "are", "was", "were", "has", "have",
+  "will", "after", "into", "over", "about", "county", "news", "update", "says", "said",
+]);
+
+export function textTokens(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .replace(/<[^>]+>/g, " ")
+      .replace(/[’']s\b/g, "")
+      .replace(/[^a-z0-9\s]/g, " ")
+      .split(/\s+/)
+      .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+  );
+}
+
+export function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+export function titleSimilarity(a, b) {
+  return jaccard(textTokens(a), textTokens(b));
+}
@@ -0,0 +1,171 @@
+import { envInt } from "../utils/common.js";
+import { aiConfigured, generateJson } from "../ai/index.js";
+
+// Items older than this are not classified (the first run doesn't walk the whole archive).
+const LOOKBACK_HOURS = envInt("TOPIC_LOOKBACK_HOURS", 72);
+const BATCH_SIZE = envInt("TOPIC_BATCH_SIZE", 500);
+// AI calls per pass; the rest fall back to "general".
+const MAX_AI_PER_RUN = envInt("TOPIC_MAX_AI_PER_RUN", 20);
+
+// Slugs match the `topics` table (db/migrations/009_topics.sql).
+export const TOPIC_SLUGS = [
+  "public-safety",
+  "weather-emergency",
+  "schools",
+  "government",
+  "roads-traffic",
+  "business",
+  "general",
+];
+
+// What an agency mostly posts about. GDELT items are "media" and get no topic from this.
+const SOURCE_TYPE_TOPICS = {
+  sheriff: "public-safety",
+  em: "weather-emergency",
+  school: "schools",
+  county_gov: "government",
+};
+
+const KEYWORD_RULES = {
+  "public-safety": [
+    /\b(arrest(ed|s)?|deput(y|ies)|sheriff|police|officers?|troopers?)\b/,
+    /\b(shooting|homicide|murder|stabbing|robbery|burglary|theft|assault|fraud|scam)\b/,
+    /\b(suspect|warrant|charged|inmates?|jail|missing|amber alert|silver alert|dui|narcotics|overdose)\b/,
+    /\b(fire rescue|firefighters?|structure fire|house fire)\b/,
+  ],
+  "weather-emergency": [
+    /\b(hurricane|tropical (storm|depression)|tornado|flood(ing)?|storm surge|severe weather|thunderstorms?)\b/,
+    /\b(evacuat(e|ion|ions)|shelters?|sandbags?|power outages?|boil water|burn ban|wildfire|heat advisory)\b/,
+    /\b(national weather service|nws|emergency management|state of emergency|freeze warning)\b/,
+  ],
+  schools: [
+    /\b(schools?|students?|teachers?|classrooms?|principal|superintendent|school board|school district)\b/,
+    /\b(graduation|kindergarten|pre-?k|college|university|scholarships?)\b/,
+  ],
+  government: [
+    /\b(commission(ers)?|city council|council meeting|board meeting|workshop|agenda|public hearing)\b/,
+    /\b(ordinance|resolution|budget|millage|property tax|zoning|rezoning|permits?|election|ballot|voters?)\b/,
+    /\b(mayor|county administrator|county manager|legislat(ure|ive|or|ors))\b/,
+  ],
+  "roads-traffic": [
+    /\b(road|lane|bridge) closures?\b/,
+    /\b(traffic|crash|collision|detour|paving|resurfacing|road work|roadwork|construction zone)\b/,
+    /\b(i-10|i-65|interstate|highway|hwy|us 98|fdot|aldot|signal work)\b/,
+  ],
+  business: [
+    /\b(business(es)?|restaurant|grand opening|ribbon cutting|chamber of commerce|small business)\b/,
+    /\b(jobs?|hiring|job fair|layoffs?|economy|economic development|investment|retail|tourism)\b/,
+  ],
+};
+
+function keywordTopics(text) {
+  const lower = text.toLowerCase();
+  const out = [];
+  for (const [topic, rules] of Object.entries(KEYWORD_RULES)) {
+    if (rules.some((re) => re.test(lower))) out.push(topic);
+  }
+  return out;
+}
+
+/**
+ * Topics for one item from its source type and keyword rules.
+ * `ambiguous` is true when neither says anything — those are the ones worth an AI call.
+ * Returns { topics: [{ topic, method }], ambiguous }.
+ */
+export function classifyItem({ title, summary, source_type }) {
+  const topics = new Map();
+
+  const fromSource = SOURCE_TYPE_TOPICS[source_type];
+  if (fromSource) topics.set(fromSource, "source_type");
+
+  for (const t of keywordTopics(`${title || ""} ${summary || ""}`)) {
+    if (!topics.has(t)) topics.set(t, "keyword");
+  }
+
+  return {
+    topics: [...topics].map(([topic, method]) => ({ topic, method })),
+    ambiguous: topics.size === 0,
+  };
+}
+
+async function classifyWithAI({ title, summary }) {
+  const system = `
+You tag local news items from the Florida Panhandle and South Alabama with topics.
+Allowed topics: ${TOPIC_SLUGS.join(", ")}.
+Return JSON only: {"topics": ["..."]} with one or two topics; use "general" if none fit.
+`.trim();
+
+  const { value } = await generateJson({
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: `Title: ${title}\nSummary: ${String(summary || "").slice(0, 600)}` },
+    ],
+    maxTokens: 100,
+    validate: (raw) => {
+      const topics = Array.isArray(raw?.topics) ? raw.topics.filter((t) => TOPIC_SLUGS.includes(t)) : [];
+      return { value: topics, errors: topics.length ? [] : [`topics must list one or two of: ${TOPIC_SLUGS.join(", ")}`] };
+    },
+  });
+  return [...new Set(value)].slice(0, 2);
+}
+
+const UNCLASSIFIED_SQL = `
+  SELECT 'feed_item' AS item_kind, fi.id AS item_id, fi.title, fi.summary, s.source_type,
+         COALESCE(fi.published_at, fi.created_at) AS seen_at
+  FROM feed_items fi
+  JOIN sources s ON s.id = fi.source_id
+  WHERE COALESCE(fi.published_at, fi.created_at) >= $1
+    AND NOT EXISTS (SELECT 1 FROM item_topics t WHERE t.item_kind = 'feed_item' AND t.item_id = fi.id)
+  UNION ALL
+  SELECT 'search_article', psa.id, psa.title, COALESCE(psa.summary, ''), 'media',
+         COALESCE(psa.published_at, psa.fetched_at)
+  FROM panhandle_search_articles psa
+  WHERE COALESCE(psa.published_at, psa.fetched_at) >= $1 AND psa.title IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM item_topics t WHERE t.item_kind = 'search_article' AND t.item_id = psa.id)
+`;
+
+/**
+ * Tag every recent item that has no topics yet. Ambiguous items go to the AI provider when
+ * TOPIC_USE_AI=1 and the AI endpoint is configured (at most TOPIC_MAX_AI_PER_RUN per pass);
+ * anything still untagged gets "general", so each item is classified once.
+ */
+export async function classifyRecentItems(client, { lookbackHours = LOOKBACK_HOURS } = {}) {
+  const since = new Date(Date.now() - lookbackHours * 3600_000);
+  const useAI = process.env.TOPIC_USE_AI === "1" && aiConfigured();
+  let aiBudget = MAX_AI_PER_RUN;
+
+  const res = await client.query(`SELECT * FROM (${UNCLASSIFIED_SQL}) items ORDER BY seen_at DESC LIMIT $2`, [
+    since,
+    BATCH_SIZE,
+  ]);
+
+  const stats = { classified: 0, ai: 0 };
+  for (const row of res.rows) {
+    let { topics, ambiguous } = classifyItem(row);
+
+    if (ambiguous && useAI && aiBudget > 0) {
+      aiBudget--;
+      try {
+        topics = (await classifyWithAI(row)).map((topic) => ({ topic, method: "ai" }));
+        stats.ai++;
+      } catch (err) {
+        console.error(`[topics] AI failed for ${row.item_kind} ${row.item_id}: ${err.message}`);
+      }
+    }
+    if (!topics.length) topics = [{ topic: "general", method: "fallback" }];
+
+    for (const { topic, method } of topics) {
+      await client.query(
+        `
+        INSERT INTO item_topics (item_kind, item_id, topic, method)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (item_kind, item_id, topic) DO NOTHING
+        `,
+        [row.item_kind, row.item_id, topic, method]
+      );
+    }
+    stats.classified++;
+  }
+
+  return stats;
+}
@@ -0,0 +1,40 @@
+// apps/worker/publish/publish/citations.js
+// Inline citations in writer output: "(Sources: [1], [3])" refers to the prompt's numbered source list.
+
+// [3] and also [1, 3] / [1][3]; markdown links "[text](url)" don't match (digits only).
+const CITATION_RE = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/** Every citation number in the text, in order of first appearance. */
+export function parseCitations(text) {
+  const seen = new Set();
+  for (const m of String(text || "").matchAll(CITATION_RE)) {
+    for (const n of m[1].split(",")) seen.add(Number(n.trim()));
+  }
+  return [...seen];
+}
+
+/**
+ * Checks the body and bullets against the prompt's [1..sourceCount] list and `used_source_indexes`.
+ * `errors` (no citations, out-of-range or unlisted numbers) reject the output; `warnings` are
+ * listed sources the text never cites, which are still stored as sources.
+ */
+export function checkCitations({ body_markdown, bullets, used_source_indexes }, sourceCount) {
+  const cited = parseCitations([body_markdown, ...(bullets || [])].join("\n"));
+  const listed = new Set(used_source_indexes);
+  const errors = [];
+
+  if (!cited.length) errors.push("body_markdown must cite sources inline, e.g. (Sources: [1], [3])");
+
+  const outOfRange = cited.filter((n) => n < 1 || n > sourceCount);
+  if (outOfRange.length) errors.push(`citations out of range 1..${sourceCount}: ${outOfRange.map((n) => `[${n}]`).join(", ")}`);
+
+  const unlisted = cited.filter((n) => n >= 1 && n <= sourceCount && !listed.has(n));
+  if (unlisted.length) {
+    errors.push(`citations missing from used_source_indexes: ${unlisted.map((n) => `[${n}]`).join(", ")}`);
+  }
+
+  const uncited = used_source_indexes.filter((n) => !cited.includes(n));
+  const warnings = uncited.length ? [`listed but never cited: ${uncited.map((n) => `[${n}]`).join(", ")}`] : [];
+
+  return { cited, errors, warnings };
+}
@@ -0,0 +1,179 @@
+// apps/worker/publish/publish/prompts.js
+// One prompt template per story type. Each returns { system, user, version, bullets, sourceCount };
+// `version` is stored as stories.prompt_version, so bump it whenever a template's wording changes.
+
+// Prompts list at most this many sources as [1..N].
+export const MAX_PROMPT_SOURCES = 20;
+
+function iso(d) {
+  return new Date(d).toISOString();
+}
+
+function sourceCount(list) {
+  return Math.min(list.length, MAX_PROMPT_SOURCES);
+}
+
+// Shared by every template: where the text may come from and how it cites.
+function rules({ length, bullets, extra = [] }) {
+  return `
+Write ORIGINAL text based ONLY on the provided source list.
+Do NOT invent facts. If details are unclear, say so.
+Do NOT copy long passages. Use short paraphrases only.
+Output MUST be valid JSON with keys:
+- title (string)
+- dek (string, 1 sentence)
+- bullets (array of ${bullets[0]}-${bullets[1]} short bullet strings)
+- body_markdown (string, ${length})
+- used_source_indexes (array of integers referencing the [1..N] items you used)
+Rules:
+- Include citations inline in body like: (Sources: [1], [3])
+- Cite only [1..N] numbers from the list, and list every number you cite in used_source_indexes.
+${extra.map((r) => `- ${r}`).join("\n")}
+- Neutral, non-clickbait tone.
+`.trim();
+}
+
+// Feed items as [n] entries. Items carry their own state/county (regional roundups mix counties).
+function itemsBlock(items, { state, county } = {}) {
+  return items
+    .slice(0, MAX_PROMPT_SOURCES)
+    .map((it, idx) => {
+      const when = it.published_at ? new Date(it.published_at).toLocaleString() : "unknown time";
+      return [
+        `[${idx + 1}] ${it.title}`,
+        `Source: ${it.source_name} (${it.state ?? state}/${it.county ?? county})`,
+        `Published: ${when}`,
+        `Link: ${it.link}`,
+        `Snippet: ${String(it.summary || "").replace(/\s+/g, " ").slice(0, 240)}`,
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+// Earlier stories as [n] entries (weekly digests are written from the week's roundups).
+function storiesBlock(stories) {
+  return stories
+    .slice(0, MAX_PROMPT_SOURCES)
+    .map((st, idx) => {
+      const bullets = Array.isArray(st.bullets_json) ? st.bullets_json : [];
+      return [
+        `[${idx + 1}] ${st.title}`,
+        `Edition: ${new Date(st.time_window_start).toLocaleString()}`,
+        st.dek ? `Dek: ${st.dek}` : "",
+        ...bullets.map((b) => `- ${b}`),
+      ]
+        .filter(Boolean)
+        .join("\n");
+    })
+    .join("\n\n");
+}
+
+const WRITER = "You are the editorial writer for Panhandle Pulse, a local news site.";
+
+// County roundup for one edition.
+export function roundupPrompt({ state, county, items, windowStart, windowEnd }) {
+  const system = `
+${WRITER}
+${rules({ length: "4-10 short paragraphs max", bullets: [4, 8], extra: ["Keep it local and practical."] })}
+`.trim();
+
+  const user = `
+Write a county roundup story for ${state}/${county}.
+Time window: ${iso(windowStart)} to ${iso(windowEnd)}.
+
+SOURCE ITEMS:
+${itemsBlock(items, { state, county })}
+`.trim();
+
+  return { system, user, version: "roundup-v2", bullets: [4, 8], sourceCount: sourceCount(items) };
+}
+
+// Short single-event story: a developing item and its corroborating reports.
+export function briefPrompt({ state, county, items }) {
+  const system = `
+${WRITER}
+Write a SHORT news brief.
+${rules({ length: "1-3 short paragraphs max", bullets: [2, 4], extra: ["Attribute claims to the source agency or outlet."] })}
+`.trim();
+
+  const user = `
+Write a news brief for ${state}/${county} about this report${items.length > 1 ? " (all items describe the same event)" : ""}.
+
+SOURCE ITEMS:
+${itemsBlock(items, { state, county })}
+`.trim();
+
+  return { system, user, version: "brief-v2", bullets: [2, 4], sourceCount: sourceCount(items) };
+}
+
+// Breaking brief from one official (tier 1A) post, written as soon as it is ingested.
+export function breakingPrompt({ state, county, item }) {
+  const system = `
+${WRITER}
+Write a VERY SHORT breaking news brief from a single official announcement.
+${rules({
+  length: "1-2 short paragraphs",
+  bullets: [1, 3],
+  extra: [
+    "Lead with what happened, where, and what residents should do, if the source says.",
+    "Attribute everything to the agency that posted it; say that details may change.",
+  ],
+})}
+`.trim();
+
+  const user = `
+Write a breaking brief for ${state}/${county} from this official post.
+
+SOURCE ITEMS:
+${itemsBlock([item], { state, county })}
+`.trim();
+
+  return { system, user, version: "breaking-v1", bullets: [1, 3], sourceCount: 1 };
+}
+
+// Weekly county digest written from the week's roundups (the [n] are stories, not feed items).
+export function digestPrompt({ state, county, roundups, weekStart, weekEnd }) {
+  const system = `
+${WRITER}
+Write a WEEKLY DIGEST from the week's county roundups listed below.
+${rules({
+  length: "4-8 short paragraphs, grouped by theme rather than by day",
+  bullets: [4, 8],
+  extra: ["Lead with what mattered most this week and what is still developing."],
+})}
+`.trim();
+
+  const user = `
+Write the weekly digest for ${state}/${county}.
+Week: ${iso(weekStart)} to ${iso(weekEnd)}.
+
+ROUNDUPS:
+${storiesBlock(roundups)}
+`.trim();
+
+  return { system, user, version: "digest-v1", bullets: [4, 8], sourceCount: sourceCount(roundups) };
+}
+
+// Multi-county roundup for a sources.yaml region (e.g. Emerald Coast) and one edition.
+export function regionalPrompt({ region, items, windowStart, windowEnd }) {
+  const system = `
+${WRITER}
+${rules({
+  length: "4-10 short paragraphs max",
+  bullets: [4, 8],
+  extra: [
+    "Name the county for every item; lead with stories that affect more than one county.",
+  ],
+})}
+`.trim();
+
+  const user = `
+Write a regional roundup for the ${region.name} (${region.counties.map((c) => `${c.state}/${c.county}`).join(", ")}).
+Time window: ${iso(windowStart)} to ${iso(windowEnd)}.
+
+SOURCE ITEMS:
+${itemsBlock(items)}
+`.trim();
+
+  return { system, user, version: "regional-v1", bullets: [4, 8], sourceCount: sourceCount(items) };
+}
@@ -0,0 +1,26 @@
+// apps/worker/publish/publish/rules.js
+import { tierKey } from "../../utils/config.js";
+
+// What an item's tier lets the writer do (sources.yaml `defaults.publish_rules`):
+// - auto:           the item can publish a short story on its own
+// - trigger_update: the item refreshes the county's existing roundup
+// - developing:     the item only yields an unpublished story until a second source corroborates it
+export const PUBLISH_RULES = ["auto", "trigger_update", "developing"];
+
+// Most permissive first.
+export const RULE_RANK = { auto: 0, trigger_update: 1, developing: 2 };
+
+export function publishRuleFor(tier, rules) {
+  const rule = rules?.[tierKey(tier)];
+  // Unknown tiers get the most conservative treatment.
+  return PUBLISH_RULES.includes(rule) ? rule : "developing";
+}
+
+// story_type values the writer produces (the keys `defaults.auto_publish` accepts).
+export const STORY_TYPES = ["roundup", "brief", "breaking", "digest", "regional"];
+
+// Where a finished story goes (sources.yaml `defaults.auto_publish`, keyed by story type):
+// straight to the site when the type is set to true, otherwise to the /admin/stories review queue.
+export function publishedStatusFor(storyType, autoPublish) {
+  return autoPublish?.[storyType] === true ? "published" : "in_review";
+}
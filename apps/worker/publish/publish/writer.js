@@ -1,5 +1,15 @@
 // apps/worker/writer.js
 import pg from "pg";
+import { listRegions } from "../../utils/config.js";
+import { loadValidatedConfig } from "../../utils/validateConfig.js";
+import { publishRuleFor, publishedStatusFor, RULE_RANK } from "./rules.js";
+import { clusterRecentItems } from "../../process/cluster.js";
+import { migrateUp } from "../../db/migrator.js";
+import { editionFor, loadEditions, weekFor } from "../../utils/editions.js";
+import { generateJson } from "../../ai/index.js";
+import { validateStoryOutput } from "../../ai/schema.js";
+import { checkCitations } from "./citations.js";
+import { breakingPrompt, briefPrompt, digestPrompt, regionalPrompt, roundupPrompt } from "./prompts.js";
 
 const { Client } = pg;
 
@@ -19,31 +29,6 @@ async function getDbClient() {
   return client;
 }
 
-// Provider-agnostic AI call.
-// You provide an endpoint that accepts { messages: [...] } and returns { text: "..." , json?: {...} }
-async function callAI({ messages }) {
-  const endpoint = requireEnv("AI_ENDPOINT");
-  const key = requireEnv("AI_API_KEY");
-
-  const res = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-      "authorization": `Bearer ${key}`,
-    },
-    body: JSON.stringify({ messages }),
-  });
-
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(`AI HTTP ${res.status}: ${t.slice(0, 500)}`);
-  }
-
-  const data = await res.json();
-  if (!data?.text) throw new Error("AI response missing `text`");
-  return data;
-}
-
 function iso(d) {
   return d.toISOString();
 }
@@ -64,11 +49,17 @@ async function loadRecentFeedItems(client, { windowStart, windowEnd, limitPerCou
       fi.link,
       fi.published_at,
       fi.summary,
+      fi.created_at,
       s.state,
       s.county,
-      s.source_name
+      s.source_name,
+      s.tier,
+      cm.cluster_id,
+      COALESCE(sc.source_count, 1) AS cluster_source_count
     FROM feed_items fi
     JOIN sources s ON s.id = fi.source_id
+    LEFT JOIN cluster_members cm ON cm.item_kind = 'feed_item' AND cm.item_id = fi.id
+    LEFT JOIN story_clusters sc ON sc.id = cm.cluster_id
     WHERE (fi.published_at IS NULL OR fi.published_at BETWEEN $1 AND $2)
       AND s.enabled = TRUE
     ORDER BY fi.published_at DESC NULLS LAST, fi.id DESC
@@ -88,180 +79,853 @@ async function loadRecentFeedItems(client, { windowStart, windowEnd, limitPerCou
   return groups;
 }
 
-function buildPrompt({ state, county, items, windowStart, windowEnd }) {
-  // Keep it safe: summary + citations. No copying full text. No invention.
-  const sourcesBlock = items
-    .slice(0, 20)
-    .map((it, idx) => {
-      const when = it.published_at ? new Date(it.published_at).toLocaleString() : "unknown time";
-      return [
-        `[${idx + 1}] ${it.title}`,
-        `Source: ${it.source_name} (${state}/${county})`,
-        `Published: ${when}`,
-        `Link: ${it.link}`,
-        `Snippet: ${String(it.summary || "").replace(/\s+/g, " ").slice(0, 240)}`,
-      ].join("\n");
-    })
-    .join("\n\n");
-
-  const system = `
-You are the editorial writer for Panhandle Pulse, a local news site.
-Write ORIGINAL text based ONLY on the provided source list.
-Do NOT invent facts. If details are unclear, say so.
-Do NOT copy long passages. Use short paraphrases only.
-Output MUST be valid JSON with keys:
-- title (string)
-- dek (string, 1 sentence)
-- bullets (array of 4-8 short bullet strings)
-- body_markdown (string, 4-10 short paragraphs max)
-- used_source_indexes (array of integers referencing the [1..N] items you used)
-Rules:
-- Include citations inline in body like: (Sources: [1], [3])
-- Keep it local and practical.
-- Neutral, non-clickbait tone.
-`.trim();
-
-  const user = `
-Write a county roundup story for ${state}/${county}.
-Time window: ${iso(windowStart)} to ${iso(windowEnd)}.
-
-SOURCE ITEMS:
-${sourcesBlock}
-`.trim();
-
-  return { system, user };
+// Schema check, then inline citations against the prompt's source list.
+function validateStory(raw, { sourceCount, bullets }) {
+  const checked = validateStoryOutput(raw, { sourceCount, bullets });
+  if (checked.errors.length) return checked;
+  const citations = checkCitations(checked.value, sourceCount);
+  return { value: { ...checked.value, warnings: citations.warnings }, errors: citations.errors };
+}
+
+// Output is checked against the prompt's schema and its citations (one repair turn if it
+// doesn't fit), so `parsed` always has every key. `generation` is the usage row for story_generations.
+async function writeWithAI({ system, user, version, bullets, sourceCount }) {
+  const ai = await generateJson({
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ],
+    validate: (raw) => validateStory(raw, { sourceCount, bullets }),
+  });
+  for (const w of ai.value.warnings) console.warn(`[citations] ${w}`);
+
+  return {
+    parsed: ai.value,
+    model: ai.model || "",
+    generation: {
+      provider: ai.provider,
+      model: ai.model || "",
+      prompt_version: version,
+      usage: ai.usage,
+      latencyMs: ai.latencyMs,
+      attempts: ai.attempts,
+    },
+  };
+}
+
+async function recordGeneration(client, storyId, g) {
+  await client.query(
+    `
+    INSERT INTO story_generations
+      (story_id, provider, model_name, prompt_version, input_tokens, output_tokens, latency_ms, attempts)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+    [storyId, g.provider, g.model, g.prompt_version, g.usage.input, g.usage.output, g.latencyMs, g.attempts]
+  );
+}
+
+// story_audit_log row; the web admin writes the editor actions, the writer logs as "writer".
+async function audit(client, storyId, { action, fromStatus = null, toStatus = null, details = {} }) {
+  await client.query(
+    `
+    INSERT INTO story_audit_log (story_id, action, actor, from_status, to_status, details)
+    VALUES ($1, $2, 'writer', $3, $4, $5::jsonb)
+    `,
+    [storyId, action, fromStatus, toStatus, JSON.stringify(details)]
+  );
+}
+
+// Runs `fn` between BEGIN and COMMIT, so a story's text, its numbered sources and its generation
+// row are written together or not at all.
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    const result = await fn();
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
 }
 
-async function storyAlreadyExists(client, { state, county, windowStart, windowEnd }) {
+// A story an editor has edited or approved is theirs: the writer never rewrites it on its own
+// (an editor can still ask for "regenerate").
+const EDITOR_TOUCHED_SQL = `
+  EXISTS (
+    SELECT 1 FROM story_audit_log a
+    WHERE a.story_id = st.id AND a.action IN ('edit', 'approve', 'approve_revision') AND a.actor <> 'writer'
+  )
+`;
+
+// The edition's roundup (county, or regional when `region` is set), whatever its status, with
+// every item it (or its pending revision) was written from.
+async function findEditionStory(client, { storyType, state, county, region, edition }) {
   const res = await client.query(
     `
-    SELECT id
-    FROM stories
-    WHERE state = $1 AND county = $2
-      AND story_type = 'roundup'
-      AND time_window_start = $3
-      AND time_window_end = $4
+    SELECT st.id, st.status, st.revised_at, st.created_at,
+           st.written_from_item_ids || COALESCE(array_agg(ss.feed_item_id) FILTER (WHERE ss.feed_item_id IS NOT NULL), '{}')
+             || COALESCE((SELECT pr.written_from_item_ids FROM story_pending_revisions pr WHERE pr.story_id = st.id), '{}')
+             AS feed_item_ids,
+           (SELECT pr.created_at FROM story_pending_revisions pr WHERE pr.story_id = st.id) AS pending_at,
+           ${EDITOR_TOUCHED_SQL} AS edited
+    FROM stories st
+    LEFT JOIN story_sources ss ON ss.story_id = st.id
+    WHERE st.state = $1 AND st.county = $2 AND st.region = $3
+      AND st.story_type = $4
+      AND st.time_window_start = $5
+      AND st.time_window_end = $6
+    GROUP BY st.id
+    ORDER BY st.created_at
     LIMIT 1
     `,
-    [state, county, windowStart, windowEnd]
+    [state, county, region, storyType, edition.start, edition.end]
+  );
+  const row = res.rows[0];
+  if (!row) return null;
+  const written = new Date(row.revised_at || row.created_at);
+  return {
+    id: row.id,
+    status: row.status,
+    edited: row.edited,
+    lastWrittenAt: row.pending_at && row.pending_at > written ? new Date(row.pending_at) : written,
+    feedItemIds: new Set(row.feed_item_ids.map((n) => Number(n))),
+  };
+}
+
+// feed_item_id -> { id, status, edited } of the brief (developing or breaking) that already covers
+// it: cited by it, or among the items it was written from.
+async function loadBriefsForItems(client, itemIds) {
+  const res = await client.query(
+    `
+    SELECT ss.feed_item_id, st.id, st.status, ${EDITOR_TOUCHED_SQL} AS edited
+    FROM story_sources ss
+    JOIN stories st ON st.id = ss.story_id
+    WHERE st.story_type IN ('brief', 'breaking')
+      AND ss.feed_item_id = ANY($1::bigint[])
+    UNION
+    SELECT w.feed_item_id, st.id, st.status, ${EDITOR_TOUCHED_SQL}
+    FROM stories st
+    CROSS JOIN LATERAL unnest(st.written_from_item_ids) AS w(feed_item_id)
+    WHERE st.story_type IN ('brief', 'breaking')
+      AND st.written_from_item_ids && $1::bigint[]
+      AND w.feed_item_id = ANY($1::bigint[])
+    `,
+    [itemIds]
   );
-  return res.rowCount > 0;
+  const out = new Map();
+  for (const row of res.rows) out.set(Number(row.feed_item_id), { id: row.id, status: row.status, edited: row.edited });
+  return out;
 }
 
-async function insertStory(client, { state, county, windowStart, windowEnd, title, dek, bullets, body_markdown, model_name }) {
+async function insertStory(
+  client,
+  {
+    state,
+    county,
+    windowStart,
+    windowEnd,
+    title,
+    dek,
+    bullets,
+    body_markdown,
+    model_name,
+    prompt_version,
+    story_type = "roundup",
+    region = "",
+    status = "draft",
+    publish_rule = "auto",
+    writtenFrom = [],
+  }
+) {
   const res = await client.query(
     `
     INSERT INTO stories
-      (state, county, story_type, title, dek, bullets_json, body_markdown, time_window_start, time_window_end, model_name, prompt_version, status)
+      (state, county, region, story_type, title, dek, bullets_json, body_markdown, time_window_start, time_window_end, model_name, prompt_version, status, publish_rule, written_from_item_ids)
     VALUES
-      ($1, $2, 'roundup', $3, $4, $5::jsonb, $6, $7, $8, $9, 'v1', 'published')
+      ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10, $11, $12, $13, $14, $15::bigint[])
     RETURNING id
     `,
-    [state, county, title, dek || "", JSON.stringify(bullets || []), body_markdown, windowStart, windowEnd, model_name || ""]
+    [
+      state,
+      county,
+      region,
+      story_type,
+      title,
+      dek || "",
+      JSON.stringify(bullets || []),
+      body_markdown,
+      windowStart,
+      windowEnd,
+      model_name || "",
+      prompt_version || "",
+      status,
+      publish_rule,
+      writtenFrom,
+    ]
   );
-  return res.rows[0].id;
+  const storyId = res.rows[0].id;
+  await audit(client, storyId, { action: "create", toStatus: status, details: { story_type, publish_rule } });
+  return storyId;
 }
 
+// Rewrites a story in place as its next version; the text it replaces goes to story_versions.
+// `action` is "rewrite" (new items) or "regenerate" (an editor asked; clears the request).
+async function updateStory(
+  client,
+  storyId,
+  { title, dek, bullets, body_markdown, model_name, prompt_version, status, publish_rule, writtenFrom = [], action = "rewrite" }
+) {
+  await client.query(
+    `
+    INSERT INTO story_versions
+      (story_id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, written_at)
+    SELECT id, version, title, dek, bullets_json, body_markdown, model_name, prompt_version, COALESCE(revised_at, created_at)
+    FROM stories
+    WHERE id = $1
+    `,
+    [storyId]
+  );
+
+  const res = await client.query(
+    `
+    UPDATE stories st
+    SET title = $2,
+        dek = $3,
+        bullets_json = $4::jsonb,
+        body_markdown = $5,
+        model_name = $6,
+        status = $7,
+        publish_rule = $8,
+        prompt_version = $9,
+        regenerate_requested_at = CASE WHEN $10 = 'regenerate' THEN NULL ELSE st.regenerate_requested_at END,
+        written_from_item_ids = $11::bigint[],
+        version = st.version + 1,
+        revised_at = NOW(),
+        updated_at = NOW()
+    FROM (SELECT status FROM stories WHERE id = $1) old
+    WHERE st.id = $1
+    RETURNING old.status AS from_status, st.version
+    `,
+    [
+      storyId,
+      title,
+      dek || "",
+      JSON.stringify(bullets || []),
+      body_markdown,
+      model_name || "",
+      status,
+      publish_rule,
+      prompt_version || "",
+      action,
+      writtenFrom,
+    ]
+  );
+  const row = res.rows[0];
+  await audit(client, storyId, { action, fromStatus: row?.from_status ?? null, toStatus: status, details: { version: row?.version } });
+}
+
+// The story_sources rows for each source in `used_source_indexes`, numbered as the text cites it
+// ([n] = items[n - 1]).
+function sourceRows(items, usedIndexes) {
+  return usedIndexes.map((n) => {
+    const it = items[n - 1];
+    return {
+      feed_item_id: it.id,
+      source_link: it.link,
+      source_title: it.title,
+      source_published_at: it.published_at,
+      citation_number: n,
+    };
+  });
+}
+
+// Same for stories written from earlier stories ([n] = stories[n - 1]).
+function citedStoryRows(stories, usedIndexes) {
+  return usedIndexes.map((n) => ({ cited_story_id: stories[n - 1].id, citation_number: n }));
+}
+
+// On a rewrite, sources only the earlier version cited keep their row without a number.
 async function insertStorySources(client, storyId, items, usedIndexes) {
-  const usedSet = new Set((usedIndexes || []).map((n) => Number(n)));
-  const chosen = [];
-
-  // If model didn't specify, fallback to first 6 items
-  if (usedSet.size === 0) {
-    for (let i = 0; i < Math.min(6, items.length); i++) chosen.push(items[i]);
-  } else {
-    for (const idx of usedSet) {
-      const it = items[idx - 1];
-      if (it) chosen.push(it);
-    }
+  await client.query(`UPDATE story_sources SET citation_number = NULL WHERE story_id = $1`, [storyId]);
+
+  for (const row of sourceRows(items, usedIndexes)) {
+    await client.query(
+      `
+      INSERT INTO story_sources (story_id, feed_item_id, source_link, source_title, source_published_at, citation_number)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (story_id, feed_item_id) DO UPDATE SET citation_number = EXCLUDED.citation_number
+      `,
+      [storyId, row.feed_item_id, row.source_link, row.source_title, row.source_published_at, row.citation_number]
+    );
   }
+}
 
-  for (const it of chosen) {
+async function insertCitedStories(client, storyId, stories, usedIndexes) {
+  await client.query(`UPDATE story_cited_stories SET citation_number = NULL WHERE story_id = $1`, [storyId]);
+
+  for (const row of citedStoryRows(stories, usedIndexes)) {
     await client.query(
       `
-      INSERT INTO story_sources (story_id, feed_item_id, source_link, source_title, source_published_at)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT DO NOTHING
+      INSERT INTO story_cited_stories (story_id, cited_story_id, citation_number)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (story_id, cited_story_id) DO UPDATE SET citation_number = EXCLUDED.citation_number
       `,
-      [storyId, it.id, it.link, it.title, it.published_at]
+      [storyId, row.cited_story_id, row.citation_number]
     );
   }
 }
 
+// A rewrite of a published story that needs review goes to story_pending_revisions instead of
+// replacing the live text; /admin/stories applies it on approval. `action` is "rewrite" or
+// "regenerate" (which also clears the editor's request).
+async function savePendingRevision(
+  client,
+  storyId,
+  { action, title, dek, bullets, body_markdown, model_name, prompt_version, publish_rule, writtenFrom = [], sources = [], citedStories = [] }
+) {
+  await client.query(
+    `
+    INSERT INTO story_pending_revisions
+      (story_id, action, title, dek, bullets_json, body_markdown, model_name, prompt_version, publish_rule,
+       written_from_item_ids, sources, cited_stories)
+    VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10::bigint[], $11::jsonb, $12::jsonb)
+    ON CONFLICT (story_id) DO UPDATE SET
+      action = EXCLUDED.action,
+      title = EXCLUDED.title,
+      dek = EXCLUDED.dek,
+      bullets_json = EXCLUDED.bullets_json,
+      body_markdown = EXCLUDED.body_markdown,
+      model_name = EXCLUDED.model_name,
+      prompt_version = EXCLUDED.prompt_version,
+      publish_rule = EXCLUDED.publish_rule,
+      written_from_item_ids = EXCLUDED.written_from_item_ids,
+      sources = EXCLUDED.sources,
+      cited_stories = EXCLUDED.cited_stories,
+      created_at = NOW()
+    `,
+    [
+      storyId,
+      action,
+      title,
+      dek || "",
+      JSON.stringify(bullets || []),
+      body_markdown,
+      model_name || "",
+      prompt_version || "",
+      publish_rule,
+      writtenFrom,
+      JSON.stringify(sources),
+      JSON.stringify(citedStories),
+    ]
+  );
+  if (action === "regenerate") {
+    await client.query(`UPDATE stories SET regenerate_requested_at = NULL WHERE id = $1`, [storyId]);
+  }
+  await audit(client, storyId, { action: "revision_pending", fromStatus: "published", toStatus: "published", details: { action } });
+}
+
+// One representative per story cluster (the item whose tier allows the most), carrying every
+// clustered item from this county (or region) in `members` so stories can cite all of them.
+function collapseClusters(items) {
+  const byCluster = new Map();
+  for (const it of items) {
+    const key = it.cluster_id ?? `item:${it.id}`;
+    if (!byCluster.has(key)) byCluster.set(key, []);
+    byCluster.get(key).push(it);
+  }
+
+  const out = [];
+  for (const members of byCluster.values()) {
+    members.sort((a, b) => RULE_RANK[a.rule] - RULE_RANK[b.rule]);
+    out.push({ ...members[0], members });
+  }
+  return out;
+}
+
+function isCorroborated(it) {
+  return Number(it.cluster_source_count) >= 2;
+}
+
+function itemTime(it) {
+  return new Date(it.published_at || it.created_at);
+}
+
+// auto rule: every fresh tier 1A item (one per cluster) gets its own breaking brief, written from
+// that post alone. The rest of its cluster counts as covered so it doesn't get a second brief.
+async function writeBreakingBriefs(ctx) {
+  const { client, state, county, items, briefs, briefCutoff, budget, autoPublish, stats } = ctx;
+  const status = publishedStatusFor("breaking", autoPublish);
+
+  for (const it of items) {
+    if (it.rule !== "auto" || it.members.some((m) => briefs.has(m.id))) continue;
+    if (itemTime(it) < briefCutoff) continue;
+    if (budget.remaining <= 0) return;
+    budget.remaining--;
+
+    try {
+      const { parsed, model, generation } = await writeWithAI(breakingPrompt({ state, county, item: it }));
+      const at = itemTime(it);
+
+      const storyId = await inTransaction(client, async () => {
+        const id = await insertStory(client, {
+          state,
+          county,
+          windowStart: at,
+          windowEnd: at,
+          title: parsed.title,
+          dek: parsed.dek,
+          bullets: parsed.bullets,
+          body_markdown: parsed.body_markdown,
+          model_name: model,
+          prompt_version: generation.prompt_version,
+          story_type: "breaking",
+          status,
+          publish_rule: "auto",
+          writtenFrom: it.members.map((m) => m.id),
+        });
+        await insertStorySources(client, id, [it], parsed.used_source_indexes);
+        await recordGeneration(client, id, generation);
+        return id;
+      });
+      for (const m of it.members) briefs.set(m.id, { id: storyId, status });
+
+      console.log(`Created breaking brief ${storyId} for ${state}/${county} (${status}): ${it.title}`);
+      stats.created++;
+    } catch (e) {
+      console.error(`FAILED breaking brief ${state}/${county}: ${e.message}`);
+      stats.failed++;
+    }
+  }
+}
+
+// developing rule: a tier 2 item gets a draft; once its cluster holds a report from another
+// source, the draft is rewritten from the cluster and published (or sent to review, per auto_publish).
+async function writeDevelopingStories(ctx) {
+  const { client, state, county, items, briefs, briefCutoff, budget, autoPublish, stats } = ctx;
+
+  for (const it of items) {
+    if (it.rule !== "developing") continue;
+
+    const own = briefs.get(it.id);
+    if (own && own.status !== "draft") continue;
+
+    const corroborated = isCorroborated(it);
+    const storyItems = it.members;
+    const existing = own || storyItems.map((x) => briefs.get(x.id)).find((b) => b?.status === "draft");
+
+    if (existing && !corroborated) continue; // still waiting on a second source
+    if (existing?.edited) continue; // an editor's draft
+    if (!existing && itemTime(it) < briefCutoff) continue;
+
+    if (budget.remaining <= 0) return;
+    budget.remaining--;
+
+    const status = corroborated ? publishedStatusFor("brief", autoPublish) : "draft";
+    const times = storyItems.map(itemTime);
+    const windowStart = new Date(Math.min(...times));
+    const windowEnd = new Date(Math.max(...times));
+
+    try {
+      const { parsed, model, generation } = await writeWithAI(briefPrompt({ state, county, items: storyItems }));
+      const fields = {
+        title: parsed.title,
+        dek: parsed.dek,
+        bullets: parsed.bullets,
+        body_markdown: parsed.body_markdown,
+        model_name: model,
+        prompt_version: generation.prompt_version,
+        status,
+        publish_rule: "developing",
+        writtenFrom: storyItems.map((x) => x.id),
+      };
+
+      const storyId = await inTransaction(client, async () => {
+        let id = existing?.id;
+        if (id) await updateStory(client, id, fields);
+        else id = await insertStory(client, { state, county, windowStart, windowEnd, story_type: "brief", ...fields });
+        await insertStorySources(client, id, storyItems, parsed.used_source_indexes);
+        await recordGeneration(client, id, generation);
+        return id;
+      });
+      if (existing) stats.updated++;
+      else stats.created++;
+      for (const x of storyItems) briefs.set(x.id, { id: storyId, status });
+
+      console.log(
+        corroborated
+          ? `Developing story ${storyId} for ${state}/${county} is now ${status}: reported by ${it.cluster_source_count} sources`
+          : `Created developing story ${storyId} for ${state}/${county} (draft until corroborated)`
+      );
+    } catch (e) {
+      console.error(`FAILED developing ${state}/${county}: ${e.message}`);
+      stats.failed++;
+    }
+  }
+}
+
+// Tier 1B items revise the edition's roundup right away; other new items wait until the last
+// revision is this old, so a busy county isn't rewritten on every run.
+const REVISE_AFTER_MINUTES = Number(process.env.ROUNDUP_REVISE_MINUTES || "60");
+
+// A regional roundup needs items from at least this many of its counties; with fewer it would
+// only repeat that county's own roundup.
+const REGIONAL_MIN_COUNTIES = 2;
+
+// Roundups, one per edition (utils/editions.js): a county's, or a region's when `ctx.region` is set
+// (state and county are then ''). Uncorroborated tier 2 items stay out. Once the edition's roundup
+// exists, items it wasn't written from revise it in place, unless an editor has edited or approved
+// it. A published roundup whose revision needs review stays up until the revision is approved.
+async function writeRoundup(ctx) {
+  const { client, state, county, region, items, edition, autoPublish, stats } = ctx;
+  const storyType = region ? "regional" : "roundup";
+  const label = region ? `${region.name} regional` : `${state}/${county}`;
+  const status = publishedStatusFor(storyType, autoPublish);
+  const eligible = items.filter(
+    (it) =>
+      (it.rule !== "developing" || isCorroborated(it)) && itemTime(it) >= edition.start && itemTime(it) < edition.end
+  );
+
+  const current = await findEditionStory(client, { storyType, state, county, region: region?.name ?? "", edition });
+  if (current?.status === "retracted" || current?.edited) {
+    stats.skipped++;
+    return;
+  }
+
+  let triggers = [];
+  if (current) {
+    const fresh = eligible.filter((it) => !it.members.some((m) => current.feedItemIds.has(m.id)));
+    triggers = fresh.filter((it) => it.rule === "trigger_update");
+    const due = Date.now() - current.lastWrittenAt.getTime() >= REVISE_AFTER_MINUTES * 60_000;
+    if (!fresh.length || (!triggers.length && !due)) {
+      stats.skipped++;
+      return;
+    }
+  } else if (
+    eligible.length < 3 ||
+    (region && new Set(eligible.map((it) => `${it.state}/${it.county}`)).size < REGIONAL_MIN_COUNTIES)
+  ) {
+    // skip tiny groups (not enough to make a roundup)
+    stats.skipped++;
+    return;
+  }
+
+  try {
+    const span = { windowStart: edition.start, windowEnd: edition.end };
+    const { parsed, model, generation } = await writeWithAI(
+      region
+        ? regionalPrompt({ region, items: eligible, ...span })
+        : roundupPrompt({ state, county, items: eligible, ...span })
+    );
+    const fields = {
+      title: parsed.title,
+      dek: parsed.dek,
+      bullets: parsed.bullets,
+      body_markdown: parsed.body_markdown,
+      model_name: model,
+      prompt_version: generation.prompt_version,
+      writtenFrom: eligible.flatMap((it) => it.members.map((m) => m.id)),
+    };
+
+    if (current) {
+      const publish_rule = triggers.length ? "trigger_update" : "auto";
+      const pending = current.status === "published" && status !== "published";
+      await inTransaction(client, async () => {
+        if (pending) {
+          const sources = sourceRows(eligible, parsed.used_source_indexes);
+          await savePendingRevision(client, current.id, { ...fields, publish_rule, action: "rewrite", sources });
+        } else {
+          await updateStory(client, current.id, { ...fields, status, publish_rule });
+          await insertStorySources(client, current.id, eligible, parsed.used_source_indexes);
+        }
+        await recordGeneration(client, current.id, generation);
+      });
+      console.log(
+        `${pending ? "Queued a revision of" : "Revised"} ${edition.name} ${label} roundup ${current.id} ` +
+          `(${pending ? "published; revision in review" : status}): ` +
+          `${triggers.length} tier 1B item(s), ${eligible.length} items in all`
+      );
+      stats.updated++;
+      return;
+    }
+
+    const storyId = await inTransaction(client, async () => {
+      const id = await insertStory(client, {
+        state,
+        county,
+        region: region?.name ?? "",
+        story_type: storyType,
+        ...span,
+        ...fields,
+        status,
+        publish_rule: "auto",
+      });
+      await insertStorySources(client, id, eligible, parsed.used_source_indexes);
+      await recordGeneration(client, id, generation);
+      return id;
+    });
+
+    console.log(`Created ${edition.name} ${label} roundup ${storyId} (${status}) from ${eligible.length} items`);
+    stats.created++;
+  } catch (e) {
+    console.error(`FAILED ${label} roundup: ${e.message}`);
+    stats.failed++;
+  }
+}
+
+// A county needs this many published roundups in a week to get a digest for it.
+const DIGEST_MIN_ROUNDUPS = Number(process.env.DIGEST_MIN_ROUNDUPS || "2");
+
+// The published roundups a digest is (or will be) written from, oldest first.
+async function loadWeekRoundups(client, { state, county, week }) {
+  const res = await client.query(
+    `
+    SELECT id, title, dek, bullets_json, time_window_start
+    FROM stories
+    WHERE state = $1 AND county = $2
+      AND story_type = 'roundup'
+      AND status = 'published'
+      AND time_window_start >= $3 AND time_window_start < $4
+    ORDER BY time_window_start
+    `,
+    [state, county, week.start, week.end]
+  );
+  return res.rows;
+}
+
+// Weekly digest per county for the last complete week (Monday to Monday, editions timezone),
+// written once from that week's published roundups. A county without enough roundups gets none.
+async function writeWeeklyDigests(client, { week, autoPublish, stats }) {
+  const status = publishedStatusFor("digest", autoPublish);
+  const res = await client.query(
+    `
+    SELECT st.state, st.county
+    FROM stories st
+    WHERE st.story_type = 'roundup'
+      AND st.status = 'published'
+      AND st.time_window_start >= $1 AND st.time_window_start < $2
+      AND NOT EXISTS (
+        SELECT 1 FROM stories d
+        WHERE d.story_type = 'digest' AND d.state = st.state AND d.county = st.county
+          AND d.time_window_start = $1 AND d.time_window_end = $2
+      )
+    GROUP BY st.state, st.county
+    HAVING COUNT(*) >= $3
+    `,
+    [week.start, week.end, DIGEST_MIN_ROUNDUPS]
+  );
+
+  for (const { state, county } of res.rows) {
+    const roundups = await loadWeekRoundups(client, { state, county, week });
+    try {
+      const { parsed, model, generation } = await writeWithAI(
+        digestPrompt({ state, county, roundups, weekStart: week.start, weekEnd: week.end })
+      );
+      const storyId = await inTransaction(client, async () => {
+        const id = await insertStory(client, {
+          state,
+          county,
+          windowStart: week.start,
+          windowEnd: week.end,
+          title: parsed.title,
+          dek: parsed.dek,
+          bullets: parsed.bullets,
+          body_markdown: parsed.body_markdown,
+          model_name: model,
+          prompt_version: generation.prompt_version,
+          story_type: "digest",
+          status,
+          publish_rule: "auto",
+        });
+        await insertCitedStories(client, id, roundups, parsed.used_source_indexes);
+        await recordGeneration(client, id, generation);
+        return id;
+      });
+
+      console.log(`Created weekly digest ${storyId} (${status}) for ${state}/${county} from ${roundups.length} roundups`);
+      stats.created++;
+    } catch (e) {
+      console.error(`FAILED digest ${state}/${county}: ${e.message}`);
+      stats.failed++;
+    }
+  }
+}
+
+// The prompt a story type is written with, rebuilt from the sources of an existing story.
+function regeneratePrompt(story, sources, regions) {
+  const { state, county } = story;
+  const span = { windowStart: story.time_window_start, windowEnd: story.time_window_end };
+  switch (story.story_type) {
+    case "breaking":
+      return breakingPrompt({ state, county, item: sources[0] });
+    case "brief":
+      return briefPrompt({ state, county, items: sources });
+    case "digest":
+      return digestPrompt({ state, county, roundups: sources, weekStart: span.windowStart, weekEnd: span.windowEnd });
+    case "regional": {
+      // A region renamed or removed from sources.yaml since keeps the counties its items came from.
+      const region = regions.find((r) => r.name === story.region) ?? {
+        name: story.region,
+        counties: [...new Set(sources.map((it) => `${it.state}/${it.county}`))].map((k) => {
+          const [st, co] = k.split("/");
+          return { state: st, county: co };
+        }),
+      };
+      return regionalPrompt({ region, items: sources, ...span });
+    }
+    default:
+      return roundupPrompt({ state, county, items: sources, ...span });
+  }
+}
+
+// Stories an editor asked to regenerate (/admin/stories), rewritten from the items (or, for digests,
+// the roundups) they were written from. The result always goes back to review; for a published
+// story it waits as a pending revision and the published text stays up meanwhile.
+async function regenerateRequested(client, { regions, stats }) {
+  const res = await client.query(
+    `
+    SELECT id, state, county, region, story_type, status, publish_rule, time_window_start, time_window_end
+    FROM stories
+    WHERE regenerate_requested_at IS NOT NULL
+    ORDER BY regenerate_requested_at
+    `
+  );
+
+  for (const story of res.rows) {
+    const digest = story.story_type === "digest";
+    const sources = digest
+      ? await loadWeekRoundups(client, {
+          state: story.state,
+          county: story.county,
+          week: { start: story.time_window_start, end: story.time_window_end },
+        })
+      : (
+          await client.query(
+            `
+            SELECT fi.id, fi.title, fi.link, fi.published_at, fi.summary, fi.created_at, s.source_name, s.state, s.county
+            FROM feed_items fi
+            JOIN sources s ON s.id = fi.source_id
+            LEFT JOIN story_sources ss ON ss.story_id = $1 AND ss.feed_item_id = fi.id
+            WHERE ss.story_id IS NOT NULL
+               OR fi.id IN (SELECT unnest(written_from_item_ids) FROM stories WHERE id = $1)
+            ORDER BY ss.citation_number NULLS LAST, fi.published_at DESC NULLS LAST
+            `,
+            [story.id]
+          )
+        ).rows.map((it) => ({ ...it, id: Number(it.id) }));
+    const label = story.region || `${story.state}/${story.county}`;
+    if (!sources.length) {
+      console.error(`Cannot regenerate story ${story.id}: its source ${digest ? "roundups" : "items"} are gone`);
+      stats.failed++;
+      continue;
+    }
+
+    try {
+      const { parsed, model, generation } = await writeWithAI(regeneratePrompt(story, sources, regions));
+
+      const fields = {
+        title: parsed.title,
+        dek: parsed.dek,
+        bullets: parsed.bullets,
+        body_markdown: parsed.body_markdown,
+        model_name: model,
+        prompt_version: generation.prompt_version,
+        publish_rule: story.publish_rule,
+        writtenFrom: digest ? [] : sources.map((it) => it.id),
+      };
+      const pending = story.status === "published";
+      await inTransaction(client, async () => {
+        if (pending) {
+          await savePendingRevision(client, story.id, {
+            ...fields,
+            action: "regenerate",
+            sources: digest ? [] : sourceRows(sources, parsed.used_source_indexes),
+            citedStories: digest ? citedStoryRows(sources, parsed.used_source_indexes) : [],
+          });
+        } else {
+          await updateStory(client, story.id, { ...fields, status: "in_review", action: "regenerate" });
+          if (digest) {
+            await insertCitedStories(client, story.id, sources, parsed.used_source_indexes);
+          } else {
+            await insertStorySources(client, story.id, sources, parsed.used_source_indexes);
+          }
+        }
+        await recordGeneration(client, story.id, generation);
+      });
+
+      console.log(
+        `Regenerated ${story.story_type} ${story.id} for ${label} (${pending ? "published; revision in review" : "in_review"})`
+      );
+      stats.updated++;
+    } catch (e) {
+      console.error(`FAILED regenerate ${story.id}: ${e.message}`);
+      stats.failed++;
+    }
+  }
+}
+
 async function main() {
   console.log("Starting Story Writer…");
 
-  // default: last 24 hours
+  const config = loadValidatedConfig();
+  const rules = config?.defaults?.publish_rules || {};
+  const autoPublish = config?.defaults?.auto_publish || {};
+  const regions = listRegions(config);
+
+  // Roundups cover the current edition; briefs and developing stories look back
+  // STORY_WINDOW_HOURS (default 24), or to the edition's start if that is earlier.
   const windowHours = Number(process.env.STORY_WINDOW_HOURS || "24");
   const windowEnd = new Date();
-  const windowStart = hoursAgo(windowHours);
+  const editions = loadEditions(config);
+  const edition = editionFor(windowEnd, editions);
+  // Digests cover the last complete week.
+  const lastWeek = weekFor(new Date(weekFor(windowEnd, editions).start.getTime() - 1), editions);
+  const windowStart = new Date(Math.min(hoursAgo(windowHours).getTime(), edition.start.getTime()));
+
+  // Single-item stories only for items this fresh, and only this many per run.
+  const briefCutoff = hoursAgo(Number(process.env.BRIEF_LOOKBACK_HOURS || "6"));
+  const budget = { remaining: Number(process.env.MAX_BRIEFS_PER_RUN || "10") };
 
   const client = await getDbClient();
   try {
-    // Ensure schema exists (db.sql already handles it via worker ensureSchema)
-    const groups = await loadRecentFeedItems(client, { windowStart, windowEnd });
+    await migrateUp(client);
 
-    console.log(`Found ${groups.size} county groups with recent items`);
+    // Stories are written per cluster, so make sure the latest items are in one.
+    await clusterRecentItems(client);
 
-    let created = 0;
-    let skipped = 0;
-    let failed = 0;
+    const groups = await loadRecentFeedItems(client, { windowStart, windowEnd });
 
-    for (const [key, items] of groups.entries()) {
-      const [state, county] = key.split("||");
+    console.log(`Found ${groups.size} county groups with recent items (${edition.name} edition from ${iso(edition.start)})`);
+    const stats = { created: 0, updated: 0, skipped: 0, failed: 0 };
 
-      // skip tiny groups (not enough to make a roundup)
-      if (items.length < 3) {
-        skipped++;
-        continue;
-      }
-
-      const exists = await storyAlreadyExists(client, { state, county, windowStart, windowEnd });
-      if (exists) {
-        skipped++;
-        continue;
-      }
-
-      const { system, user } = buildPrompt({ state, county, items, windowStart, windowEnd });
-
-      try {
-        const ai = await callAI({
-          messages: [
-            { role: "system", content: system },
-            { role: "user", content: user },
-          ],
-        });
+    await regenerateRequested(client, { regions, stats });
 
-        let parsed;
-        try {
-          parsed = JSON.parse(ai.text);
-        } catch {
-          throw new Error("AI did not return valid JSON");
-        }
+    const withRules = (rows) => rows.map((it) => ({ ...it, id: Number(it.id), rule: publishRuleFor(it.tier, rules) }));
 
-        const storyId = await insertStory(client, {
-          state,
-          county,
-          windowStart,
-          windowEnd,
-          title: parsed.title || `${county} County Roundup`,
-          dek: parsed.dek || "",
-          bullets: parsed.bullets || [],
-          body_markdown: parsed.body_markdown || "",
-          model_name: ai.model || "",
-        });
+    for (const [key, rows] of groups.entries()) {
+      const [state, county] = key.split("||");
 
-        await insertStorySources(client, storyId, items, parsed.used_source_indexes || []);
+      const items = collapseClusters(withRules(rows));
+      const briefs = await loadBriefsForItems(client, rows.map((it) => Number(it.id)));
 
-        console.log(`Created story ${storyId} for ${state}/${county} from ${items.length} items`);
-        created++;
-      } catch (e) {
-        console.error(`FAILED ${state}/${county}: ${e.message}`);
-        failed++;
-      }
+      const ctx = { client, state, county, items, briefs, briefCutoff, budget, autoPublish, edition, stats };
+      await writeBreakingBriefs(ctx);
+      await writeDevelopingStories(ctx);
+      await writeRoundup(ctx);
     }
 
-    console.log(`Writer done. Created=${created}, Skipped=${skipped}, Failed=${failed}`);
+    for (const region of regions) {
+      const rows = region.counties.flatMap(({ state, county }) => groups.get(`${state}||${county}`) || []);
+      // Newest first across counties, since the prompt only lists the first MAX_PROMPT_SOURCES.
+      const items = collapseClusters(withRules(rows)).sort((a, b) => itemTime(b) - itemTime(a));
+      await writeRoundup({ client, state: "", county: "", region, items, edition, autoPublish, stats });
+    }
+
+    await writeWeeklyDigests(client, { week: lastWeek, autoPublish, stats });
+
+    console.log(
+      `Writer done. Created=${stats.created}, Updated=${stats.updated}, Skipped=${stats.skipped}, Failed=${stats.failed}`
+    );
   } finally {
     await client.end();
   }
@@ -0,0 +1,134 @@
+import { tierKey } from "../utils/config.js";
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const MAX_BACKOFF_FACTOR = 8;
+const TIER_RANK = { tier_1a: 0, tier_1b: 1, tier_2: 2 };
+const URGENT_SOURCE_TYPES = new Set(["sheriff", "em"]);
+
+export function sourceKey(src) {
+  return `${src.state}/${src.county}/${src.source_name}`;
+}
+
+export function intervalMinutesFor(src, intervals, fallback = DEFAULT_INTERVAL_MINUTES) {
+  const v = Number(intervals?.[tierKey(src.tier)]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+// Lower runs first: tier, then sheriff/EM ahead of everything else in the same tier.
+function priorityOf(src) {
+  const tierRank = TIER_RANK[tierKey(src.tier)] ?? 3;
+  return tierRank * 2 + (URGENT_SOURCE_TYPES.has(src.source_type) ? 0 : 1);
+}
+
+/**
+ * Polls every source on its own cadence (`defaults.check_intervals_minutes` by tier).
+ * Each worker slot picks the most urgent due source, so a tier 1A sheriff feed that
+ * comes due mid-sweep is taken next instead of waiting for the rest of the sweep.
+ * A failing source backs off (interval x2, x4 … up to x8) without affecting the others.
+ */
+export function createScheduler({
+  sources,
+  intervals,
+  runJob,
+  concurrency = 2,
+  pauseMs = 0,
+  defaultIntervalMinutes = DEFAULT_INTERVAL_MINUTES,
+  maxIdleMs = 30_000,
+}) {
+  const startedAt = Date.now();
+  const jobs = sources.map((src) => ({
+    src,
+    key: sourceKey(src),
+    intervalMs: intervalMinutesFor(src, intervals, defaultIntervalMinutes) * 60_000,
+    priority: priorityOf(src),
+    nextDueAt: startedAt,
+    failures: 0,
+    running: false,
+  }));
+
+  let stopping = false;
+  const waiters = new Set();
+
+  function wakeAll() {
+    for (const w of waiters) w();
+    waiters.clear();
+  }
+
+  function idle(ms) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(t);
+        waiters.delete(done);
+        resolve();
+      };
+      const t = setTimeout(done, Math.max(0, ms));
+      waiters.add(done);
+    });
+  }
+
+  function nextDueJob() {
+    const now = Date.now();
+    let best = null;
+    for (const job of jobs) {
+      if (job.running || job.nextDueAt > now) continue;
+      if (
+        !best ||
+        job.priority < best.priority ||
+        (job.priority === best.priority && job.nextDueAt < best.nextDueAt)
+      ) {
+        best = job;
+      }
+    }
+    return best;
+  }
+
+  function msUntilNextDue() {
+    const now = Date.now();
+    let soonest = Infinity;
+    for (const job of jobs) {
+      if (!job.running) soonest = Math.min(soonest, job.nextDueAt - now);
+    }
+    return Math.min(soonest, maxIdleMs);
+  }
+
+  async function runSlot() {
+    while (!stopping) {
+      const job = nextDueJob();
+      if (!job) {
+        await idle(msUntilNextDue());
+        continue;
+      }
+
+      job.running = true;
+      const started = Date.now();
+      try {
+        await runJob(job.src);
+        job.failures = 0;
+      } catch (err) {
+        job.failures += 1;
+        console.error(`[scheduler] ${job.key} failed (${job.failures} in a row): ${err?.message || err}`);
+      } finally {
+        const factor = Math.min(2 ** job.failures, MAX_BACKOFF_FACTOR);
+        job.nextDueAt = started + job.intervalMs * factor;
+        job.running = false;
+      }
+
+      if (pauseMs > 0 && !stopping) await idle(pauseMs);
+    }
+  }
+
+  return {
+    async run() {
+      console.log(`[scheduler] ${jobs.length} sources, concurrency=${concurrency}`);
+      const slots = Array.from({ length: Math.max(1, concurrency) }, () => runSlot());
+      await Promise.all(slots);
+      console.log("[scheduler] stopped");
+    },
+
+    // Finishes in-flight sources, then lets run() resolve.
+    stop() {
+      stopping = true;
+      wakeAll();
+    },
+  };
+}
@@ -1,27 +1,55 @@
 /**
  * Panhandle Pulse — GDELT Search Ingest Worker (ESM) — FINAL
  *
- * Writes GDELT results into a dedicated ingest table that matches what GDELT can provide.
+ * Writes GDELT results into a dedicated ingest table that matches what GDELT can provide
+ * (created by db/migrations/002_search_articles.sql).
  * DOES NOT write to `stories` (because `stories` requires body_markdown NOT NULL).
  *
+ * Counties and their queries come from sources.yaml (see listSearchCounties in utils/config.js).
+ * Each hit gets a relevance score (process/relevance.js); hits below MIN_RELEVANCE are dropped.
+ * A bare GDELT match scores 0.2; the default needs the county name, its state or an include term.
+ * A window that returns MAX_RECORDS results is split in half and fetched again, down to
+ * MIN_WINDOW_MINUTES, so busy windows aren't truncated.
+ *
+ * Usage:
+ *   node search_ingest.js                                  the last LOOKBACK_HOURS
+ *   node search_ingest.js --backfill --from 2026-09-01 [--to 2026-10-01] [--county FL/Escambia]
+ *     walks the range in BACKFILL_WINDOW_HOURS windows (GDELT keeps about three months)
+ *
  * Required ENV:
  * - DATABASE_URL
  *
  * Optional ENV:
- * - TARGET_TABLE (default: panhandle_search_articles)
+ * - TARGET_TABLE (default: panhandle_search_articles; any other table must already exist with the same columns)
  * - GDELT_DOC_API (default: https://api.gdeltproject.org/api/v2/doc/doc)
  * - LOOKBACK_HOURS (default: 12)
- * - MAX_RECORDS (default: 50)
+ * - MAX_RECORDS (default: 250, GDELT's maximum)
  * - MIN_KEYWORD_LEN (default: 4)
+ * - MIN_RELEVANCE (default: 0.5)
+ * - MIN_WINDOW_MINUTES (default: 15)
+ * - BACKFILL_WINDOW_HOURS (default: 24)
+ * - GDELT_PAUSE_MS (default: 5000; GDELT asks for at most one request every 5 seconds)
  */
 
 import { Pool } from 'pg';
+import { canonicalUrl } from './process/canonicalize.js';
+import { clusterRecentItems } from './process/cluster.js';
+import { classifyRecentItems } from './process/topics.js';
+import { tagRecentPlaces } from './process/places.js';
+import { migrateUp } from './db/migrator.js';
+import { scoreArticle } from './process/relevance.js';
+import { listSearchCounties } from './utils/config.js';
+import { loadValidatedConfig } from './utils/validateConfig.js';
 
 const TARGET_TABLE = process.env.TARGET_TABLE || 'panhandle_search_articles';
 const GDELT_DOC_API = process.env.GDELT_DOC_API || 'https://api.gdeltproject.org/api/v2/doc/doc';
 const LOOKBACK_HOURS = Number(process.env.LOOKBACK_HOURS || 12);
-const MAX_RECORDS = Number(process.env.MAX_RECORDS || 50);
+const MAX_RECORDS = Math.min(Number(process.env.MAX_RECORDS || 250), 250);
 const MIN_KEYWORD_LEN = Number(process.env.MIN_KEYWORD_LEN || 4);
+const MIN_RELEVANCE = Number(process.env.MIN_RELEVANCE || 0.5);
+const MIN_WINDOW_MINUTES = Number(process.env.MIN_WINDOW_MINUTES || 15);
+const BACKFILL_WINDOW_HOURS = Number(process.env.BACKFILL_WINDOW_HOURS || 24);
+const GDELT_PAUSE_MS = Number(process.env.GDELT_PAUSE_MS || 5000);
 
 if (!process.env.DATABASE_URL) {
   console.error('FATAL: DATABASE_URL is not set');
@@ -36,26 +64,29 @@ const pool = new Pool({
 // ------------------------------
 // Regions / Queries
 // ------------------------------
-const REGIONS = [
-  { tag: 'GDELT FL/Escambia', state: 'FL', county: 'Escambia', queries: ['"Escambia County" "Florida"'] },
-  { tag: 'GDELT FL/Santa_Rosa', state: 'FL', county: 'Santa Rosa', queries: ['"Santa Rosa County" "Florida"'] },
-  { tag: 'GDELT FL/Okaloosa', state: 'FL', county: 'Okaloosa', queries: ['"Okaloosa County" "Florida"'] },
-  { tag: 'GDELT FL/Walton', state: 'FL', county: 'Walton', queries: ['"Walton County" "Florida"'] },
-  { tag: 'GDELT FL/Bay', state: 'FL', county: 'Bay', queries: ['"Bay County" "Florida"'] },
-  { tag: 'GDELT FL/Gulf', state: 'FL', county: 'Gulf', queries: ['"Gulf County" "Florida"'] },
-  { tag: 'GDELT FL/Franklin', state: 'FL', county: 'Franklin', queries: ['"Franklin County" "Florida"'] },
-  { tag: 'GDELT FL/Holmes', state: 'FL', county: 'Holmes', queries: ['"Holmes County" "Florida"'] },
-  { tag: 'GDELT FL/Washington', state: 'FL', county: 'Washington', queries: ['"Washington County" "Florida"'] },
-  { tag: 'GDELT FL/Jackson', state: 'FL', county: 'Jackson', queries: ['"Jackson County" "Florida"'] },
-  { tag: 'GDELT FL/Calhoun', state: 'FL', county: 'Calhoun', queries: ['"Calhoun County" "Florida"'] },
-
-  { tag: 'GDELT AL/Mobile', state: 'AL', county: 'Mobile', queries: ['"Mobile County" "Alabama"'] },
-  { tag: 'GDELT AL/Baldwin', state: 'AL', county: 'Baldwin', queries: ['"Baldwin County" "Alabama"'] },
-  { tag: 'GDELT AL/Escambia', state: 'AL', county: 'Escambia', queries: ['"Escambia County" "Alabama"'] },
-  { tag: 'GDELT AL/Covington', state: 'AL', county: 'Covington', queries: ['"Covington County" "Alabama"'] },
-  { tag: 'GDELT AL/Geneva', state: 'AL', county: 'Geneva', queries: ['"Geneva County" "Alabama"'] },
-  { tag: 'GDELT AL/Houston', state: 'AL', county: 'Houston', queries: ['"Houston County" "Alabama"'] }
-];
+function quote(term) {
+  return `"${String(term).replace(/"/g, '').trim()}"`;
+}
+
+// `"Houston County" ("Alabama" OR "Dothan") -"Warner Robins"`, unless sources.yaml lists its own `queries`.
+function queriesFor(target) {
+  if (target.queries.length) return target.queries;
+  const any = [target.stateName, ...target.include].map(quote);
+  const anyPart = any.length > 1 ? `(${any.join(' OR ')})` : any[0];
+  const not = target.exclude.map((t) => `-${quote(t)}`);
+  return [[quote(target.name), anyPart, ...not].join(' ')];
+}
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function parseDay(value, flag) {
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T00:00:00Z` : value);
+  if (!value || Number.isNaN(d.getTime())) throw new Error(`${flag} must be a date like 2026-09-01, got "${value ?? ''}"`);
+  return d;
+}
 
 // ------------------------------
 // Helpers
@@ -104,7 +135,13 @@ function buildGdeltUrl({ query, startdatetime, enddatetime, maxrecords }) {
   return `${GDELT_DOC_API}?${params.toString()}`;
 }
 
+let lastRequestAt = 0;
+
 async function fetchJson(url) {
+  const wait = lastRequestAt + GDELT_PAUSE_MS - Date.now();
+  if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+  lastRequestAt = Date.now();
+
   const res = await fetch(url, { method: 'GET' });
   if (!res.ok) {
     const text = await res.text().catch(() => '');
@@ -113,41 +150,47 @@ async function fetchJson(url) {
   return res.json();
 }
 
+// All hits for [start, end): a window that comes back full is split in half until it doesn't,
+// or until it is MIN_WINDOW_MINUTES long (then the rest is lost and we say so).
+async function fetchWindow(query, start, end, stats) {
+  const url = buildGdeltUrl({
+    query,
+    startdatetime: gdeltUtcStamp(start),
+    enddatetime: gdeltUtcStamp(end),
+    maxrecords: MAX_RECORDS
+  });
+  const json = await fetchJson(url);
+  stats.requests++;
+  const articles = Array.isArray(json?.articles) ? json.articles : [];
+  if (articles.length < MAX_RECORDS) return articles;
+
+  if (end - start <= MIN_WINDOW_MINUTES * 60 * 1000) {
+    console.warn(`[WINDOW] ${gdeltUtcStamp(start)}-${gdeltUtcStamp(end)} still has ${MAX_RECORDS}+ results; some were not fetched`);
+    stats.truncated++;
+    return articles;
+  }
+  const mid = new Date(Math.round((start.getTime() + end.getTime()) / 2));
+  return [...(await fetchWindow(query, start, mid, stats)), ...(await fetchWindow(query, mid, end, stats))];
+}
+
 // ------------------------------
-// DB: ensure ingest table exists
+// DB
 // ------------------------------
-async function ensureIngestTable(tableName) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS ${tableName} (
-      id BIGSERIAL PRIMARY KEY,
-      source TEXT NOT NULL DEFAULT 'GDELT',
-      state TEXT NOT NULL,
-      county TEXT NOT NULL,
-      region_tag TEXT,
-      query TEXT,
-      title TEXT,
-      url TEXT NOT NULL UNIQUE,
-      domain TEXT,
-      published_at TIMESTAMPTZ,
-      fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      image_url TEXT,
-      summary TEXT
-    );
-  `);
-
-  // Helpful indexes (safe if they already exist)
-  await pool.query(`CREATE INDEX IF NOT EXISTS ${tableName}_state_idx ON ${tableName}(state);`);
-  await pool.query(`CREATE INDEX IF NOT EXISTS ${tableName}_county_idx ON ${tableName}(county);`);
-  await pool.query(`CREATE INDEX IF NOT EXISTS ${tableName}_published_idx ON ${tableName}(published_at DESC);`);
-
-  console.log(`[DB] ensured table=${tableName}`);
+async function runMigrations() {
+  const client = await pool.connect();
+  try {
+    const applied = await migrateUp(client);
+    console.log(`[DB] migrations applied=${applied.length}`);
+  } finally {
+    client.release();
+  }
 }
 
 const UPSERT_SQL = (tableName) => `
   INSERT INTO ${tableName}
-    (source, state, county, region_tag, query, title, url, domain, published_at, fetched_at, image_url, summary)
+    (source, state, county, region_tag, query, title, url, domain, published_at, fetched_at, image_url, summary, relevance)
   VALUES
-    ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
   ON CONFLICT (url) DO UPDATE SET
     title = EXCLUDED.title,
     domain = EXCLUDED.domain,
@@ -158,7 +201,10 @@ const UPSERT_SQL = (tableName) => `
     state = EXCLUDED.state,
     county = EXCLUDED.county,
     region_tag = EXCLUDED.region_tag,
-    query = EXCLUDED.query
+    query = EXCLUDED.query,
+    relevance = EXCLUDED.relevance
+  -- A URL several counties' searches return stays with the county it scores best for.
+  WHERE EXCLUDED.relevance >= COALESCE(${tableName}.relevance, 0)
 `;
 
 // ------------------------------
@@ -166,58 +212,84 @@ const UPSERT_SQL = (tableName) => `
 // ------------------------------
 async function run() {
   const started = Date.now();
+  const backfill = process.argv.includes('--backfill');
 
-  console.log(`[CONFIG] gdeltDocApi=${GDELT_DOC_API}`);
-  console.log(`[CONFIG] targetTable=${TARGET_TABLE}`);
-  console.log(`[SEARCH_INGEST_START] ts=${new Date().toISOString()} lookbackHours=${LOOKBACK_HOURS} maxRecords=${MAX_RECORDS} minKeywordLen=${MIN_KEYWORD_LEN}`);
+  const config = loadValidatedConfig();
+  const only = argValue('--county');
+  const targets = listSearchCounties(config).filter((t) => !only || `${t.state}/${t.county}` === only);
+  if (only && !targets.length) throw new Error(`--county ${only} is not an enabled county in sources.yaml`);
 
-  const end = gdeltUtcStamp(new Date());
-  const start = gdeltUtcStamp(new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000));
-  console.log(`[TIME] start=${start} end=${end}`);
+  // Backfill walks [from, to) in BACKFILL_WINDOW_HOURS steps; a normal run is one LOOKBACK_HOURS window.
+  const rangeEnd = backfill && argValue('--to') ? parseDay(argValue('--to'), '--to') : new Date();
+  const rangeStart = backfill
+    ? parseDay(argValue('--from'), '--from')
+    : new Date(rangeEnd.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000);
+  if (rangeStart >= rangeEnd) throw new Error('--from must be before --to');
+  const stepMs = (backfill ? BACKFILL_WINDOW_HOURS : LOOKBACK_HOURS) * 60 * 60 * 1000;
 
-  await ensureIngestTable(TARGET_TABLE);
+  console.log(`[CONFIG] gdeltDocApi=${GDELT_DOC_API}`);
+  console.log(`[CONFIG] targetTable=${TARGET_TABLE} counties=${targets.length}`);
+  console.log(`[SEARCH_INGEST_START] ts=${new Date().toISOString()} mode=${backfill ? 'backfill' : 'recent'} lookbackHours=${LOOKBACK_HOURS} maxRecords=${MAX_RECORDS} minKeywordLen=${MIN_KEYWORD_LEN} minRelevance=${MIN_RELEVANCE}`);
+  console.log(`[TIME] start=${gdeltUtcStamp(rangeStart)} end=${gdeltUtcStamp(rangeEnd)}`);
+
+  await runMigrations();
 
   let totalResults = 0;
   let totalWrites = 0;
+  let totalDropped = 0;
+  const stats = { requests: 0, truncated: 0 };
+
+  for (const target of targets) {
+    const tag = `GDELT ${target.state}/${target.county}`;
 
-  for (const region of REGIONS) {
-    for (const rawQuery of region.queries) {
+    for (const rawQuery of queriesFor(target)) {
       const query = String(rawQuery || '').trim();
       if (!isValidKeyword(query)) continue;
 
-      const url = buildGdeltUrl({
-        query,
-        startdatetime: start,
-        enddatetime: end,
-        maxrecords: MAX_RECORDS
-      });
+      let results = 0;
+      let dropped = 0;
+      let writes = 0;
 
-      try {
-        const json = await fetchJson(url);
-        const articles = Array.isArray(json?.articles) ? json.articles : [];
-        const results = articles.length;
+      for (let from = rangeStart; from < rangeEnd; from = new Date(from.getTime() + stepMs)) {
+        const to = new Date(Math.min(from.getTime() + stepMs, rangeEnd.getTime()));
 
-        let writeAttempts = 0;
+        let articles;
+        try {
+          articles = await fetchWindow(query, from, to, stats);
+        } catch (err) {
+          console.error(`[${tag}] ERROR ${gdeltUtcStamp(from)}-${gdeltUtcStamp(to)}: ${err?.message || err}`);
+          continue;
+        }
+        results += articles.length;
 
         for (const a of articles) {
-          const link = a?.url || a?.urlsource || a?.sourceurl || null;
+          const rawLink = a?.url || a?.urlsource || a?.sourceurl || null;
           const title = a?.title || null;
-          if (!link || !title) continue;
+          if (!rawLink || !title) continue;
+
+          // Strip utm/AMP/mobile variants so the same article isn't stored once per tracking link.
+          const link = canonicalUrl(rawLink);
 
           let domain = null;
           try { domain = new URL(link).hostname; } catch {}
 
+          const relevance = scoreArticle({ title, url: link, domain }, target);
+          if (relevance < MIN_RELEVANCE) {
+            dropped++;
+            continue;
+          }
+
           const publishedAt = parseGdeltSeenDate(a?.seendate) || null;
           const fetchedAt = new Date();
           const imageUrl = a?.socialimage || a?.image || null;
           const summary = a?.summary || a?.description || null;
 
           try {
-            await pool.query(UPSERT_SQL(TARGET_TABLE), [
+            const res = await pool.query(UPSERT_SQL(TARGET_TABLE), [
               'GDELT',
-              region.state,
-              region.county,
-              region.tag,
+              target.state,
+              target.countyName,
+              tag,
               query,
               title,
               link,
@@ -225,25 +297,40 @@ async function run() {
               publishedAt,
               fetchedAt,
               imageUrl,
-              summary
+              summary,
+              relevance
             ]);
-            totalWrites++;
-            writeAttempts++;
+            writes += res.rowCount;
           } catch (err) {
-            console.error(`[${region.tag}] DB_ERROR url=${link} msg=${err?.message || err}`);
+            console.error(`[${tag}] DB_ERROR url=${link} msg=${err?.message || err}`);
           }
         }
-
-        totalResults += results;
-        console.log(`[${region.tag}] ${query} -> results=${results}, writeAttempts=${writeAttempts}`);
-      } catch (err) {
-        console.error(`[${region.tag}] ERROR: ${err?.message || err}`);
       }
+
+      totalResults += results;
+      totalWrites += writes;
+      totalDropped += dropped;
+      console.log(`[${tag}] ${query} -> results=${results}, dropped=${dropped}, writes=${writes}`);
     }
   }
 
+  // Group new articles with the same story from feeds / other outlets, then tag topics and places.
+  const client = await pool.connect();
+  try {
+    const { joined, created } = await clusterRecentItems(client);
+    console.log(`[CLUSTER] joined=${joined} created=${created}`);
+    const { classified, ai } = await classifyRecentItems(client);
+    console.log(`[TOPICS] classified=${classified} ai=${ai}`);
+    const { tagged, mentions } = await tagRecentPlaces(client);
+    console.log(`[PLACES] tagged=${tagged} mentions=${mentions}`);
+  } catch (err) {
+    console.error(`[CLUSTER] ERROR: ${err?.message || err}`);
+  } finally {
+    client.release();
+  }
+
   const durationMs = Date.now() - started;
-  console.log(`[SEARCH_INGEST_DONE] table=${TARGET_TABLE} totalResults=${totalResults} totalWrites=${totalWrites} durationMs=${durationMs}`);
+  console.log(`[SEARCH_INGEST_DONE] table=${TARGET_TABLE} totalResults=${totalResults} totalWrites=${totalWrites} dropped=${totalDropped} requests=${stats.requests} truncatedWindows=${stats.truncated} durationMs=${durationMs}`);
 }
 
 run()
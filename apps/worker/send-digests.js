@@ -0,0 +1,40 @@
+// apps/worker/send-digests.js
+// Usage: node send-digests.js [--confirmations | --dry-run]
+//   (no flag)        mail pending confirmation links, then today's digests (run it each morning)
+//   --confirmations  only the confirmation links
+//   --dry-run        print today's digests instead of sending them (nothing is logged)
+import { loadValidatedConfig } from "./utils/validateConfig.js";
+import { getDbClient } from "./utils/db.js";
+import { migrateUp } from "./db/migrator.js";
+import { sendDailyDigests, sendPendingConfirmations } from "./mail/mailer.js";
+
+async function main() {
+  const flags = process.argv.slice(2);
+  const unknown = flags.filter((f) => !["--confirmations", "--dry-run"].includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown option "${unknown[0]}". Usage: node send-digests.js [--confirmations | --dry-run]`);
+  }
+  const dryRun = flags.includes("--dry-run");
+
+  const config = loadValidatedConfig();
+  const client = await getDbClient();
+  try {
+    await migrateUp(client);
+
+    if (!dryRun) {
+      const { sent, failed } = await sendPendingConfirmations(client);
+      console.log(`[mail] confirmations sent=${sent} failed=${failed}`);
+    }
+    if (flags.includes("--confirmations")) return;
+
+    const { sent, skipped, failed } = await sendDailyDigests(client, config, { dryRun });
+    console.log(`[mail] digests ${dryRun ? "previewed" : "sent"}=${sent} skipped=${skipped} failed=${failed}`);
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal digest error:", err.message);
+  process.exit(1);
+});
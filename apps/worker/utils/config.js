@@ -0,0 +1,178 @@
+import fs from "node:fs";
+import path from "node:path";
+import yaml from "js-yaml";
+
+const ROOT = process.cwd();
+
+const CONFIG_PATH_CANDIDATES = [
+  path.join(ROOT, "config", "sources.yaml"),
+  path.join(ROOT, "..", "config", "sources.yaml"),
+  path.join(ROOT, "..", "..", "config", "sources.yaml"),
+  path.join(ROOT, "apps", "worker", "config", "sources.yaml"),
+];
+
+export function loadSourcesYaml() {
+  for (const p of CONFIG_PATH_CANDIDATES) {
+    if (fs.existsSync(p)) {
+      console.log(`Using sources.yaml at: ${p}`);
+      const raw = fs.readFileSync(p, "utf8");
+      const parsed = yaml.load(raw);
+      const keys = parsed ? Object.keys(parsed) : [];
+      console.log(
+        `Top-level keys in sources.yaml: ${keys.length ? keys.join(", ") : "(none)"}`
+      );
+      return parsed;
+    }
+  }
+  throw new Error(
+    `sources.yaml not found. Tried:\n${CONFIG_PATH_CANDIDATES.join("\n")}`
+  );
+}
+
+// Allowed `tier` and `source_type` values (utils/validateConfig.js rejects anything else).
+export const TIERS = ["1A", "1B", "2"];
+export const SOURCE_TYPES = ["county_gov", "em", "media", "school", "sheriff"];
+
+// 2 / "1a" / "tier_1b" -> "2" / "1A" / "1B", the form stored in sources.tier.
+export function normalizeTier(tier) {
+  return tierKey(tier).replace(/^tier_/, "").toUpperCase();
+}
+
+export function flattenSources(config) {
+  const out = [];
+  if (!config || !config.states) return out;
+
+  for (const [stateCode, counties] of Object.entries(config.states)) {
+    for (const [countyName, countyData] of Object.entries(counties)) {
+      if (!countyData?.enabled) continue;
+
+      for (const src of countyData?.sources || []) {
+        out.push({ state: stateCode, county: countyName, ...src, tier: normalizeTier(src.tier) });
+      }
+    }
+  }
+  return out;
+}
+
+// Every source in the file, including those in disabled counties or with `enabled: false`;
+// `enabled` says whether the worker should fetch it. Used to sync the `sources` table.
+export function listConfiguredSources(config) {
+  const out = [];
+  if (!config || !config.states) return out;
+
+  for (const [stateCode, counties] of Object.entries(config.states)) {
+    for (const [countyName, countyData] of Object.entries(counties || {})) {
+      for (const src of countyData?.sources || []) {
+        out.push({
+          state: stateCode,
+          county: countyName,
+          ...src,
+          tier: normalizeTier(src.tier),
+          enabled: Boolean(countyData?.enabled) && (src.enabled === undefined || Boolean(src.enabled)),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Enabled counties with their county-level keys (e.g. `fips`, `nws_zones`), without the source lists.
+export function listCounties(config) {
+  const out = [];
+  if (!config || !config.states) return out;
+
+  for (const [stateCode, counties] of Object.entries(config.states)) {
+    for (const [countyName, countyData] of Object.entries(counties)) {
+      if (!countyData?.enabled) continue;
+      const { sources, ...rest } = countyData;
+      out.push({ state: stateCode, county: countyName, ...rest });
+    }
+  }
+  return out;
+}
+
+export const STATE_NAMES = { FL: "Florida", AL: "Alabama", GA: "Georgia" };
+
+// "Escambia_AL" / "Santa_Rosa" -> "Escambia" / "Santa Rosa" (the display name the articles view uses).
+export function countyDisplayName(county) {
+  return String(county).replace(/_(FL|AL|GA)$/, "").replace(/_/g, " ");
+}
+
+function hostOf(url) {
+  try {
+    return new URL(String(url).trim()).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// What search_ingest.js looks for per enabled county (skipping `search: { enabled: false }`):
+// { state, county, countyName, name, stateName, include, exclude, queries, domains }.
+// `name` defaults to "<County> County"; `domains` are the hosts of the county's own sources.
+export function listSearchCounties(config) {
+  return listCounties(config)
+    .filter((c) => c.search?.enabled !== false)
+    .map((c) => {
+      const search = c.search || {};
+      const countyName = countyDisplayName(c.county);
+      const sources = config.states[c.state][c.county].sources || [];
+      const domains = new Set(sources.flatMap((src) => [hostOf(src.website_url), hostOf(src.rss_url)]).filter(Boolean));
+      return {
+        state: c.state,
+        county: c.county,
+        countyName,
+        name: String(search.name || `${countyName} County`),
+        stateName: STATE_NAMES[c.state] || c.state,
+        include: (search.include || []).map(String),
+        exclude: (search.exclude || []).map(String),
+        queries: (search.queries || []).map(String),
+        domains: [...domains],
+      };
+    });
+}
+
+// "1A" / 2 / "tier_1b" -> "tier_1a" / "tier_2" / "tier_1b" (the keys used under `defaults`).
+export function tierKey(tier) {
+  const t = String(tier ?? "").trim().toLowerCase().replace(/^tier[_\s-]*/, "");
+  return t ? `tier_${t}` : "";
+}
+
+// `regions` as [{ key, name, counties: [{ state, county }] }]; county entries are "STATE/County" keys.
+export function listRegions(config) {
+  const out = [];
+  for (const [key, region] of Object.entries(config?.regions || {})) {
+    const counties = (region?.counties || []).map((ref) => {
+      const m = /^([A-Z]{2})\/(\S+)$/.exec(String(ref).trim());
+      if (!m) throw new Error(`regions.${key}.counties: "${ref}" is not a STATE/County key`);
+      return { state: m[1], county: m[2] };
+    });
+    if (!counties.length) throw new Error(`regions.${key} lists no counties`);
+    out.push({ key, name: String(region.name || key), counties });
+  }
+  return out;
+}
+
+export const WEBHOOK_FORMATS = ["slack", "discord", "json"];
+
+// `webhooks` as [{ name, format, url, secret, urlEnv, counties, tiers, sourceTypes }]. The URL and
+// signing secret are read from the env vars the entry names (`url` is "" when unset); `counties`
+// and `sourceTypes` are null for "any", `tiers` defaults to ["1A"]. Entries with `enabled: false` are left out.
+export function listWebhooks(config) {
+  const out = [];
+  for (const [name, hook] of Object.entries(config?.webhooks || {})) {
+    if (hook?.enabled === false) continue;
+    out.push({
+      name,
+      format: String(hook.format || "json"),
+      url: String(process.env[hook.url_env] || "").trim(),
+      secret: hook.secret_env ? String(process.env[hook.secret_env] || "") : "",
+      urlEnv: String(hook.url_env || ""),
+      counties: hook.counties ? (Array.isArray(hook.counties) ? hook.counties : [hook.counties]).map(String) : null,
+      tiers: (hook.tiers ? (Array.isArray(hook.tiers) ? hook.tiers : [hook.tiers]) : ["1A"]).map(normalizeTier),
+      sourceTypes: hook.source_types
+        ? (Array.isArray(hook.source_types) ? hook.source_types : [hook.source_types]).map(String)
+        : null,
+    });
+  }
+  return out;
+}
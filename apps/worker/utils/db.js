@@ -0,0 +1,33 @@
+import pg from "pg";
+
+const { Client, Pool } = pg;
+
+function requireDatabaseUrl() {
+  const url = process.env.DATABASE_URL;
+  if (!url) {
+    throw new Error("DATABASE_URL is missing. Add a Railway Postgres and connect it to this service.");
+  }
+  return url;
+}
+
+export async function getDbClient() {
+  const client = new Client({
+    connectionString: requireDatabaseUrl(),
+    ssl: { rejectUnauthorized: false },
+  });
+  await client.connect();
+  return client;
+}
+
+// Long-running processes use a pool so a dropped connection doesn't take the daemon down.
+export function getDbPool({ max = 4 } = {}) {
+  const pool = new Pool({
+    connectionString: requireDatabaseUrl(),
+    ssl: { rejectUnauthorized: false },
+    max,
+  });
+  pool.on("error", (err) => {
+    console.error(`[db] idle client error: ${err.message}`);
+  });
+  return pool;
+}
@@ -0,0 +1,111 @@
+// Fixed edition windows for county roundups (sources.yaml `defaults.editions`):
+//
+//   editions:
+//     timezone: America/Chicago
+//     morning: "05:00"
+//     evening: "16:00"
+//
+// Each edition runs from its start time to the next edition's start, in local time, so every
+// writer run inside the same edition gets the same window (and finds the same roundup).
+
+const DEFAULT_EDITIONS = { timezone: "America/Chicago", morning: "05:00", evening: "16:00" };
+
+function parseStarts(editions) {
+  const starts = [];
+  for (const [name, value] of Object.entries(editions)) {
+    if (name === "timezone") continue;
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+      throw new Error(`editions.${name} must be a HH:MM time, got "${value}"`);
+    }
+    starts.push({ name, hour: Number(m[1]), minute: Number(m[2]) });
+  }
+  if (!starts.length) throw new Error("editions needs at least one HH:MM start time");
+  return starts;
+}
+
+// Local wall-clock parts of `date` in `timeZone`.
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+// UTC offset of `timeZone` at `ms`, in ms (negative west of Greenwich).
+function offsetAt(ms, timeZone) {
+  const p = localParts(new Date(ms), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a local wall-clock time happens; checked twice so DST changes land on the right side.
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let ms = wall - offsetAt(wall, timeZone);
+  ms = wall - offsetAt(ms, timeZone);
+  return new Date(ms);
+}
+
+// Configured start times replace the default morning/evening pair; only the timezone falls back
+// to the default on its own.
+export function loadEditions(config) {
+  const configured = config?.defaults?.editions || {};
+  const hasStarts = Object.keys(configured).some((k) => k !== "timezone");
+  const editions = hasStarts
+    ? { timezone: DEFAULT_EDITIONS.timezone, ...configured }
+    : { ...DEFAULT_EDITIONS, ...configured };
+  const timezone = String(editions.timezone);
+  // Throws RangeError for an unknown zone, which is what we want at startup.
+  new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  return { timezone, starts: parseStarts(editions) };
+}
+
+/**
+ * The edition `date` falls in: { name, start, end } with start <= date < end.
+ */
+export function editionFor(date, { timezone, starts }) {
+  const today = localParts(date, timezone);
+  const boundaries = [];
+  // Yesterday through tomorrow always brackets `date`, whatever the start times are.
+  for (const dayShift of [-1, 0, 1]) {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + dayShift));
+    for (const s of starts) {
+      boundaries.push({
+        name: s.name,
+        at: zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), s.hour, s.minute, timezone),
+      });
+    }
+  }
+  boundaries.sort((a, b) => a.at - b.at);
+
+  const i = boundaries.findLastIndex((b) => b.at <= date);
+  return { name: boundaries[i].name, start: boundaries[i].at, end: boundaries[i + 1].at };
+}
+
+/**
+ * The local calendar week (Monday 00:00 to the next Monday 00:00) `date` falls in: { start, end }.
+ */
+export function weekFor(date, { timezone }) {
+  const today = localParts(date, timezone);
+  const day = new Date(Date.UTC(today.year, today.month - 1, today.day));
+  const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 86_400_000);
+  const at = (d) => zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), 0, 0, timezone);
+  return { start: at(monday), end: at(new Date(monday.getTime() + 7 * 86_400_000)) };
+}
+
+/**
+ * The local calendar date of `date` as "YYYY-MM-DD" (email digests are sent once per local day).
+ */
+export function localDate(date, { timezone }) {
+  const p = localParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
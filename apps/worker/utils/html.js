@@ -0,0 +1,83 @@
+// Small regex-based HTML helpers. Good enough for <head> tags and listing pages;
+// not a general HTML parser.
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+};
+
+export function decodeEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      // Out-of-range and surrogate code points (&#99999999;, &#xD800;) are left as written.
+      const valid = code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return valid ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+export function stripTags(html) {
+  return decodeEntities(
+    String(html || "")
+      .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1>/gi, " ")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,;:!?])/g, "$1")
+    .trim();
+}
+
+export function parseAttributes(tag) {
+  const attrs = {};
+  const re = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  // Skip the tag name itself.
+  const body = tag.replace(/^<\s*[a-zA-Z0-9]+/, "").replace(/\/?>$/, "");
+  let m;
+  while ((m = re.exec(body))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// Attributes of every <tagName ...> in the document.
+export function findTags(html, tagName) {
+  const re = new RegExp(`<${tagName}\\b[^>]*>`, "gi");
+  return (String(html || "").match(re) || []).map(parseAttributes);
+}
+
+// Every <a href> with its text and position, hrefs resolved against baseUrl.
+export function findLinks(html, baseUrl) {
+  const out = [];
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(String(html || "")))) {
+    const attrs = parseAttributes(`<a ${m[1]}>`);
+    const href = absoluteUrl(attrs.href, baseUrl);
+    if (!href) continue;
+    out.push({ href, text: stripTags(m[2]), index: m.index, end: re.lastIndex });
+  }
+  return out;
+}
+
+export function absoluteUrl(href, baseUrl) {
+  if (!href || /^(javascript|mailto|tel):/i.test(href)) return "";
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,289 @@
+// Schema check for sources.yaml. Every problem is reported with its path, e.g.
+//   states.FL.Escambia.sources[2].tier: unknown tier "3" (expected 1A, 1B, 2)
+// Errors stop the worker and the writer at startup; warnings are printed and ignored.
+import { listRegions, loadSourcesYaml, normalizeTier, SOURCE_TYPES, TIERS, WEBHOOK_FORMATS } from "./config.js";
+import { loadEditions } from "./editions.js";
+import { PUBLISH_RULES, STORY_TYPES } from "../publish/publish/rules.js";
+import { SCRAPER_NAMES } from "../ingest/scrapers/index.js";
+import { gazetteerCountyKeys } from "../process/places.js";
+
+const TOP_KEYS = ["version", "defaults", "regions", "webhooks", "states"];
+const DEFAULTS_KEYS = ["check_intervals_minutes", "publish_rules", "auto_publish", "editions"];
+const COUNTY_KEYS = ["enabled", "fips", "nws_zones", "search", "sources"];
+const SOURCE_KEYS = [
+  "source_name",
+  "source_type",
+  "tier",
+  "website_url",
+  "rss_url",
+  "social_urls",
+  "scraper",
+  "scrape_url",
+  "scrape_link_pattern",
+  "enabled",
+  "renamed_from",
+];
+const SOCIAL_KEYS = ["facebook", "x"];
+const REGION_KEYS = ["name", "counties"];
+const SEARCH_KEYS = ["enabled", "name", "include", "exclude", "queries"];
+const WEBHOOK_KEYS = ["enabled", "format", "url_env", "secret_env", "counties", "tiers", "source_types"];
+
+const TIER_KEYS = TIERS.map((t) => `tier_${t.toLowerCase()}`);
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isHttpUrl(v) {
+  try {
+    const u = new URL(v);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks a parsed sources.yaml. Returns { errors, warnings }, both arrays of "path: problem" strings.
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+  const err = (path, msg) => errors.push(`${path}: ${msg}`);
+
+  const unknownKeys = (obj, allowed, path) => {
+    for (const key of Object.keys(obj)) {
+      if (!allowed.includes(key)) err(path ? `${path}.${key}` : key, `unknown key (expected one of ${allowed.join(", ")})`);
+    }
+  };
+
+  if (!isObject(config)) return { errors: ["sources.yaml: not a mapping"], warnings };
+  unknownKeys(config, TOP_KEYS, "");
+  if (config.version !== 1) err("version", `expected 1, got ${JSON.stringify(config.version)}`);
+
+  // defaults
+  const defaults = config.defaults ?? {};
+  if (!isObject(defaults)) err("defaults", "must be a mapping");
+  else {
+    unknownKeys(defaults, DEFAULTS_KEYS, "defaults");
+    for (const [key, minutes] of Object.entries(defaults.check_intervals_minutes || {})) {
+      const path = `defaults.check_intervals_minutes.${key}`;
+      if (!TIER_KEYS.includes(key)) err(path, `unknown tier (expected ${TIER_KEYS.join(", ")})`);
+      if (!(Number(minutes) > 0)) err(path, `must be a positive number of minutes, got ${JSON.stringify(minutes)}`);
+    }
+    for (const [key, rule] of Object.entries(defaults.publish_rules || {})) {
+      const path = `defaults.publish_rules.${key}`;
+      if (!TIER_KEYS.includes(key)) err(path, `unknown tier (expected ${TIER_KEYS.join(", ")})`);
+      if (!PUBLISH_RULES.includes(rule)) err(path, `unknown rule "${rule}" (expected ${PUBLISH_RULES.join(", ")})`);
+    }
+    for (const [key, value] of Object.entries(defaults.auto_publish || {})) {
+      const path = `defaults.auto_publish.${key}`;
+      if (!STORY_TYPES.includes(key)) err(path, `unknown story type (expected ${STORY_TYPES.join(", ")})`);
+      if (typeof value !== "boolean") err(path, `must be true or false, got ${JSON.stringify(value)}`);
+    }
+    try {
+      loadEditions(config);
+    } catch (e) {
+      err("defaults.editions", e.message);
+    }
+  }
+
+  // states -> counties -> sources
+  const counties = new Set();
+  const gazetteer = new Set(gazetteerCountyKeys());
+  const names = new Map(); // "FL/Escambia/Name" -> path
+  const feeds = new Map(); // rss_url -> path
+  if (!isObject(config.states)) err("states", "must be a mapping of state codes");
+
+  for (const [state, stateCounties] of Object.entries(isObject(config.states) ? config.states : {})) {
+    if (!/^[A-Z]{2}$/.test(state)) err(`states.${state}`, "state must be a two-letter code");
+    if (!isObject(stateCounties)) {
+      err(`states.${state}`, "must be a mapping of counties");
+      continue;
+    }
+
+    for (const [county, data] of Object.entries(stateCounties)) {
+      const cpath = `states.${state}.${county}`;
+      counties.add(`${state}/${county}`);
+      if (!isObject(data)) {
+        err(cpath, "must be a mapping");
+        continue;
+      }
+      unknownKeys(data, COUNTY_KEYS, cpath);
+      if (data.enabled && !gazetteer.has(`${state}/${county}`)) {
+        warnings.push(`${cpath}: not in data/gazetteer.json; its items are not geotagged`);
+      }
+      if (data.enabled !== undefined && typeof data.enabled !== "boolean") err(`${cpath}.enabled`, "must be true or false");
+      if (data.fips !== undefined && !/^\d{5}$/.test(String(data.fips))) err(`${cpath}.fips`, `must be a 5-digit code, got "${data.fips}"`);
+      if (data.nws_zones !== undefined) {
+        const zones = Array.isArray(data.nws_zones) ? data.nws_zones : [data.nws_zones];
+        for (const z of zones) if (!/^[A-Z]{2}Z\d{3}$/.test(String(z))) err(`${cpath}.nws_zones`, `"${z}" is not a zone like FLZ201`);
+      }
+      if (data.search !== undefined) {
+        const spath = `${cpath}.search`;
+        if (!isObject(data.search)) err(spath, "must be a mapping");
+        else {
+          unknownKeys(data.search, SEARCH_KEYS, spath);
+          if (data.search.enabled !== undefined && typeof data.search.enabled !== "boolean") err(`${spath}.enabled`, "must be true or false");
+          if (data.search.name !== undefined && (typeof data.search.name !== "string" || !data.search.name.trim())) {
+            err(`${spath}.name`, "must be a non-empty string");
+          }
+          for (const key of ["include", "exclude", "queries"]) {
+            const list = data.search[key];
+            if (list === undefined) continue;
+            if (!Array.isArray(list) || list.some((t) => typeof t !== "string" || !t.trim())) {
+              err(`${spath}.${key}`, "must be a list of non-empty strings");
+            }
+          }
+        }
+      }
+      if (!Array.isArray(data.sources ?? [])) {
+        err(`${cpath}.sources`, "must be a list");
+        continue;
+      }
+
+      const renamedFrom = new Map();
+      (data.sources || []).forEach((src, i) => {
+        const path = `${cpath}.sources[${i}]`;
+        if (!isObject(src)) {
+          err(path, "must be a mapping");
+          return;
+        }
+        unknownKeys(src, SOURCE_KEYS, path);
+
+        const name = typeof src.source_name === "string" ? src.source_name.trim() : "";
+        if (!name) err(`${path}.source_name`, "is required");
+        else {
+          const key = `${state}/${county}/${name}`;
+          if (names.has(key)) err(`${path}.source_name`, `duplicate name "${name}" (also ${names.get(key)})`);
+          else names.set(key, path);
+        }
+
+        if (!SOURCE_TYPES.includes(src.source_type)) {
+          err(`${path}.source_type`, `unknown source type ${JSON.stringify(src.source_type ?? null)} (expected ${SOURCE_TYPES.join(", ")})`);
+        }
+        if (!TIERS.includes(normalizeTier(src.tier))) {
+          err(`${path}.tier`, `unknown tier ${JSON.stringify(src.tier ?? null)} (expected ${TIERS.join(", ")})`);
+        }
+        if (src.enabled !== undefined && typeof src.enabled !== "boolean") err(`${path}.enabled`, "must be true or false");
+        if (src.scraper !== undefined && !SCRAPER_NAMES.includes(src.scraper)) {
+          err(`${path}.scraper`, `unknown scraper "${src.scraper}" (expected ${SCRAPER_NAMES.join(", ")})`);
+        }
+
+        if (src.scrape_link_pattern !== undefined) {
+          try {
+            new RegExp(src.scrape_link_pattern);
+          } catch (e) {
+            err(`${path}.scrape_link_pattern`, `not a valid regex: ${e.message}`);
+          }
+        }
+
+        const urls = [
+          ["website_url", src.website_url],
+          ["rss_url", src.rss_url],
+          ["scrape_url", src.scrape_url],
+        ];
+        if (src.social_urls !== undefined) {
+          if (!isObject(src.social_urls)) err(`${path}.social_urls`, "must be a mapping");
+          else {
+            unknownKeys(src.social_urls, SOCIAL_KEYS, `${path}.social_urls`);
+            for (const k of SOCIAL_KEYS) urls.push([`social_urls.${k}`, src.social_urls[k]]);
+          }
+        }
+        for (const [key, value] of urls) {
+          if (value === undefined || value === null || value === "") continue;
+          if (typeof value !== "string" || !isHttpUrl(value.trim())) err(`${path}.${key}`, `not an http(s) URL: ${JSON.stringify(value)}`);
+        }
+
+        const feed = typeof src.rss_url === "string" ? src.rss_url.trim() : "";
+        if (feed) {
+          if (feeds.has(feed)) warnings.push(`${path}.rss_url: same feed as ${feeds.get(feed)}`);
+          else feeds.set(feed, path);
+        }
+
+        if (src.renamed_from !== undefined) {
+          const old = typeof src.renamed_from === "string" ? src.renamed_from.trim() : "";
+          if (!old) err(`${path}.renamed_from`, "must be the source's previous name");
+          else if (renamedFrom.has(old)) err(`${path}.renamed_from`, `"${old}" is also renamed by ${renamedFrom.get(old)}`);
+          else renamedFrom.set(old, path);
+        }
+      });
+
+      // A rename's old name can't still be in use in the same county.
+      for (const [old, path] of renamedFrom) {
+        if (names.has(`${state}/${county}/${old}`)) err(`${path}.renamed_from`, `"${old}" is still listed in ${cpath}`);
+      }
+    }
+  }
+
+  // regions
+  if (config.regions !== undefined) {
+    if (!isObject(config.regions)) err("regions", "must be a mapping");
+    else {
+      for (const [key, region] of Object.entries(config.regions)) {
+        if (isObject(region)) unknownKeys(region, REGION_KEYS, `regions.${key}`);
+        else err(`regions.${key}`, "must be a mapping");
+      }
+      try {
+        for (const region of listRegions(config)) {
+          for (const c of region.counties) {
+            const ref = `${c.state}/${c.county}`;
+            if (!counties.has(ref)) err(`regions.${region.key}.counties`, `"${ref}" is not a county under states`);
+          }
+        }
+      } catch (e) {
+        err("regions", e.message);
+      }
+    }
+  }
+
+  // webhooks
+  if (config.webhooks !== undefined) {
+    if (!isObject(config.webhooks)) err("webhooks", "must be a mapping");
+    for (const [name, hook] of Object.entries(isObject(config.webhooks) ? config.webhooks : {})) {
+      const path = `webhooks.${name}`;
+      if (!isObject(hook)) {
+        err(path, "must be a mapping");
+        continue;
+      }
+      unknownKeys(hook, WEBHOOK_KEYS, path);
+      if (hook.enabled !== undefined && typeof hook.enabled !== "boolean") err(`${path}.enabled`, "must be true or false");
+      if (hook.format !== undefined && !WEBHOOK_FORMATS.includes(hook.format)) {
+        err(`${path}.format`, `unknown format "${hook.format}" (expected ${WEBHOOK_FORMATS.join(", ")})`);
+      }
+      for (const key of ["url_env", "secret_env"]) {
+        const v = hook[key];
+        if (v === undefined && key === "secret_env") continue;
+        if (typeof v !== "string" || !/^[A-Z][A-Z0-9_]*$/.test(v)) err(`${path}.${key}`, "must be an environment variable name");
+      }
+      const list = (v) => (v === undefined ? [] : Array.isArray(v) ? v : [v]);
+      for (const ref of list(hook.counties)) {
+        if (!counties.has(String(ref))) err(`${path}.counties`, `"${ref}" is not a county under states`);
+      }
+      for (const tier of list(hook.tiers)) {
+        if (!TIERS.includes(normalizeTier(tier))) err(`${path}.tiers`, `unknown tier ${JSON.stringify(tier)} (expected ${TIERS.join(", ")})`);
+      }
+      for (const type of list(hook.source_types)) {
+        if (!SOURCE_TYPES.includes(type)) err(`${path}.source_types`, `unknown source type "${type}" (expected ${SOURCE_TYPES.join(", ")})`);
+      }
+      if (hook.enabled !== false && typeof hook.url_env === "string" && !process.env[hook.url_env]) {
+        warnings.push(`${path}: ${hook.url_env} is not set; nothing is sent to this endpoint`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * loadSourcesYaml plus validateConfig: prints warnings and throws when there are errors.
+ */
+export function loadValidatedConfig() {
+  const config = loadSourcesYaml();
+  const { errors, warnings } = validateConfig(config);
+  for (const w of warnings) console.warn(`[config] warning: ${w}`);
+  if (errors.length) {
+    throw new Error(`sources.yaml has ${errors.length} error(s):\n  ${errors.join("\n  ")}`);
+  }
+  return config;
+}
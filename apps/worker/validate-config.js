@@ -0,0 +1,59 @@
+// apps/worker/validate-config.js
+// Usage: node validate-config.js [--diff | --sync]
+//   (no flag)  check sources.yaml; exits 1 when it has errors
+//   --diff     also compare it with the sources table (needs DATABASE_URL and a migrated
+//              database; writes nothing)
+//   --sync     also apply that diff, migrating the database first
+import { loadSourcesYaml } from "./utils/config.js";
+import { validateConfig } from "./utils/validateConfig.js";
+import { getDbClient } from "./utils/db.js";
+import { migrateUp, migrationStatus } from "./db/migrator.js";
+import { applySourceSync, formatSyncPlan, hasSyncChanges, planSourceSync } from "./db/sourceSync.js";
+
+async function main() {
+  const flags = process.argv.slice(2);
+  const unknown = flags.filter((f) => !["--diff", "--sync"].includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown option "${unknown[0]}". Usage: node validate-config.js [--diff | --sync]`);
+  }
+
+  const config = loadSourcesYaml();
+  const { errors, warnings } = validateConfig(config);
+  for (const w of warnings) console.log(`warning: ${w}`);
+  for (const e of errors) console.log(`error: ${e}`);
+  console.log(`sources.yaml: ${errors.length} error(s), ${warnings.length} warning(s).`);
+  if (errors.length) {
+    process.exitCode = 1;
+    return;
+  }
+
+  const sync = flags.includes("--sync");
+  if (!sync && !flags.includes("--diff")) return;
+
+  const client = await getDbClient();
+  try {
+    if (sync) {
+      await migrateUp(client);
+    } else {
+      const behind = (await migrationStatus(client)).filter((m) => m.state === "pending").length;
+      if (behind) throw new Error(`Database schema is behind (${behind} pending migration(s)); run npm run migrate first.`);
+    }
+    const plan = await planSourceSync(client, config);
+    console.log("");
+    for (const line of formatSyncPlan(plan)) console.log(line);
+    if (!sync) return;
+    if (!hasSyncChanges(plan)) {
+      console.log("Sources table already matches sources.yaml.");
+      return;
+    }
+    await applySourceSync(client, plan);
+    console.log("Sources table synced.");
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("Fatal validate-config error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+// Webhook bodies per endpoint `format`. Every format gets the same event:
+// { event, delivery_id, endpoint, item: { id, title, url, summary, published_at },
+//   source: { name, type, tier, state, county, county_name } }
+import { stripTags } from "../utils/html.js";
+
+const SUMMARY_LIMIT = 300;
+
+const TYPE_LABELS = {
+  sheriff: "Sheriff",
+  em: "Emergency management",
+  county_gov: "County government",
+  school: "Schools",
+  media: "Media",
+};
+
+function summaryText(summary) {
+  const text = stripTags(summary);
+  return text.length > SUMMARY_LIMIT ? `${text.slice(0, SUMMARY_LIMIT - 1).trimEnd()}…` : text;
+}
+
+function context(source) {
+  return [
+    source.name,
+    TYPE_LABELS[source.type] || source.type,
+    `${source.county_name} County, ${source.state}`,
+    `Tier ${source.tier}`,
+  ].join(" • ");
+}
+
+// Slack mrkdwn treats &, < and > as control characters.
+function slackEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function slackBody(event) {
+  const { item, source } = event;
+  const summary = summaryText(item.summary);
+  return {
+    text: slackEscape(`${source.name}: ${item.title} ${item.url}`),
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*<${item.url}|${slackEscape(item.title)}>*${summary ? `\n${slackEscape(summary)}` : ""}`,
+        },
+      },
+      { type: "context", elements: [{ type: "mrkdwn", text: slackEscape(context(source)) }] },
+    ],
+  };
+}
+
+function discordBody(event) {
+  const { item, source } = event;
+  return {
+    username: "Panhandle Pulse",
+    embeds: [
+      {
+        title: item.title.slice(0, 256),
+        url: item.url,
+        description: summaryText(item.summary) || undefined,
+        timestamp: item.published_at || undefined,
+        color: source.tier === "1A" ? 0xdc2626 : 0x2563eb,
+        footer: { text: context(source).slice(0, 2048) },
+      },
+    ],
+    // Item text must never ping @everyone or a role.
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * The JSON body to POST for `event` in `format` (slack | discord | json).
+ */
+export function formatPayload(format, event) {
+  if (format === "slack") return slackBody(event);
+  if (format === "discord") return discordBody(event);
+  return { ...event, item: { ...event.item, summary: summaryText(event.item.summary) } };
+}
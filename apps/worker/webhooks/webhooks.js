@@ -0,0 +1,232 @@
+// Outbound webhooks for new feed items. ingestSource queues one webhook_deliveries row per
+// matching endpoint (sources.yaml `webhooks`) for every row insertFeedItem actually inserted;
+// deliverPendingWebhooks POSTs them, signed when the endpoint has a secret:
+//   X-Pulse-Timestamp: <unix seconds>
+//   X-Pulse-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Failures (network, timeout, 408, 429, 5xx) are retried with exponential backoff; other
+// 4xx answers, or WEBHOOK_MAX_ATTEMPTS failures, mark the delivery failed.
+import crypto from "node:crypto";
+import { countyDisplayName } from "../utils/config.js";
+import { envInt } from "../utils/common.js";
+import { formatPayload } from "./formats.js";
+
+const TIMEOUT_MS = envInt("WEBHOOK_TIMEOUT_MS", 10000);
+const MAX_ATTEMPTS = envInt("WEBHOOK_MAX_ATTEMPTS", 6);
+const BACKOFF_SECONDS = envInt("WEBHOOK_BACKOFF_SECONDS", 30);
+const MAX_BACKOFF_SECONDS = 3600;
+// Items published longer ago than this don't fire (a newly added source's whole backlog is new).
+const MAX_AGE_HOURS = envInt("WEBHOOK_MAX_AGE_HOURS", 24);
+const BATCH_SIZE = 50;
+// A claimed delivery isn't picked up again for this long, so two dispatchers never send it twice.
+const LEASE_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 60;
+
+/**
+ * The endpoints (from listWebhooks) that want items from `src`: its county, tier and
+ * source_type all pass the endpoint's filters, and the endpoint's URL is set.
+ */
+export function webhooksFor(webhooks, src) {
+  return webhooks.filter(
+    (w) =>
+      w.url &&
+      (!w.counties || w.counties.includes(`${src.state}/${src.county}`)) &&
+      w.tiers.includes(src.tier) &&
+      (!w.sourceTypes || w.sourceTypes.includes(src.source_type))
+  );
+}
+
+/**
+ * Queues deliveries of `items` (the rows insertFeedItem returned for `src`) to every matching
+ * endpoint. Returns how many were queued.
+ */
+export async function enqueueWebhooks(client, webhooks, src, items) {
+  const endpoints = webhooksFor(webhooks, src);
+  if (!endpoints.length || !items.length) return 0;
+
+  const cutoff = Date.now() - MAX_AGE_HOURS * 3600_000;
+  const fresh = items.filter((it) => !it.published_at || new Date(it.published_at).getTime() >= cutoff);
+
+  let queued = 0;
+  for (const endpoint of endpoints) {
+    for (const it of fresh) {
+      const res = await client.query(
+        `
+        INSERT INTO webhook_deliveries (endpoint, feed_item_id)
+        VALUES ($1, $2)
+        ON CONFLICT (endpoint, feed_item_id) DO NOTHING
+        `,
+        [endpoint.name, it.id]
+      );
+      queued += res.rowCount;
+    }
+  }
+  return queued;
+}
+
+function backoffSeconds(attempts, retryAfterSeconds) {
+  const exp = Math.min(BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+  return Math.max(exp, retryAfterSeconds || 0);
+}
+
+// One POST; resolves { ok, retryable, httpStatus, error, body, retryAfter, durationMs }.
+async function post(endpoint, deliveryId, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "content-type": "application/json",
+    "user-agent": "PanhandlePulseBot/0.1 (+https://panhandlepulse.news)",
+    "x-pulse-event": "feed_item.created",
+    "x-pulse-delivery": String(deliveryId),
+    "x-pulse-timestamp": String(timestamp),
+  };
+  if (endpoint.secret) {
+    const sig = crypto.createHmac("sha256", endpoint.secret).update(`${timestamp}.${body}`).digest("hex");
+    headers["x-pulse-signature"] = `sha256=${sig}`;
+  }
+
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  const startedAt = Date.now();
+  try {
+    const res = await fetch(endpoint.url, { method: "POST", headers, body, signal: controller.signal });
+    const text = await res.text().catch(() => "");
+    const retryAfter = Number(res.headers.get("retry-after"));
+    return {
+      ok: res.ok,
+      retryable: res.status === 408 || res.status === 429 || res.status >= 500,
+      httpStatus: res.status,
+      error: res.ok ? "" : `HTTP ${res.status}`,
+      body: text.slice(0, 500),
+      retryAfter: Number.isFinite(retryAfter) ? retryAfter : 0,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      retryable: true,
+      httpStatus: null,
+      error: e?.name === "AbortError" ? `Timeout after ${TIMEOUT_MS}ms` : e.message,
+      body: "",
+      retryAfter: 0,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function loadEvent(client, delivery) {
+  const res = await client.query(
+    `
+    SELECT fi.id, fi.title, fi.link, fi.summary, fi.published_at,
+           s.source_name, s.source_type, s.tier, s.state, s.county
+    FROM feed_items fi
+    JOIN sources s ON s.id = fi.source_id
+    WHERE fi.id = $1
+    `,
+    [delivery.feed_item_id]
+  );
+  const row = res.rows[0];
+  return {
+    event: "feed_item.created",
+    delivery_id: Number(delivery.id),
+    endpoint: delivery.endpoint,
+    item: {
+      id: Number(row.id),
+      title: row.title,
+      url: row.link,
+      summary: row.summary,
+      published_at: row.published_at ? row.published_at.toISOString() : null,
+    },
+    source: {
+      name: row.source_name,
+      type: row.source_type,
+      tier: row.tier,
+      state: row.state,
+      county: row.county,
+      county_name: countyDisplayName(row.county),
+    },
+  };
+}
+
+/**
+ * Sends every delivery that is due (new, or waiting out its backoff), oldest first, and records
+ * each attempt in webhook_attempts. Deliveries for endpoints no longer configured are marked
+ * failed. Returns { delivered, retrying, failed }.
+ */
+export async function deliverPendingWebhooks(client, webhooks) {
+  const byName = new Map(webhooks.filter((w) => w.url).map((w) => [w.name, w]));
+  const stats = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (;;) {
+    const claimed = await client.query(
+      `
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = NOW() + make_interval(secs => $2)
+      WHERE d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING d.id, d.endpoint, d.feed_item_id, d.attempts
+      `,
+      [BATCH_SIZE, LEASE_SECONDS]
+    );
+    if (!claimed.rows.length) break;
+
+    for (const delivery of claimed.rows.sort((a, b) => Number(a.id) - Number(b.id))) {
+      const endpoint = byName.get(delivery.endpoint);
+      if (!endpoint) {
+        await client.query(
+          `UPDATE webhook_deliveries SET status = 'failed', last_error = $2 WHERE id = $1`,
+          [delivery.id, "endpoint no longer configured (or its URL env var is unset)"]
+        );
+        stats.failed++;
+        continue;
+      }
+
+      const body = JSON.stringify(formatPayload(endpoint.format, await loadEvent(client, delivery)));
+      const result = await post(endpoint, delivery.id, body);
+      const attempts = delivery.attempts + 1;
+
+      await client.query(
+        `
+        INSERT INTO webhook_attempts (delivery_id, duration_ms, http_status, error, response_body)
+        VALUES ($1, $2, $3, $4, $5)
+        `,
+        [delivery.id, result.durationMs, result.httpStatus, result.error, result.body]
+      );
+
+      let status = "delivered";
+      let nextInSeconds = 0;
+      if (!result.ok) {
+        status = result.retryable && attempts < MAX_ATTEMPTS ? "pending" : "failed";
+        nextInSeconds = backoffSeconds(attempts, result.retryAfter);
+      }
+      await client.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = $2,
+            attempts = $3,
+            last_http_status = $4,
+            last_error = $5,
+            next_attempt_at = NOW() + make_interval(secs => $6),
+            delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END
+        WHERE id = $1
+        `,
+        [delivery.id, status, attempts, result.httpStatus, result.error, nextInSeconds]
+      );
+
+      if (status === "delivered") stats.delivered++;
+      else if (status === "pending") {
+        stats.retrying++;
+        console.warn(`[webhooks] ${endpoint.name} delivery ${delivery.id} failed (${result.error}); retry in ${nextInSeconds}s`);
+      } else {
+        stats.failed++;
+        console.error(`[webhooks] ${endpoint.name} delivery ${delivery.id} gave up after ${attempts} attempt(s): ${result.error}`);
+      }
+    }
+  }
+
+  return stats;
+}